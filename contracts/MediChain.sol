@@ -1,147 +1,92 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./MediChainStorage.sol";
+
 /**
  * @title MediChain - IoT-Based Blockchain Medical Authentication System
- * @dev Smart contract for medicine registration, verification, and supply chain tracking
+ * @dev Smart contract for medicine registration, verification, and supply chain tracking.
+ *      Deployed behind MediChainProxy. Upgrades keep the proxy's storage, whose layout is declared in
+ *      MediChainStorage; supply chain updates and custody transfers run in MediChainSupplyChain.
  * @notice Prevents counterfeit drug distribution using blockchain immutability
  */
-contract MediChain {
+contract MediChain is MediChainStorage {
     // ===== State Variables =====
-    address public owner;
-    uint256 public medicineCount;
-    uint256 public verificationCount;
-    uint256 public alertCount;
-
-    // ===== Enums =====
-    enum MedicineStatus { Active, Sold, Expired, Flagged }
-    enum SupplyStage { Manufactured, QualityChecked, Shipped, InTransit, Delivered, Dispensed }
-
-    // ===== Structs =====
-    struct Medicine {
-        uint256 id;
-        string medicineName;
-        string batchNumber;
-        string manufacturerId;
-        string manufacturerName;
-        string mfgDate;
-        string expiryDate;
-        string medicineType;
-        uint256 quantity;
-        string composition;
-        string shipmentDest;
-        uint256 price;
-        MedicineStatus status;
-        address registeredBy;
-        uint256 registeredAt;
-        uint256 scanCount;
-        bool exists;
-    }
-
-    struct SupplyChainEntry {
-        SupplyStage stage;
-        string actor;
-        string location;
-        uint256 timestamp;
-        address updatedBy;
-    }
-
-    struct VerificationRecord {
-        address verifier;
-        uint256 timestamp;
-        bool isAuthentic;
-        string details;
-    }
-
-    struct CounterfeitAlert {
-        uint256 id;
-        string batchNumber;
-        string reason;
-        address reportedBy;
-        uint256 timestamp;
-        bool resolved;
-    }
-
-    // ===== Mappings =====
-    mapping(string => Medicine) public medicines; // batchNumber => Medicine
-    mapping(string => SupplyChainEntry[]) public supplyChain; // batchNumber => entries
-    mapping(string => VerificationRecord[]) public verifications; // batchNumber => records
-    mapping(uint256 => CounterfeitAlert) public alerts; // alertId => Alert
-    mapping(address => bool) public authorizedManufacturers;
-    mapping(address => bool) public authorizedDistributors;
-    mapping(address => bool) public authorizedShops;
-    string[] public allBatchNumbers; // Track all registered batches
-
-    // ===== Events =====
-    event MedicineRegistered(
-        string indexed batchNumber,
-        string medicineName,
-        string manufacturerId,
-        address registeredBy,
-        uint256 timestamp
-    );
-
-    event MedicineVerified(
-        string indexed batchNumber,
-        bool isAuthentic,
-        address verifier,
-        uint256 timestamp
-    );
-
-    event SupplyChainUpdated(
-        string indexed batchNumber,
-        SupplyStage stage,
-        string actor,
-        string location,
-        uint256 timestamp
-    );
-
-    event CounterfeitAlertRaised(
-        uint256 alertId,
-        string batchNumber,
-        string reason,
-        address reportedBy,
-        uint256 timestamp
-    );
-
-    event MedicineStatusChanged(
-        string indexed batchNumber,
-        MedicineStatus newStatus,
-        uint256 timestamp
-    );
-
-    event ManufacturerAuthorized(address indexed manufacturer, uint256 timestamp);
-    event DistributorAuthorized(address indexed distributor, uint256 timestamp);
-    event ShopAuthorized(address indexed shop, uint256 timestamp);
-
-    // ===== Modifiers =====
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Only contract owner can perform this action");
-        _;
-    }
-
-    modifier onlyAuthorizedManufacturer() {
-        require(
-            authorizedManufacturers[msg.sender] || msg.sender == owner,
-            "Not an authorized manufacturer"
-        );
-        _;
+    string public constant version = "2.1.0"; // bump with every release; deployment.json records it
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1), shared with MediChainProxy
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    address private immutable self = address(this); // this implementation's own address, to tell proxied calls apart
+    address public immutable supplyChainModule; // MediChainSupplyChain, reached through the fallback
+
+    // ===== Constructor =====
+    // Sets up the implementation itself, so nobody else can initialize it
+    constructor(address _supplyChainModule) {
+        supplyChainModule = _supplyChainModule;
+        _initialize();
     }
 
-    modifier medicineExists(string memory _batchNumber) {
-        require(medicines[_batchNumber].exists, "Medicine not found on blockchain");
-        _;
+    // Takes the constructor's place for MediChainProxy, which delegatecalls it once on deployment
+    function initialize() external {
+        require(owner == address(0), "MediChain is already initialized");
+        _initialize();
     }
 
-    // ===== Constructor =====
-    constructor() {
+    function _initialize() internal {
         owner = msg.sender;
         authorizedManufacturers[msg.sender] = true;
         authorizedDistributors[msg.sender] = true;
         authorizedShops[msg.sender] = true;
     }
 
+    // ===== Upgrades =====
+    // Points the proxy at new MediChain code; all data stays in place (see scripts/upgrade.js)
+    function upgradeTo(address _implementation) external onlyOwner {
+        require(address(this) != self, "Upgrades go through MediChainProxy");
+        // Also checks that the new code is a MediChain release
+        string memory newVersion = MediChain(_implementation).version();
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, _implementation)
+        }
+        emit Upgraded(_implementation, newVersion, block.timestamp);
+    }
+
+    // Current implementation behind the proxy (zero when called on an implementation directly)
+    function implementation() external view returns (address impl) {
+        assembly {
+            impl := sload(IMPLEMENTATION_SLOT)
+        }
+    }
+
+    // ===== Ownership & Pause =====
+    // Two-step transfer, e.g. to a rotated key or a MediChainGovernance multisig: the new owner must accept,
+    // so a mistyped address cannot take over. A later call replaces the pending owner.
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "New owner is the zero address");
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner, block.timestamp);
+    }
+
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Only the pending owner can accept ownership");
+        emit OwnershipTransferred(owner, msg.sender, block.timestamp);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    function pause() external onlyOwner {
+        require(!paused, "MediChain is already paused");
+        paused = true;
+        emit Paused(msg.sender, block.timestamp);
+    }
+
+    function unpause() external onlyOwner {
+        require(paused, "MediChain is not paused");
+        paused = false;
+        emit Unpaused(msg.sender, block.timestamp);
+    }
+
     // ===== Authorization Functions =====
+
     function authorizeManufacturer(address _manufacturer) external onlyOwner {
         authorizedManufacturers[_manufacturer] = true;
         emit ManufacturerAuthorized(_manufacturer, block.timestamp);
@@ -157,29 +102,90 @@ contract MediChain {
         emit ShopAuthorized(_shop, block.timestamp);
     }
 
-    // ===== Medicine Registration (split to avoid stack-too-deep) =====
-    function registerMedicine(
-        string memory _medicineName,
-        string memory _batchNumber,
-        string memory _manufacturerId,
-        string memory _manufacturerName,
-        string memory _mfgDate,
-        string memory _expiryDate
-    ) external onlyAuthorizedManufacturer {
+    function revokeManufacturer(address _manufacturer) external onlyOwner {
+        require(authorizedManufacturers[_manufacturer], "Address is not a manufacturer");
+        authorizedManufacturers[_manufacturer] = false;
+        emit ManufacturerRevoked(_manufacturer, block.timestamp);
+    }
+
+    function revokeDistributor(address _distributor) external onlyOwner {
+        require(authorizedDistributors[_distributor], "Address is not a distributor");
+        authorizedDistributors[_distributor] = false;
+        emit DistributorRevoked(_distributor, block.timestamp);
+    }
+
+    function revokeShop(address _shop) external onlyOwner {
+        require(authorizedShops[_shop], "Address is not a shop");
+        authorizedShops[_shop] = false;
+        emit ShopRevoked(_shop, block.timestamp);
+    }
+
+    // ===== Manufacturer Registry =====
+    // Creates or replaces a wallet's profile; the wallet still needs the manufacturer role to register batches
+    function setManufacturerProfile(address _manufacturer, ManufacturerProfile memory _profile) external onlyOwner {
+        require(bytes(_profile.manufacturerId).length > 0, "Manufacturer ID cannot be empty");
+        require(bytes(_profile.legalName).length > 0, "Legal name cannot be empty");
+        require(bytes(_profile.licenseNumber).length > 0, "License number cannot be empty");
+        require(_profile.licenseValidUntil > _profile.licenseValidFrom, "License must end after it starts");
+
+        manufacturerProfiles[_manufacturer] = _profile;
+        emit ManufacturerProfileSet(
+            _manufacturer,
+            _profile.manufacturerId,
+            _profile.legalName,
+            _profile.licenseNumber,
+            _profile.licenseValidUntil,
+            block.timestamp
+        );
+    }
+
+    function hasValidLicense(address _manufacturer) public view returns (bool) {
+        ManufacturerProfile storage profile = manufacturerProfiles[_manufacturer];
+        return bytes(profile.manufacturerId).length > 0 &&
+            block.timestamp >= profile.licenseValidFrom &&
+            block.timestamp < profile.licenseValidUntil;
+    }
+
+    // ===== Medicine Registration =====
+    // Registers a batch and all of its details in one transaction, so a batch never exists half-filled
+    function registerMedicineFull(MedicineInput memory _input) external whenNotPaused onlyAuthorizedManufacturer {
+        _registerMedicine(_input);
+    }
+
+    // Bulk import: registers every batch or, if any one is rejected, none of them
+    function registerMedicineBatch(MedicineInput[] memory _inputs) external whenNotPaused onlyAuthorizedManufacturer {
+        require(_inputs.length > 0, "No medicines to register");
+        for (uint256 i = 0; i < _inputs.length; i++) {
+            _registerMedicine(_inputs[i]);
+        }
+    }
+
+    function _registerMedicine(MedicineInput memory _input) internal {
+        string memory _batchNumber = _input.batchNumber;
         require(!medicines[_batchNumber].exists, "Batch number already registered");
         require(bytes(_batchNumber).length > 0, "Batch number cannot be empty");
-        require(bytes(_medicineName).length > 0, "Medicine name cannot be empty");
+        require(bytes(_input.medicineName).length > 0, "Medicine name cannot be empty");
+        require(_input.expiryDate > _input.mfgDate, "Expiry date must be after manufacture date");
+        require(_input.expiryDate > block.timestamp, "Medicine is already expired");
+        require(hasValidLicense(msg.sender), "Manufacturer license is missing or not valid");
+        ManufacturerProfile storage maker = manufacturerProfiles[msg.sender];
 
         medicineCount++;
 
         Medicine storage med = medicines[_batchNumber];
         med.id = medicineCount;
-        med.medicineName = _medicineName;
+        med.medicineName = _input.medicineName;
         med.batchNumber = _batchNumber;
-        med.manufacturerId = _manufacturerId;
-        med.manufacturerName = _manufacturerName;
-        med.mfgDate = _mfgDate;
-        med.expiryDate = _expiryDate;
+        med.manufacturerId = maker.manufacturerId;
+        med.manufacturerName = maker.legalName;
+        med.mfgDate = _input.mfgDate;
+        med.expiryDate = _input.expiryDate;
+        med.medicineType = _input.medicineType;
+        med.quantity = _input.quantity;
+        med.composition = _input.composition;
+        med.shipmentDest = _input.shipmentDest;
+        med.price = _input.price;
+        med.gtin = _input.gtin;
         med.status = MedicineStatus.Active;
         med.registeredBy = msg.sender;
         med.registeredAt = block.timestamp;
@@ -188,10 +194,16 @@ contract MediChain {
 
         allBatchNumbers.push(_batchNumber);
 
+        // Serialized packs are committed as a single Merkle root (zero = batch-level only)
+        if (_input.unitRoot != bytes32(0)) {
+            unitRoots[_batchNumber] = _input.unitRoot;
+            emit UnitRootCommitted(_batchNumber, _input.unitRoot, block.timestamp);
+        }
+
         // Add initial supply chain entry
         supplyChain[_batchNumber].push(SupplyChainEntry({
             stage: SupplyStage.Manufactured,
-            actor: _manufacturerName,
+            actor: maker.legalName,
             location: "Manufacturing Plant",
             timestamp: block.timestamp,
             updatedBy: msg.sender
@@ -199,14 +211,14 @@ contract MediChain {
 
         emit MedicineRegistered(
             _batchNumber,
-            _medicineName,
-            _manufacturerId,
+            _input.medicineName,
+            maker.manufacturerId,
             msg.sender,
             block.timestamp
         );
     }
 
-    // Set additional medicine details (optional, call after registerMedicine)
+    // Correct a registered batch's details
     function setMedicineDetails(
         string memory _batchNumber,
         string memory _medicineType,
@@ -214,114 +226,318 @@ contract MediChain {
         string memory _composition,
         string memory _shipmentDest,
         uint256 _price
-    ) external medicineExists(_batchNumber) {
+    ) external whenNotPaused medicineExists(_batchNumber) onlyManufacturerOfRecord(_batchNumber) {
         Medicine storage med = medicines[_batchNumber];
         med.medicineType = _medicineType;
         med.quantity = _quantity;
         med.composition = _composition;
         med.shipmentDest = _shipmentDest;
         med.price = _price;
+
+        emit MedicineDetailsUpdated(_batchNumber, block.timestamp);
     }
 
     // ===== Medicine Verification =====
     function verifyMedicine(string memory _batchNumber)
         external
         returns (bool isAuthentic, string memory details)
+    {
+        return _verify(_batchNumber, false, 0, true);
+    }
+
+    // Records a scan of a batch, or of one of its packs, with the verdict of _verdict
+    function _verify(string memory _batchNumber, bool _isUnit, uint256 _serial, bool _unitRegistered)
+        internal
+        returns (bool, string memory)
     {
         verificationCount++;
 
-        if (!medicines[_batchNumber].exists) {
-            // Medicine not found — raise alert
-            alertCount++;
-            alerts[alertCount] = CounterfeitAlert({
-                id: alertCount,
-                batchNumber: _batchNumber,
-                reason: "Medicine not found on blockchain",
-                reportedBy: msg.sender,
-                timestamp: block.timestamp,
-                resolved: false
-            });
-
-            verifications[_batchNumber].push(VerificationRecord({
-                verifier: msg.sender,
-                timestamp: block.timestamp,
-                isAuthentic: false,
-                details: "NOT FOUND on blockchain"
-            }));
-
-            emit CounterfeitAlertRaised(alertCount, _batchNumber, "Not found on blockchain", msg.sender, block.timestamp);
-            emit MedicineVerified(_batchNumber, false, msg.sender, block.timestamp);
-
-            return (false, "WARNING: Medicine NOT found on blockchain. Possible counterfeit!");
+        UnitState storage unit = units[_unitKey(_batchNumber, _serial)];
+        Verdict verdict = _verdict(_batchNumber, _unitRegistered, _isUnit && unit.sold);
+
+        if (verdict == Verdict.NotFound) {
+            _raiseAlert(_batchNumber, "Medicine not found on blockchain", false);
+        } else {
+            medicines[_batchNumber].scanCount++;
+            if (verdict == Verdict.UnitNotRegistered) {
+                _raiseAlert(_batchNumber, "Unit serial not registered for this batch", false);
+            } else if (_isUnit) {
+                unit.scanCount++;
+            }
+        }
+        // Sweeps a lapsed Active batch to Expired
+        if (verdict == Verdict.Expired) _checkExpiry(_batchNumber);
+
+        string memory record = _verdictRecord(verdict, _isUnit);
+        if (_isUnit) {
+            _recordUnitVerification(_batchNumber, _serial, verdict == Verdict.Authentic, record);
+        } else {
+            _recordVerification(_batchNumber, verdict == Verdict.Authentic, record);
         }
+        return (verdict == Verdict.Authentic, _verdictMessage(verdict, _isUnit));
+    }
 
+    // First failed check, in the order scans are judged. Batch-level scans pass _unitRegistered = true.
+    function _verdict(string memory _batchNumber, bool _unitRegistered, bool _unitSold)
+        internal view
+        returns (Verdict)
+    {
         Medicine storage med = medicines[_batchNumber];
-        med.scanCount++;
-
-        // Check status
-        if (med.status == MedicineStatus.Flagged) {
-            verifications[_batchNumber].push(VerificationRecord({
-                verifier: msg.sender,
-                timestamp: block.timestamp,
-                isAuthentic: false,
-                details: "Medicine FLAGGED as suspicious"
-            }));
-            emit MedicineVerified(_batchNumber, false, msg.sender, block.timestamp);
-            return (false, "WARNING: Medicine has been FLAGGED as suspicious!");
+        if (!med.exists) return Verdict.NotFound;
+        if (!_unitRegistered) return Verdict.UnitNotRegistered;
+        if (med.status == MedicineStatus.Flagged) return Verdict.Flagged;
+        if (med.status == MedicineStatus.Recalled) return Verdict.Recalled;
+        if (isExpired(_batchNumber)) return Verdict.Expired;
+        if (med.status == MedicineStatus.Sold || _unitSold) return Verdict.Sold;
+        return Verdict.Authentic;
+    }
+
+    // Message returned to the scanner
+    function _verdictMessage(Verdict _outcome, bool _isUnit) internal pure returns (string memory) {
+        if (_outcome == Verdict.NotFound) return "WARNING: Medicine NOT found on blockchain. Possible counterfeit!";
+        if (_outcome == Verdict.UnitNotRegistered) {
+            return "WARNING: Unit serial NOT registered for this batch. Possible counterfeit!";
+        }
+        if (_outcome == Verdict.Flagged) return "WARNING: Medicine has been FLAGGED as suspicious!";
+        if (_outcome == Verdict.Recalled) return "RECALLED: Genuine batch recalled by the manufacturer. Do not dispense.";
+        if (_outcome == Verdict.Expired) return "WARNING: Medicine has EXPIRED!";
+        if (_outcome == Verdict.Sold) {
+            return _isUnit
+                ? "WARNING: Unit already marked as SOLD. Possible duplicate label!"
+                : "WARNING: Medicine already marked as SOLD. Possible duplicate!";
+        }
+        return _isUnit ? "Unit is AUTHENTIC. All blockchain checks passed." : "Medicine is AUTHENTIC. All blockchain checks passed.";
+    }
+
+    // Short form kept in the verification record
+    function _verdictRecord(Verdict _outcome, bool _isUnit) internal pure returns (string memory) {
+        if (_outcome == Verdict.NotFound) return "NOT FOUND on blockchain";
+        if (_outcome == Verdict.UnitNotRegistered) return "Unit serial NOT registered";
+        if (_outcome == Verdict.Flagged) return "Medicine FLAGGED as suspicious";
+        if (_outcome == Verdict.Recalled) return "Medicine RECALLED by manufacturer";
+        if (_outcome == Verdict.Expired) return "Medicine EXPIRED";
+        if (_outcome == Verdict.Sold) return _isUnit ? "Unit already marked as SOLD" : "Medicine already marked as SOLD";
+        return "All verification checks passed";
+    }
+
+    // ===== Read-only Checks (no gas, nothing recorded) =====
+    // Same verdict and message as verifyMedicine, for wallet-less consumer scans
+    function checkMedicine(string memory _batchNumber)
+        external
+        view
+        returns (bool isAuthentic, string memory details)
+    {
+        Verdict verdict = _verdict(_batchNumber, true, false);
+        return (verdict == Verdict.Authentic, _verdictMessage(verdict, false));
+    }
+
+    // Same verdict and message as verifyUnit
+    function checkUnit(string memory _batchNumber, uint256 _serial, bytes32[] calldata _proof)
+        external
+        view
+        returns (bool isAuthentic, string memory details)
+    {
+        Verdict verdict = _verdict(
+            _batchNumber,
+            isRegisteredUnit(_batchNumber, _serial, _proof),
+            units[_unitKey(_batchNumber, _serial)].sold
+        );
+        return (verdict == Verdict.Authentic, _verdictMessage(verdict, true));
+    }
+    // ===== Unit Serialization =====
+    // Packs are proven against unitRoots with a Merkle proof built off-chain (see server.js)
+    function markUnitSold(string memory _batchNumber, uint256 _serial, bytes32[] calldata _proof)
+        external
+        whenNotPaused
+        medicineExists(_batchNumber)
+        onlyAuthorizedShop
+    {
+        require(_custodianOf(_batchNumber) == msg.sender, "Only the current custodian can sell this batch");
+        require(isRegisteredUnit(_batchNumber, _serial, _proof), "Unit serial not registered for this batch");
+        require(medicines[_batchNumber].status != MedicineStatus.Recalled, "Medicine has been recalled");
+        require(!isExpired(_batchNumber), "Medicine has expired");
+        UnitState storage unit = units[_unitKey(_batchNumber, _serial)];
+        require(!unit.sold, "Unit already sold");
+
+        unit.sold = true;
+        emit UnitSold(_batchNumber, _serial, msg.sender, block.timestamp);
+    }
+
+    // Verifies a single pack: the batch checks plus serial registration and per-unit sold state
+    function verifyUnit(string memory _batchNumber, uint256 _serial, bytes32[] calldata _proof)
+        external
+        returns (bool isAuthentic, string memory details)
+    {
+        return _verify(_batchNumber, true, _serial, isRegisteredUnit(_batchNumber, _serial, _proof));
+    }
+
+    function isRegisteredUnit(string memory _batchNumber, uint256 _serial, bytes32[] calldata _proof)
+        public
+        view
+        returns (bool)
+    {
+        bytes32 root = unitRoots[_batchNumber];
+        if (root == bytes32(0)) return false;
+
+        // Sorted-pair hashing, so the proof needs no left/right flags
+        bytes32 hash = _unitLeaf(_batchNumber, _serial);
+        for (uint256 i = 0; i < _proof.length; i++) {
+            bytes32 sibling = _proof[i];
+            hash = hash < sibling
+                ? keccak256(abi.encode(hash, sibling))
+                : keccak256(abi.encode(sibling, hash));
         }
+        return hash == root;
+    }
 
-        if (med.status == MedicineStatus.Sold) {
-            verifications[_batchNumber].push(VerificationRecord({
-                verifier: msg.sender,
-                timestamp: block.timestamp,
-                isAuthentic: false,
-                details: "Medicine already marked as SOLD"
-            }));
-            emit MedicineVerified(_batchNumber, false, msg.sender, block.timestamp);
-            return (false, "WARNING: Medicine already marked as SOLD. Possible duplicate!");
+    // Leaves are double-hashed so an inner node can never be passed off as a leaf
+    function _unitLeaf(string memory _batchNumber, uint256 _serial) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_unitKey(_batchNumber, _serial)));
+    }
+
+    function _unitKey(string memory _batchNumber, uint256 _serial) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_batchNumber, _serial));
+    }
+
+    function _recordUnitVerification(
+        string memory _batchNumber,
+        uint256 _serial,
+        bool _isAuthentic,
+        string memory _details
+    ) internal {
+        _recordVerification(
+            _batchNumber,
+            _isAuthentic,
+            string.concat("Unit #", _toString(_serial), ": ", _details)
+        );
+        emit UnitVerified(_batchNumber, _serial, _isAuthentic, msg.sender, block.timestamp);
+    }
+
+    function _toString(uint256 _value) internal pure returns (string memory) {
+        if (_value == 0) return "0";
+        uint256 digits;
+        for (uint256 v = _value; v != 0; v /= 10) digits++;
+        bytes memory buffer = new bytes(digits);
+        for (; _value != 0; _value /= 10) {
+            buffer[--digits] = bytes1(uint8(48 + (_value % 10)));
         }
+        return string(buffer);
+    }
 
-        // All checks passed
+    function _recordVerification(string memory _batchNumber, bool _isAuthentic, string memory _details) internal {
         verifications[_batchNumber].push(VerificationRecord({
             verifier: msg.sender,
             timestamp: block.timestamp,
-            isAuthentic: true,
-            details: "All verification checks passed"
+            isAuthentic: _isAuthentic,
+            details: _details
         }));
-
-        emit MedicineVerified(_batchNumber, true, msg.sender, block.timestamp);
-        return (true, "Medicine is AUTHENTIC. All blockchain checks passed.");
+        emit MedicineVerified(_batchNumber, _isAuthentic, msg.sender, block.timestamp);
     }
 
     // ===== Supply Chain Update =====
-    function updateSupplyChain(
-        string memory _batchNumber,
-        SupplyStage _stage,
-        string memory _actor,
-        string memory _location
-    ) external medicineExists(_batchNumber) {
-        supplyChain[_batchNumber].push(SupplyChainEntry({
-            stage: _stage,
-            actor: _actor,
-            location: _location,
-            timestamp: block.timestamp,
-            updatedBy: msg.sender
-        }));
-
-        emit SupplyChainUpdated(_batchNumber, _stage, _actor, _location, block.timestamp);
+    // updateSupplyChain, the custody transfer functions and the stage views are implemented by
+    // MediChainSupplyChain; deployment.json's ABI lists them with MediChain's own functions
+    fallback() external {
+        address module = supplyChainModule;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
     }
 
     // ===== Mark Medicine as Sold =====
-    function markAsSold(string memory _batchNumber) external medicineExists(_batchNumber) {
+    function markAsSold(string memory _batchNumber)
+        external
+        whenNotPaused
+        medicineExists(_batchNumber)
+        onlyAuthorizedShop
+    {
+        require(_custodianOf(_batchNumber) == msg.sender, "Only the current custodian can sell this batch");
+        // Selling would overwrite the flag and the status a dismissal restores
+        require(medicines[_batchNumber].status != MedicineStatus.Flagged, "Medicine has been flagged");
+        require(medicines[_batchNumber].status != MedicineStatus.Recalled, "Medicine has been recalled");
+        require(!isExpired(_batchNumber), "Medicine has expired");
         medicines[_batchNumber].status = MedicineStatus.Sold;
         emit MedicineStatusChanged(_batchNumber, MedicineStatus.Sold, block.timestamp);
     }
 
+    // ===== Expiry =====
+    // Permissionless sweeper: anyone may move a lapsed Active batch to Expired
+    function markExpired(string memory _batchNumber) external medicineExists(_batchNumber) {
+        require(medicines[_batchNumber].status == MedicineStatus.Active, "Only active batches can be marked expired");
+        require(block.timestamp >= medicines[_batchNumber].expiryDate, "Medicine has not expired yet");
+        _expire(_batchNumber);
+    }
+
+    // Past expiry, regardless of whether the status has been swept yet
+    function isExpired(string memory _batchNumber) public view returns (bool) {
+        Medicine storage med = medicines[_batchNumber];
+        return med.exists && (med.status == MedicineStatus.Expired || block.timestamp >= med.expiryDate);
+    }
+
+    // isExpired, sweeping a lapsed Active batch to Expired on the way
+    function _checkExpiry(string memory _batchNumber) internal returns (bool) {
+        if (!isExpired(_batchNumber)) return false;
+        if (medicines[_batchNumber].status == MedicineStatus.Active) {
+            _expire(_batchNumber);
+        }
+        return true;
+    }
+
+    function _expire(string memory _batchNumber) internal {
+        medicines[_batchNumber].status = MedicineStatus.Expired;
+        emit MedicineStatusChanged(_batchNumber, MedicineStatus.Expired, block.timestamp);
+    }
+
+    // ===== Recall =====
+    // Class I: reasonable probability of serious harm; Class II: temporary or reversible harm; Class III: unlikely to cause harm
+    function recallBatch(string memory _batchNumber, uint8 _recallClass, string memory _reason)
+        external
+        medicineExists(_batchNumber)
+    {
+        require(
+            msg.sender == owner || _isManufacturerOfRecord(_batchNumber, msg.sender),
+            "Only the owner or registering manufacturer can recall this batch"
+        );
+        require(_recallClass >= 1 && _recallClass <= 3, "Recall class must be 1 (I), 2 (II) or 3 (III)");
+        require(bytes(_reason).length > 0, "Recall reason cannot be empty");
+        require(medicines[_batchNumber].status != MedicineStatus.Recalled, "Batch already recalled");
+
+        medicines[_batchNumber].status = MedicineStatus.Recalled;
+        recalls[_batchNumber] = Recall({
+            recallClass: _recallClass,
+            reason: _reason,
+            issuedBy: msg.sender,
+            timestamp: block.timestamp
+        });
+
+        emit BatchRecalled(_batchNumber, _recallClass, _reason, msg.sender, block.timestamp);
+        emit MedicineStatusChanged(_batchNumber, MedicineStatus.Recalled, block.timestamp);
+    }
+
     // ===== Flag Medicine =====
-    function flagMedicine(string memory _batchNumber, string memory _reason) external {
-        if (medicines[_batchNumber].exists) {
-            medicines[_batchNumber].status = MedicineStatus.Flagged;
+    function flagMedicine(string memory _batchNumber, string memory _reason) external onlySupplyChainParty {
+        // A recall is final; reports against a recalled batch only raise the alert
+        Medicine storage med = medicines[_batchNumber];
+        if (med.exists && med.status != MedicineStatus.Recalled) {
+            if (med.status != MedicineStatus.Flagged) statusBeforeFlag[_batchNumber] = med.status;
+            med.status = MedicineStatus.Flagged;
+            emit MedicineStatusChanged(_batchNumber, MedicineStatus.Flagged, block.timestamp);
         }
+        _raiseAlert(_batchNumber, _reason, false);
+    }
+
+    // Softer than flagMedicine: records a suspicious-activity alert without taking the batch out of circulation
+    function reportSuspicious(string memory _batchNumber, string memory _reason) external onlySupplyChainParty {
+        _raiseAlert(_batchNumber, _reason, true);
+    }
+
+    function _raiseAlert(string memory _batchNumber, string memory _reason, bool _suspicious) internal {
+        if (!_suspicious) openHardAlerts[_batchNumber]++;
         alertCount++;
         alerts[alertCount] = CounterfeitAlert({
             id: alertCount,
@@ -329,10 +545,46 @@ contract MediChain {
             reason: _reason,
             reportedBy: msg.sender,
             timestamp: block.timestamp,
-            resolved: false
+            suspicious: _suspicious,
+            resolved: false,
+            resolution: "",
+            resolvedBy: address(0),
+            resolvedAt: 0
         });
-        emit CounterfeitAlertRaised(alertCount, _batchNumber, _reason, msg.sender, block.timestamp);
-        emit MedicineStatusChanged(_batchNumber, MedicineStatus.Flagged, block.timestamp);
+        emit CounterfeitAlertRaised(alertCount, _batchNumber, _reason, msg.sender, _suspicious, block.timestamp);
+    }
+
+    // ===== Resolve Alert =====
+    // Closes an alert with a note. Set _restoreBatch to dismiss a wrongly raised alert and return a
+    // flagged batch to the status it had before it was flagged, once no other hard alert on it is open.
+    function resolveAlert(uint256 _alertId, string memory _resolution, bool _restoreBatch) external {
+        CounterfeitAlert storage alert = alerts[_alertId];
+        require(alert.id != 0, "Alert not found");
+        require(!alert.resolved, "Alert already resolved");
+        require(bytes(_resolution).length > 0, "Resolution cannot be empty");
+        require(
+            msg.sender == owner || _isManufacturerOfRecord(alert.batchNumber, msg.sender),
+            "Only the owner or registering manufacturer can resolve this alert"
+        );
+
+        alert.resolved = true;
+        alert.resolution = _resolution;
+        alert.resolvedBy = msg.sender;
+        alert.resolvedAt = block.timestamp;
+        // Alerts raised before this counter existed were never counted
+        if (!alert.suspicious && openHardAlerts[alert.batchNumber] > 0) openHardAlerts[alert.batchNumber]--;
+
+        bool restored = false;
+        if (_restoreBatch) {
+            Medicine storage med = medicines[alert.batchNumber];
+            require(med.exists && med.status == MedicineStatus.Flagged, "Batch is not flagged");
+            require(openHardAlerts[alert.batchNumber] == 0, "Batch has other unresolved alerts");
+            med.status = statusBeforeFlag[alert.batchNumber];
+            restored = true;
+            emit MedicineStatusChanged(alert.batchNumber, med.status, block.timestamp);
+        }
+
+        emit AlertResolved(_alertId, alert.batchNumber, _resolution, restored, msg.sender, block.timestamp);
     }
 
     // ===== View Functions =====
@@ -344,6 +596,11 @@ contract MediChain {
         return medicines[_batchNumber];
     }
 
+    function getRecall(string memory _batchNumber) external view returns (Recall memory) {
+        require(medicines[_batchNumber].status == MedicineStatus.Recalled, "Batch has not been recalled");
+        return recalls[_batchNumber];
+    }
+
     function getSupplyChain(string memory _batchNumber)
         external view
         returns (SupplyChainEntry[] memory)
@@ -358,6 +615,14 @@ contract MediChain {
         return verifications[_batchNumber];
     }
 
+    function getUnit(string memory _batchNumber, uint256 _serial, bytes32[] calldata _proof)
+        external view
+        returns (bool registered, bool sold, uint256 scanCount)
+    {
+        UnitState storage unit = units[_unitKey(_batchNumber, _serial)];
+        return (isRegisteredUnit(_batchNumber, _serial, _proof), unit.sold, unit.scanCount);
+    }
+
     function getAlert(uint256 _alertId)
         external view
         returns (CounterfeitAlert memory)
@@ -365,6 +630,21 @@ contract MediChain {
         return alerts[_alertId];
     }
 
+    // Alerts in id order; offset 0 is alert #1
+    function getAlerts(uint256 _offset, uint256 _limit)
+        external view
+        returns (CounterfeitAlert[] memory page)
+    {
+        if (_offset >= alertCount) return new CounterfeitAlert[](0);
+
+        uint256 end = _limit > alertCount - _offset ? alertCount : _offset + _limit;
+
+        page = new CounterfeitAlert[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = alerts[i + 1];
+        }
+    }
+
     function getTotalBatches() external view returns (uint256) {
         return allBatchNumbers.length;
     }
@@ -374,6 +654,18 @@ contract MediChain {
         return allBatchNumbers[_index];
     }
 
+    // Batch numbers [_offset, _offset + _limit) in registration order, clamped to the end of the list
+    function getBatches(uint256 _offset, uint256 _limit) external view returns (string[] memory batches) {
+        uint256 total = allBatchNumbers.length;
+        if (_offset >= total) return new string[](0);
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        batches = new string[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            batches[i - _offset] = allBatchNumbers[i];
+        }
+    }
+
     function getStats()
         external view
         returns (
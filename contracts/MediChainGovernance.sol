@@ -0,0 +1,236 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IOwnable2Step {
+    function acceptOwnership() external;
+}
+
+/**
+ * @title MediChainGovernance - M-of-N approval module for MediChain owner actions
+ * @dev Becomes the MediChain owner through transferOwnership + acceptOwnershipOf. Admins propose a call (role grants, registry
+ *      changes, recalls, alert resolutions...), the other admins approve it, and any admin executes it once
+ *      the approval threshold is met. Admin and threshold changes are proposals targeting this contract.
+ */
+contract MediChainGovernance {
+    // ===== State Variables =====
+    address[] public admins;
+    mapping(address => bool) public isAdmin;
+    mapping(address => uint256) public adminTerm; // admin => times the address has been added; approvals are tied to a term
+    uint256 public threshold;
+
+    // ===== Structs =====
+    struct Proposal {
+        uint256 id;
+        address target;
+        bytes data; // ABI-encoded call
+        string description;
+        address proposer;
+        uint256 createdAt;
+        bool executed;
+        address executedBy;
+        uint256 executedAt;
+    }
+
+    // ===== Mappings =====
+    Proposal[] internal proposals; // proposalId - 1 => Proposal
+    mapping(uint256 => mapping(address => uint256)) internal approvalTerm; // proposalId => admin => term approved in, 0 if none
+
+    // ===== Events =====
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address target,
+        bytes data,
+        string description,
+        uint256 timestamp
+    );
+    event ProposalApproved(uint256 indexed proposalId, address indexed admin, uint256 approvals, uint256 timestamp);
+    event ApprovalRevoked(uint256 indexed proposalId, address indexed admin, uint256 approvals, uint256 timestamp);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executedBy, uint256 timestamp);
+    event AdminAdded(address indexed admin, uint256 timestamp);
+    event AdminRemoved(address indexed admin, uint256 timestamp);
+    event ThresholdChanged(uint256 threshold, uint256 timestamp);
+
+    // ===== Modifiers =====
+    modifier onlyAdmin() {
+        require(isAdmin[msg.sender], "Only governance admins can perform this action");
+        _;
+    }
+
+    // Admin set and threshold only change through an executed proposal
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "Only an approved proposal can perform this action");
+        _;
+    }
+
+    modifier proposalExists(uint256 _proposalId) {
+        require(_proposalId > 0 && _proposalId <= proposals.length, "Proposal not found");
+        _;
+    }
+
+    // ===== Constructor =====
+    constructor(address[] memory _admins, uint256 _threshold) {
+        for (uint256 i = 0; i < _admins.length; i++) {
+            _addAdmin(_admins[i]);
+        }
+        _setThreshold(_threshold);
+    }
+
+    // ===== Proposals =====
+    // The proposer's approval is counted right away
+    function propose(address _target, bytes memory _data, string memory _description)
+        external
+        onlyAdmin
+        returns (uint256)
+    {
+        // A call to an address without code always succeeds, so a mistyped target would "execute" doing nothing
+        require(_target.code.length > 0, "Target is not a contract");
+
+        uint256 proposalId = proposals.length + 1;
+        proposals.push(Proposal({
+            id: proposalId,
+            target: _target,
+            data: _data,
+            description: _description,
+            proposer: msg.sender,
+            createdAt: block.timestamp,
+            executed: false,
+            executedBy: address(0),
+            executedAt: 0
+        }));
+        emit ProposalCreated(proposalId, msg.sender, _target, _data, _description, block.timestamp);
+
+        approvalTerm[proposalId][msg.sender] = adminTerm[msg.sender];
+        emit ProposalApproved(proposalId, msg.sender, 1, block.timestamp);
+        return proposalId;
+    }
+
+    function approve(uint256 _proposalId) external onlyAdmin proposalExists(_proposalId) {
+        require(!proposals[_proposalId - 1].executed, "Proposal already executed");
+        require(!hasApproved(_proposalId, msg.sender), "Proposal already approved by this admin");
+
+        approvalTerm[_proposalId][msg.sender] = adminTerm[msg.sender];
+        emit ProposalApproved(_proposalId, msg.sender, getApprovalCount(_proposalId), block.timestamp);
+    }
+
+    function revokeApproval(uint256 _proposalId) external onlyAdmin proposalExists(_proposalId) {
+        require(!proposals[_proposalId - 1].executed, "Proposal already executed");
+        require(hasApproved(_proposalId, msg.sender), "Proposal not approved by this admin");
+
+        approvalTerm[_proposalId][msg.sender] = 0;
+        emit ApprovalRevoked(_proposalId, msg.sender, getApprovalCount(_proposalId), block.timestamp);
+    }
+
+    // Runs the proposed call; a reverting call reverts the execution with the target's reason and can be retried
+    function execute(uint256 _proposalId) external onlyAdmin proposalExists(_proposalId) {
+        Proposal storage proposal = proposals[_proposalId - 1];
+        require(!proposal.executed, "Proposal already executed");
+        require(getApprovalCount(_proposalId) >= threshold, "Not enough approvals");
+        // The target may have self-destructed since the proposal
+        require(proposal.target.code.length > 0, "Target is not a contract");
+
+        proposal.executed = true;
+        proposal.executedBy = msg.sender;
+        proposal.executedAt = block.timestamp;
+
+        (bool success, bytes memory result) = proposal.target.call(proposal.data);
+        if (!success) {
+            if (result.length == 0) revert("Proposal execution failed");
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ProposalExecuted(_proposalId, msg.sender, block.timestamp);
+    }
+
+    // Accepting ownership the current owner already offered needs no proposal; any admin may complete it
+    function acceptOwnershipOf(address _ownable) external onlyAdmin {
+        IOwnable2Step(_ownable).acceptOwnership();
+    }
+
+    // ===== Admin Management (via proposals) =====
+    function addAdmin(address _admin) external onlyGovernance {
+        _addAdmin(_admin);
+    }
+
+    // The threshold must stay reachable, so lower it first if needed
+    function removeAdmin(address _admin) external onlyGovernance {
+        require(isAdmin[_admin], "Address is not an admin");
+        require(admins.length - 1 >= threshold, "Removing this admin would make the threshold unreachable");
+
+        isAdmin[_admin] = false;
+        for (uint256 i = 0; i < admins.length; i++) {
+            if (admins[i] == _admin) {
+                admins[i] = admins[admins.length - 1];
+                admins.pop();
+                break;
+            }
+        }
+        emit AdminRemoved(_admin, block.timestamp);
+    }
+
+    function setThreshold(uint256 _threshold) external onlyGovernance {
+        _setThreshold(_threshold);
+    }
+
+    function _addAdmin(address _admin) internal {
+        require(_admin != address(0), "Admin is the zero address");
+        require(!isAdmin[_admin], "Address is already an admin");
+        isAdmin[_admin] = true;
+        adminTerm[_admin]++;
+        admins.push(_admin);
+        emit AdminAdded(_admin, block.timestamp);
+    }
+
+    function _setThreshold(uint256 _threshold) internal {
+        require(_threshold > 0 && _threshold <= admins.length, "Threshold must be between 1 and the number of admins");
+        threshold = _threshold;
+        emit ThresholdChanged(_threshold, block.timestamp);
+    }
+
+    // ===== View Functions =====
+    // Approvals from current admins only; approvals of removed admins no longer count
+    function getApprovalCount(uint256 _proposalId) public view returns (uint256 count) {
+        for (uint256 i = 0; i < admins.length; i++) {
+            if (hasApproved(_proposalId, admins[i])) count++;
+        }
+    }
+
+    // Only a current admin's approvals from its current term count, so a removed and re-added admin starts afresh
+    function hasApproved(uint256 _proposalId, address _admin) public view returns (bool) {
+        uint256 term = approvalTerm[_proposalId][_admin];
+        return isAdmin[_admin] && term != 0 && term == adminTerm[_admin];
+    }
+
+    function getAdmins() external view returns (address[] memory) {
+        return admins;
+    }
+
+    function getProposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    function getProposal(uint256 _proposalId)
+        external
+        view
+        proposalExists(_proposalId)
+        returns (Proposal memory)
+    {
+        return proposals[_proposalId - 1];
+    }
+
+    function getProposals(uint256 _offset, uint256 _limit)
+        external view
+        returns (Proposal[] memory page)
+    {
+        uint256 total = proposals.length;
+        if (_offset >= total) return new Proposal[](0);
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+
+        page = new Proposal[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = proposals[i];
+        }
+    }
+}
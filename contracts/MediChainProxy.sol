@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MediChainProxy - ERC-1967 proxy that keeps MediChain's address and data across upgrades
+ * @dev Forwards every call to the current implementation with delegatecall, so batches, supply chain
+ *      history, verifications and alerts live in the proxy's storage. The proxy has no admin functions:
+ *      MediChain.upgradeTo (owner only, or a governance proposal) switches the implementation.
+ */
+contract MediChainProxy {
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    event Upgraded(address indexed implementation);
+
+    // _initData is delegatecalled once (MediChain.initialize), making the deployer the owner
+    constructor(address _implementation, bytes memory _initData) {
+        require(_implementation.code.length > 0, "Implementation is not a contract");
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, _implementation)
+        }
+        emit Upgraded(_implementation);
+
+        (bool success, bytes memory result) = _implementation.delegatecall(_initData);
+        if (!success) {
+            if (result.length == 0) revert("Initialization failed");
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    fallback() external {
+        assembly {
+            let implementation := sload(IMPLEMENTATION_SLOT)
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
@@ -0,0 +1,322 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MediChainStorage - State, events and modifiers shared by MediChain and MediChainSupplyChain
+ * @dev Inherited by MediChain and by MediChainSupplyChain, which MediChain delegatecalls, so both use the
+ *      proxy's storage with the same layout. Upgrades keep that storage: existing state variables must
+ *      never be reordered, retyped or removed; new ones go after the last mapping.
+ */
+abstract contract MediChainStorage {
+    // ===== State Variables =====
+    address public owner;
+    address public pendingOwner; // proposed by transferOwnership, becomes owner on acceptOwnership
+    bool public paused; // circuit breaker: halts registrations and supply chain writes
+    uint256 public medicineCount;
+    uint256 public verificationCount;
+    uint256 public alertCount;
+
+    // ===== Enums =====
+    enum MedicineStatus { Active, Sold, Expired, Flagged, Recalled }
+    enum SupplyStage { Manufactured, QualityChecked, Shipped, InTransit, Delivered, Dispensed, Returned }
+    enum Verdict { Authentic, NotFound, UnitNotRegistered, Flagged, Recalled, Expired, Sold } // scan outcome
+
+    // ===== Structs =====
+    struct Medicine {
+        uint256 id;
+        string medicineName;
+        string batchNumber;
+        string manufacturerId;
+        string manufacturerName;
+        uint256 mfgDate; // unix timestamp
+        uint256 expiryDate; // unix timestamp; stock is expired from this moment on
+        string medicineType;
+        uint256 quantity;
+        string composition;
+        string shipmentDest;
+        uint256 price;
+        string gtin; // GS1 GTIN-14 of the pack, empty if it carries none
+        MedicineStatus status;
+        address registeredBy;
+        uint256 registeredAt;
+        uint256 scanCount;
+        bool exists;
+    }
+
+    // Everything a manufacturer supplies at registration, passed as one tuple.
+    // The manufacturer's ID and name come from its registry profile, not from the caller.
+    struct MedicineInput {
+        string medicineName;
+        string batchNumber;
+        uint256 mfgDate; // unix timestamp
+        uint256 expiryDate; // unix timestamp
+        string medicineType;
+        uint256 quantity;
+        string composition;
+        string shipmentDest;
+        uint256 price;
+        string gtin; // GS1 GTIN-14, empty if none
+        bytes32 unitRoot; // Merkle root of pack serials, zero for batch-level only
+    }
+
+    struct SupplyChainEntry {
+        SupplyStage stage;
+        string actor;
+        string location;
+        uint256 timestamp;
+        address updatedBy;
+    }
+
+    struct VerificationRecord {
+        address verifier;
+        uint256 timestamp;
+        bool isAuthentic;
+        string details;
+    }
+
+    struct CounterfeitAlert {
+        uint256 id;
+        string batchNumber;
+        string reason;
+        address reportedBy;
+        uint256 timestamp;
+        bool suspicious; // raised by reportSuspicious; the batch keeps its status
+        bool resolved;
+        string resolution;
+        address resolvedBy;
+        uint256 resolvedAt;
+    }
+
+    struct Recall {
+        uint8 recallClass; // 1 = Class I (most serious) … 3 = Class III
+        string reason;
+        address issuedBy;
+        uint256 timestamp;
+    }
+
+    struct UnitState {
+        bool sold;
+        uint256 scanCount;
+    }
+
+    // Handover offered by a batch's custodian and not yet answered by the recipient
+    struct CustodyTransfer {
+        address from;
+        address to; // zero when the batch has no open transfer
+        SupplyStage stage; // recorded by the recipient on acceptance
+        uint256 initiatedAt;
+    }
+
+    // Verified company identity behind a manufacturer wallet, maintained by the owner
+    struct ManufacturerProfile {
+        string manufacturerId;
+        string legalName;
+        string licenseNumber;
+        uint256 licenseValidFrom; // unix timestamp
+        uint256 licenseValidUntil; // unix timestamp; the license has lapsed from this moment on
+        string jurisdiction;
+    }
+
+    // ===== Mappings =====
+    // Storage layout is shared across upgrades: append new state below manufacturerProfiles only
+    mapping(string => Medicine) internal medicines; // batchNumber => Medicine
+    mapping(string => SupplyChainEntry[]) internal supplyChain; // batchNumber => entries
+    mapping(string => VerificationRecord[]) internal verifications; // batchNumber => records
+    mapping(uint256 => CounterfeitAlert) internal alerts; // alertId => Alert
+    mapping(address => bool) public authorizedManufacturers;
+    mapping(address => bool) public authorizedDistributors;
+    mapping(address => bool) public authorizedShops;
+    string[] internal allBatchNumbers; // Track all registered batches
+    mapping(string => Recall) internal recalls; // batchNumber => Recall (set once the batch is Recalled)
+    mapping(string => bytes32) public unitRoots; // batchNumber => Merkle root of serialized pack leaves
+    mapping(bytes32 => UnitState) public units; // keccak256(batchNumber, serial) => pack state
+    mapping(address => ManufacturerProfile) public manufacturerProfiles; // wallet => registry profile
+    mapping(string => address) internal custodians; // batchNumber => holder, unset while the registering manufacturer holds it
+    mapping(string => CustodyTransfer) internal custodyTransfers; // batchNumber => open handover, at most one
+    mapping(string => MedicineStatus) internal statusBeforeFlag; // batchNumber => status a dismissed flag restores
+    mapping(string => uint256) internal openHardAlerts; // batchNumber => unresolved non-suspicious alerts
+
+    // ===== Events =====
+    event MedicineRegistered(
+        string indexed batchNumber,
+        string medicineName,
+        string manufacturerId,
+        address registeredBy,
+        uint256 timestamp
+    );
+
+    event MedicineDetailsUpdated(
+        string indexed batchNumber,
+        uint256 timestamp
+    );
+
+    event MedicineVerified(
+        string indexed batchNumber,
+        bool isAuthentic,
+        address verifier,
+        uint256 timestamp
+    );
+
+    event SupplyChainUpdated(
+        string indexed batchNumber,
+        SupplyStage stage,
+        string actor,
+        string location,
+        uint256 timestamp
+    );
+
+    event CounterfeitAlertRaised(
+        uint256 alertId,
+        string batchNumber,
+        string reason,
+        address reportedBy,
+        bool suspicious,
+        uint256 timestamp
+    );
+
+    event AlertResolved(
+        uint256 alertId,
+        string batchNumber,
+        string resolution,
+        bool batchRestored,
+        address resolvedBy,
+        uint256 timestamp
+    );
+
+    event BatchRecalled(
+        string indexed batchNumber,
+        uint8 recallClass,
+        string reason,
+        address issuedBy,
+        uint256 timestamp
+    );
+
+    event MedicineStatusChanged(
+        string indexed batchNumber,
+        MedicineStatus newStatus,
+        uint256 timestamp
+    );
+
+    event UnitRootCommitted(
+        string indexed batchNumber,
+        bytes32 unitRoot,
+        uint256 timestamp
+    );
+
+    event UnitVerified(
+        string indexed batchNumber,
+        uint256 serial,
+        bool isAuthentic,
+        address verifier,
+        uint256 timestamp
+    );
+
+    event UnitSold(
+        string indexed batchNumber,
+        uint256 serial,
+        address shop,
+        uint256 timestamp
+    );
+
+    event ManufacturerAuthorized(address indexed manufacturer, uint256 timestamp);
+    event DistributorAuthorized(address indexed distributor, uint256 timestamp);
+    event ShopAuthorized(address indexed shop, uint256 timestamp);
+    event ManufacturerRevoked(address indexed manufacturer, uint256 timestamp);
+    event DistributorRevoked(address indexed distributor, uint256 timestamp);
+    event ShopRevoked(address indexed shop, uint256 timestamp);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+    event Paused(address indexed account, uint256 timestamp);
+    event Unpaused(address indexed account, uint256 timestamp);
+    event Upgraded(address indexed implementation, string version, uint256 timestamp);
+    event CustodyTransferInitiated(
+        string indexed batchNumber,
+        address indexed from,
+        address indexed to,
+        SupplyStage stage,
+        uint256 timestamp
+    );
+    event CustodyTransferAccepted(
+        string indexed batchNumber,
+        address indexed from,
+        address indexed to,
+        SupplyStage stage,
+        uint256 timestamp
+    );
+    event CustodyTransferRejected(
+        string indexed batchNumber,
+        address indexed from,
+        address indexed to,
+        string reason,
+        address rejectedBy,
+        uint256 timestamp
+    );
+    event ManufacturerProfileSet(
+        address indexed manufacturer,
+        string manufacturerId,
+        string legalName,
+        string licenseNumber,
+        uint256 licenseValidUntil,
+        uint256 timestamp
+    );
+
+    // ===== Modifiers =====
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only contract owner can perform this action");
+        _;
+    }
+
+    // Reads, verifications, recalls and alerts keep working while paused
+    modifier whenNotPaused() {
+        require(!paused, "MediChain is paused for maintenance");
+        _;
+    }
+
+    modifier onlyAuthorizedManufacturer() {
+        require(
+            authorizedManufacturers[msg.sender] || msg.sender == owner,
+            "Not an authorized manufacturer"
+        );
+        _;
+    }
+
+    modifier onlyAuthorizedShop() {
+        require(
+            authorizedShops[msg.sender] || msg.sender == owner,
+            "Not an authorized shop"
+        );
+        _;
+    }
+
+    modifier onlySupplyChainParty() {
+        require(
+            authorizedManufacturers[msg.sender] ||
+            authorizedDistributors[msg.sender] ||
+            authorizedShops[msg.sender] ||
+            msg.sender == owner,
+            "Only authorized supply chain parties can flag medicines"
+        );
+        _;
+    }
+
+    modifier onlyManufacturerOfRecord(string memory _batchNumber) {
+        require(_isManufacturerOfRecord(_batchNumber, msg.sender), "Only the registering manufacturer can modify this batch");
+        _;
+    }
+
+    modifier medicineExists(string memory _batchNumber) {
+        require(medicines[_batchNumber].exists, "Medicine not found on blockchain");
+        _;
+    }
+
+    // ===== Internal Helpers =====
+    function _isManufacturerOfRecord(string memory _batchNumber, address _account) internal view returns (bool) {
+        return medicines[_batchNumber].registeredBy == _account && authorizedManufacturers[_account];
+    }
+
+    // The registering manufacturer holds a batch until its first accepted custody transfer
+    function _custodianOf(string memory _batchNumber) internal view returns (address) {
+        address custodian = custodians[_batchNumber];
+        return custodian != address(0) ? custodian : medicines[_batchNumber].registeredBy;
+    }
+}
@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MediChainStorage.sol";
+
+/**
+ * @title MediChainSupplyChain - Supply chain stage updates and custody transfers for MediChain
+ * @dev Only reached through MediChain's fallback, which delegatecalls it, so it runs on the proxy's storage
+ *      with MediChain's owner, pause state and batches. Lives outside MediChain to keep it under the
+ *      contract size limit; scripts/deploy.js and scripts/upgrade.js deploy it with each implementation.
+ */
+contract MediChainSupplyChain is MediChainStorage {
+    // ===== Supply Chain Update =====
+    function updateSupplyChain(
+        string memory _batchNumber,
+        SupplyStage _stage,
+        string memory _actor,
+        string memory _location
+    ) external whenNotPaused medicineExists(_batchNumber) {
+        // Stages recorded in place; moving goods to another party goes through initiateCustodyTransfer
+        require(
+            msg.sender == owner || msg.sender == currentCustodian(_batchNumber),
+            "Only the current custodian can update this batch"
+        );
+        require(
+            isValidTransition(getCurrentStage(_batchNumber), _stage),
+            "Invalid supply chain transition"
+        );
+        string memory roleError = _stageRoleError(_batchNumber, _stage, msg.sender);
+        require(bytes(roleError).length == 0, roleError);
+
+        _appendSupplyChain(_batchNumber, _stage, _actor, _location);
+    }
+
+    function _appendSupplyChain(
+        string memory _batchNumber,
+        SupplyStage _stage,
+        string memory _actor,
+        string memory _location
+    ) internal {
+        supplyChain[_batchNumber].push(SupplyChainEntry({
+            stage: _stage,
+            actor: _actor,
+            location: _location,
+            timestamp: block.timestamp,
+            updatedBy: msg.sender
+        }));
+
+        emit SupplyChainUpdated(_batchNumber, _stage, _actor, _location, block.timestamp);
+    }
+
+    // ===== Custody =====
+    // Goods change hands in two steps: the custodian offers the batch to a recipient, who either accepts,
+    // becoming custodian and writing the supply chain entry with its own actor and location, or rejects it.
+    function initiateCustodyTransfer(string memory _batchNumber, address _to, SupplyStage _stage)
+        external
+        whenNotPaused
+        medicineExists(_batchNumber)
+    {
+        address from = currentCustodian(_batchNumber);
+        require(msg.sender == from, "Only the current custodian can transfer this batch");
+        require(_to != address(0) && _to != from, "Invalid custody recipient");
+        require(custodyTransfers[_batchNumber].to == address(0), "Batch already has a pending custody transfer");
+        _requireHandoverStage(_batchNumber, _stage, from, _to);
+
+        custodyTransfers[_batchNumber] = CustodyTransfer({
+            from: from,
+            to: _to,
+            stage: _stage,
+            initiatedAt: block.timestamp
+        });
+        emit CustodyTransferInitiated(_batchNumber, from, _to, _stage, block.timestamp);
+    }
+
+    function acceptCustodyTransfer(string memory _batchNumber, string memory _actor, string memory _location)
+        external
+        whenNotPaused
+    {
+        CustodyTransfer memory transfer = custodyTransfers[_batchNumber];
+        require(transfer.to != address(0) && msg.sender == transfer.to, "Only the recipient can accept this transfer");
+        // The custodian may have recorded stages since offering the batch
+        _requireHandoverStage(_batchNumber, transfer.stage, transfer.from, transfer.to);
+
+        delete custodyTransfers[_batchNumber];
+        custodians[_batchNumber] = msg.sender;
+        _appendSupplyChain(_batchNumber, transfer.stage, _actor, _location);
+        emit CustodyTransferAccepted(_batchNumber, transfer.from, msg.sender, transfer.stage, block.timestamp);
+    }
+
+    // The recipient declines the goods, or the custodian withdraws the offer
+    function rejectCustodyTransfer(string memory _batchNumber, string memory _reason) external {
+        CustodyTransfer storage transfer = custodyTransfers[_batchNumber];
+        require(
+            transfer.to != address(0) && (msg.sender == transfer.to || msg.sender == transfer.from),
+            "Only the parties to this transfer can reject it"
+        );
+        require(bytes(_reason).length > 0, "Rejection reason cannot be empty");
+
+        emit CustodyTransferRejected(_batchNumber, transfer.from, transfer.to, _reason, msg.sender, block.timestamp);
+        delete custodyTransfers[_batchNumber];
+    }
+
+    // A handover stage must follow the current one and be a stage either party may record,
+    // e.g. Shipped to a distributor, or Delivered by one to a shop. The recipient becomes the
+    // custodian, so it must be able to record that stage or one that may follow it.
+    function _requireHandoverStage(string memory _batchNumber, SupplyStage _stage, address _from, address _to)
+        internal view
+    {
+        require(isValidTransition(getCurrentStage(_batchNumber), _stage), "Invalid supply chain transition");
+        require(
+            bytes(_stageRoleError(_batchNumber, _stage, _from)).length == 0 ||
+            bytes(_stageRoleError(_batchNumber, _stage, _to)).length == 0,
+            "Neither party may record this stage"
+        );
+        require(_mayContinueFrom(_batchNumber, _stage, _to), "Recipient has no supply chain role for this stage");
+    }
+
+    function _mayContinueFrom(string memory _batchNumber, SupplyStage _stage, address _account)
+        internal view
+        returns (bool)
+    {
+        if (bytes(_stageRoleError(_batchNumber, _stage, _account)).length == 0) return true;
+        for (uint8 i = 0; i < 7; i++) {
+            SupplyStage next = SupplyStage(i);
+            if (isValidTransition(_stage, next) && bytes(_stageRoleError(_batchNumber, next, _account)).length == 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Forward-only stage machine; Returned is the single way back into the flow
+    function isValidTransition(SupplyStage _from, SupplyStage _to) public pure returns (bool) {
+        if (_from == SupplyStage.Manufactured) return _to == SupplyStage.QualityChecked;
+        if (_from == SupplyStage.QualityChecked) return _to == SupplyStage.Shipped;
+        if (_from == SupplyStage.Shipped) {
+            return _to == SupplyStage.InTransit || _to == SupplyStage.Delivered || _to == SupplyStage.Returned;
+        }
+        if (_from == SupplyStage.InTransit) {
+            return _to == SupplyStage.InTransit || _to == SupplyStage.Delivered || _to == SupplyStage.Returned;
+        }
+        if (_from == SupplyStage.Delivered) return _to == SupplyStage.Dispensed || _to == SupplyStage.Returned;
+        if (_from == SupplyStage.Dispensed) return _to == SupplyStage.Returned;
+        // Returned goods must be re-inspected before re-entering distribution
+        return _to == SupplyStage.QualityChecked;
+    }
+
+    // Manufacturer stages belong to the registering manufacturer, logistics stages
+    // to distributors and dispensing to shops. Returns an empty string when allowed.
+    function _stageRoleError(string memory _batchNumber, SupplyStage _stage, address _account)
+        internal view
+        returns (string memory)
+    {
+        if (_stage == SupplyStage.Manufactured) {
+            return "Manufactured stage is recorded at registration";
+        }
+        if (_account == owner) return "";
+
+        if (_stage == SupplyStage.QualityChecked) {
+            if (!_isManufacturerOfRecord(_batchNumber, _account)) {
+                return "Only the registering manufacturer can record quality checks";
+            }
+        } else if (_stage == SupplyStage.Dispensed) {
+            if (!authorizedShops[_account]) return "Only authorized shops can dispense medicine";
+        } else if (_stage == SupplyStage.Returned) {
+            if (!authorizedDistributors[_account] && !authorizedShops[_account] &&
+                !_isManufacturerOfRecord(_batchNumber, _account)) {
+                return "Only supply chain parties can record returns";
+            }
+        } else if (!authorizedDistributors[_account]) {
+            return "Only authorized distributors can ship, transport or deliver";
+        }
+        return "";
+    }
+
+    // ===== View Functions =====
+    function getCurrentStage(string memory _batchNumber)
+        public view
+        medicineExists(_batchNumber)
+        returns (SupplyStage)
+    {
+        SupplyChainEntry[] storage entries = supplyChain[_batchNumber];
+        return entries[entries.length - 1].stage;
+    }
+
+    // Stages `_account` may record next for a batch, indexed by SupplyStage
+    function getAllowedNextStages(string memory _batchNumber, address _account)
+        external view
+        returns (bool[7] memory allowed)
+    {
+        SupplyStage current = getCurrentStage(_batchNumber);
+        if (_account != owner && _account != currentCustodian(_batchNumber)) return allowed;
+        for (uint8 i = 0; i < allowed.length; i++) {
+            SupplyStage next = SupplyStage(i);
+            allowed[i] = isValidTransition(current, next) &&
+                bytes(_stageRoleError(_batchNumber, next, _account)).length == 0;
+        }
+    }
+
+    function currentCustodian(string memory _batchNumber) public view returns (address) {
+        return _custodianOf(_batchNumber);
+    }
+
+
+    function getCustodyTransfer(string memory _batchNumber) external view returns (CustodyTransfer memory) {
+        return custodyTransfers[_batchNumber];
+    }
+}
@@ -13,6 +13,11 @@
     let activityChart = null;
     let distributionChart = null;
     let useSmartContract = false; // Will be true when MetaMask + contract are ready
+    // 'quick' = gas-free view call (no wallet needed), 'recorded' = on-chain verification transaction
+    let verifyMode = localStorage.getItem('medichain_verify_mode') || 'quick';
+    let verifyLocation = localStorage.getItem('medichain_verify_location') || 'off';
+    const inventoryQuery = { offset: 0, limit: 10, sort: '' };
+    const MAINTENANCE_POLL_MS = 60 * 1000; // how often the contract's pause state is re-read
 
     // ===== Global Toast (exposed for MetaMask module) =====
     window.showToast = showToast;
@@ -25,6 +30,7 @@
         // Initialize MetaMask module
         await MM.init();
         useSmartContract = MM.hasContract && MM.isConnected;
+        await updateManufacturerFields();
 
         setupNavigation();
         setupEventListeners();
@@ -34,6 +40,10 @@
         await updateInventoryTable();
         updateTransactionTable();
         updateAlerts();
+        document.getElementById('nav-governance').classList.toggle('hidden', !MM.hasGovernance);
+        updateProposals();
+        refreshMaintenanceBanner();
+        setInterval(refreshMaintenanceBanner, MAINTENANCE_POLL_MS);
         hideLoadingScreen();
     }
 
@@ -46,6 +56,28 @@
         }, 2200);
     }
 
+    // ===== Maintenance =====
+    // The owner can pause the contract; writes are then refused (by metamask.js or the backend) and a banner explains why.
+    // A second banner warns when the contract runs a different release than the ABI in deployment.json.
+    async function refreshMaintenanceBanner() {
+        try {
+            const status = await MM.getContractStatus();
+            document.getElementById('maintenance-banner').classList.toggle('hidden', !status.paused);
+
+            const versionBanner = document.getElementById('version-banner');
+            const mismatch = status.version !== status.deploymentVersion;
+            versionBanner.classList.toggle('hidden', !mismatch);
+            if (mismatch) {
+                versionBanner.querySelector('span').textContent =
+                    `This app was built for MediChain ${status.deploymentVersion || '(unversioned)'}, but the contract runs ` +
+                    `${status.version || 'an unversioned release'}. Some actions may fail until deployment.json is updated ` +
+                    '(scripts/upgrade.js records new releases).';
+            }
+        } catch (e) {
+            // No contract or backend reachable: nothing to report
+        }
+    }
+
     // ===== Navigation =====
     function setupNavigation() {
         document.querySelectorAll('.nav-link').forEach(link => {
@@ -69,11 +101,14 @@
         const pageEl = document.getElementById(`page-${page}`);
         if (navLink) navLink.classList.add('active');
         if (pageEl) pageEl.classList.add('active');
+        if (page === 'register') updateManufacturerFields();
+        if (page === 'governance') updateProposals();
+        if (page === 'supplychain') updateCustodyTransfers();
         const titles = {
-            dashboard: 'Dashboard', register: 'Register Medicine',
+            dashboard: 'Dashboard', register: 'Register Medicine', import: 'Bulk Import',
             verify: 'Verify Medicine', supplychain: 'Supply Chain',
             transactions: 'Transaction Ledger', scanner: 'IoT QR Scanner',
-            alerts: 'Alert Center'
+            alerts: 'Alert Center', governance: 'Governance'
         };
         document.getElementById('page-title').textContent = titles[page] || page;
         document.getElementById('breadcrumb-current').textContent = titles[page] || page;
@@ -92,6 +127,9 @@
             if (MM.isConnected) {
                 MM.disconnect();
                 useSmartContract = false;
+                updateManufacturerFields();
+                updateProposals();
+                updateCustodyTransfers();
                 showToast('Wallet disconnected. Using local blockchain.', 'info');
             } else {
                 const connected = await MM.connectWallet();
@@ -102,8 +140,13 @@
                     } else {
                         showToast('MetaMask connected but no contract found. Deploy the contract first.', 'warning');
                     }
+                    await updateManufacturerFields();
+                    await updateProposals();
+                    await updateCustodyTransfers();
+                    await refreshMaintenanceBanner();
                     await updateDashboard();
                     await updateInventoryTable();
+                    await updateAlerts();
                 }
             }
         });
@@ -112,11 +155,36 @@
         document.getElementById('register-form').addEventListener('submit', handleRegister);
         document.getElementById('reset-form').addEventListener('click', resetForm);
 
+        // Bulk import
+        document.getElementById('import-file').addEventListener('change', e => {
+            const file = e.target.files[0];
+            document.getElementById('import-file-name').textContent = file ? file.name : 'Choose CSV or JSON';
+            document.getElementById('import-btn').disabled = !file;
+        });
+        document.getElementById('import-btn').addEventListener('click', handleImport);
+        document.getElementById('import-report-btn').addEventListener('click', downloadImportReport);
+
         // Verify
         document.getElementById('verify-manual-btn').addEventListener('click', handleManualVerify);
         document.getElementById('verify-batch').addEventListener('keypress', e => {
             if (e.key === 'Enter') handleManualVerify();
         });
+        document.getElementById('verify-serial').addEventListener('keypress', e => {
+            if (e.key === 'Enter') handleManualVerify();
+        });
+        const verifyModeSelect = document.getElementById('verify-mode');
+        verifyModeSelect.value = verifyMode;
+        verifyModeSelect.addEventListener('change', e => {
+            verifyMode = e.target.value;
+            localStorage.setItem('medichain_verify_mode', verifyMode);
+        });
+        const verifyLocationSelect = document.getElementById('verify-location');
+        verifyLocationSelect.value = verifyLocation;
+        verifyLocationSelect.addEventListener('change', e => {
+            verifyLocation = e.target.value;
+            localStorage.setItem('medichain_verify_location', verifyLocation);
+        });
+        document.getElementById('verified-medicine-details').addEventListener('click', handleMarkUnitSold);
 
         // Verify tabs
         document.querySelectorAll('.verify-tab').forEach(tab => {
@@ -139,6 +207,12 @@
         // Download & Print QR
         document.getElementById('download-qr').addEventListener('click', downloadQR);
         document.getElementById('print-qr').addEventListener('click', printQR);
+        document.getElementById('qr-prev-unit').addEventListener('click', () => showQRLabel(qrLabelIndex - 1));
+        document.getElementById('qr-format').addEventListener('change', e => {
+            qrFormat = e.target.value;
+            showQRLabel(qrLabelIndex);
+        });
+        document.getElementById('qr-next-unit').addEventListener('click', () => showQRLabel(qrLabelIndex + 1));
 
         // Supply chain track
         document.getElementById('track-btn').addEventListener('click', handleTrackMedicine);
@@ -149,6 +223,30 @@
         // Transaction filter
         document.getElementById('tx-filter').addEventListener('change', updateTransactionTable);
 
+        // Exports
+        document.getElementById('inventory-export-csv').addEventListener('click', () => exportInventory('csv'));
+        document.getElementById('inventory-export-json').addEventListener('click', () => exportInventory('json'));
+        document.getElementById('ledger-export-csv').addEventListener('click', () => exportLedger('csv'));
+        document.getElementById('ledger-export-json').addEventListener('click', () => exportLedger('json'));
+        document.getElementById('track-report-btn').addEventListener('click', () =>
+            downloadBatchReport(document.getElementById('track-batch').value.trim()));
+
+        // Alert filter & resolve actions
+        document.getElementById('alert-filter').addEventListener('change', updateAlerts);
+        document.querySelector('#inventory-table thead').addEventListener('click', handleInventorySort);
+        document.getElementById('inventory-prev').addEventListener('click', () => changeInventoryPage(-1));
+        document.getElementById('inventory-next').addEventListener('click', () => changeInventoryPage(1));
+        document.getElementById('alerts-list').addEventListener('click', handleAlertAction);
+
+        // Custody transfers
+        document.getElementById('custody-filter').addEventListener('change', updateCustodyTransfers);
+        document.getElementById('custody-list').addEventListener('click', handleCustodyAction);
+        document.getElementById('custody-info').addEventListener('click', handleCustodyAction);
+
+        // Governance
+        document.getElementById('proposal-filter').addEventListener('change', updateProposals);
+        document.getElementById('proposals-list').addEventListener('click', handleProposalAction);
+
         // Global search
         document.getElementById('global-search').addEventListener('input', handleSearch);
 
@@ -407,9 +505,26 @@
                 quantity: parseInt(document.getElementById('quantity').value) || 0,
                 composition: document.getElementById('composition').value.trim(),
                 shipmentDest: document.getElementById('shipment-dest').value.trim(),
-                price: document.getElementById('price').value || '0'
+                price: document.getElementById('price').value || '0',
+                gtin: normalizeGtin(document.getElementById('gtin').value),
+                unitCount: parseInt(document.getElementById('unit-count').value) || 0,
+                firstSerial: parseInt(document.getElementById('first-serial').value) || 1
             };
 
+            // On-chain batches carry the wallet's registry identity, whatever the form says
+            if (useSmartContract) {
+                await updateManufacturerFields();
+                if (!manufacturerProfile || !manufacturerProfile.licenseValid) {
+                    showToast(manufacturerProfile
+                        ? `Manufacturer license ${manufacturerProfile.licenseNumber} is not valid today`
+                        : 'This wallet has no manufacturer registry profile. Ask the MediChain administrator to add it.', 'error');
+                    resetButton();
+                    return;
+                }
+                medicineData.manufacturerId = manufacturerProfile.manufacturerId;
+                medicineData.manufacturerName = manufacturerProfile.legalName;
+            }
+
             if (!medicineData.medicineName || !medicineData.batchNumber ||
                 !medicineData.manufacturerId || !medicineData.manufacturerName ||
                 !medicineData.mfgDate || !medicineData.expiryDate) {
@@ -418,6 +533,18 @@
                 return;
             }
 
+            if (medicineData.gtin === null) {
+                showToast('GTIN must be 8, 12, 13 or 14 digits with a valid check digit', 'error');
+                resetButton();
+                return;
+            }
+
+            if (medicineData.expiryDate <= medicineData.mfgDate) {
+                showToast('Expiry date must be after manufacture date', 'error');
+                resetButton();
+                return;
+            }
+
             let result;
             if (useSmartContract) {
                 // Use MetaMask + Smart Contract
@@ -435,8 +562,18 @@
                 };
             }
 
-            // Generate QR code
-            const qrData = JSON.stringify({
+            // One wallet signature covers every label of the batch; unsigned labels still scan, but not offline
+            let signedLabel = null;
+            if (useSmartContract) {
+                try {
+                    signedLabel = await MM.signLabel(medicineData.batchNumber);
+                } catch (e) {
+                    showToast('Labels left unsigned: ' + (e.shortMessage || e.message), 'warning');
+                }
+            }
+
+            // Generate QR codes — one label per serialized pack, or a single batch label
+            const qrBase = {
                 system: 'MediChain',
                 version: '1.0',
                 batch: medicineData.batchNumber,
@@ -444,23 +581,35 @@
                 mfg: medicineData.manufacturerId,
                 contract: (MM.hasContract && MM.contract) ? MM.contract.target || 'blockchain' : 'local',
                 block: result.blockNumber
-            });
-
-            const qrContainer = document.getElementById('qr-canvas');
-            qrContainer.innerHTML = ''; // Clear previous QR
-            if (typeof QRCode !== 'undefined') {
-                new QRCode(qrContainer, {
-                    text: qrData,
-                    width: 200,
-                    height: 200,
-                    colorDark: '#0a0e1a',
-                    colorLight: '#ffffff',
-                    correctLevel: QRCode.CorrectLevel.H
+            };
+            // GS1 labels need a GTIN; AI (10) holds at most 20 characters
+            const gs1 = medicineData.gtin && medicineData.batchNumber.length <= 20
+                ? serial => gs1Label({ ...medicineData, serial })
+                : () => null;
+            qrLabels = [];
+            if (result.unitRoot) {
+                // On-chain units: each label carries its Merkle proof against the committed root
+                const units = await MM.getUnitLabels(medicineData.batchNumber);
+                units.forEach(({ serial, proof }) => {
+                    qrLabels.push({
+                        serial,
+                        text: signedLabel ? MM.encodeLabel({ ...signedLabel, serial, proof }) : JSON.stringify({ ...qrBase, serial, proof }),
+                        gs1: gs1(serial)
+                    });
                 });
+            } else if (medicineData.unitCount > 0) {
+                for (let i = 0; i < medicineData.unitCount; i++) {
+                    const serial = medicineData.firstSerial + i;
+                    qrLabels.push({ serial, text: JSON.stringify({ ...qrBase, serial }), gs1: gs1(serial) });
+                }
             } else {
-                qrContainer.innerHTML = '<p style="padding:40px;color:#666;">QR library failed to load</p>';
-                console.warn('QRCode library not loaded.');
+                qrLabels.push({ serial: null, text: signedLabel ? MM.encodeLabel(signedLabel) : JSON.stringify(qrBase), gs1: gs1(null) });
             }
+            const formatSelect = document.getElementById('qr-format');
+            formatSelect.classList.toggle('hidden', !qrLabels[0].gs1);
+            if (!qrLabels[0].gs1) qrFormat = 'medichain';
+            formatSelect.value = qrFormat;
+            showQRLabel(0);
 
             // Show results
             document.getElementById('qr-placeholder').classList.add('hidden');
@@ -488,6 +637,52 @@
         resetButton();
     }
 
+    // ===== QR Labels =====
+    let qrLabels = [];
+    let qrLabelIndex = 0;
+    let qrFormat = 'medichain'; // or 'gs1' when the batch has a GTIN
+
+    function labelText(label) {
+        return qrFormat === 'gs1' && label.gs1 ? label.gs1.text : label.text;
+    }
+
+    function renderQR(container, text, size = 200) {
+        container.innerHTML = '';
+        if (typeof QRCode === 'undefined') {
+            container.innerHTML = '<p style="padding:40px;color:#666;">QR library failed to load</p>';
+            console.warn('QRCode library not loaded.');
+            return false;
+        }
+        new QRCode(container, {
+            text,
+            width: size,
+            height: size,
+            colorDark: '#0a0e1a',
+            colorLight: '#ffffff',
+            // Labels with a Merkle proof exceed level-H capacity on large batches
+            correctLevel: text.length > 1000 ? QRCode.CorrectLevel.M : QRCode.CorrectLevel.H
+        });
+        return true;
+    }
+
+    function showQRLabel(index) {
+        if (qrLabels.length === 0) return;
+        qrLabelIndex = (index + qrLabels.length) % qrLabels.length;
+        const label = qrLabels[qrLabelIndex];
+        renderQR(document.getElementById('qr-canvas'), labelText(label));
+
+        const hri = document.getElementById('qr-hri');
+        hri.classList.toggle('hidden', !(qrFormat === 'gs1' && label.gs1));
+        hri.textContent = label.gs1 ? label.gs1.readable : '';
+
+        const nav = document.getElementById('qr-unit-nav');
+        nav.classList.toggle('hidden', label.serial === null);
+        if (label.serial !== null) {
+            document.getElementById('qr-unit-label').textContent =
+                `Unit #${label.serial} (${qrLabelIndex + 1} of ${qrLabels.length})`;
+        }
+    }
+
     function resetButton() {
         const btn = document.getElementById('register-btn');
         btn.disabled = false;
@@ -496,53 +691,180 @@
 
     function resetForm() {
         document.getElementById('register-form').reset();
+        fillManufacturerFields();
         document.getElementById('qr-placeholder').classList.remove('hidden');
         document.getElementById('qr-result').classList.add('hidden');
         document.getElementById('registration-details').classList.add('hidden');
+        document.getElementById('qr-format').classList.add('hidden');
+        qrLabels = [];
+    }
+
+    // ===== Manufacturer Registry =====
+    // With a wallet, the contract stamps batches with the wallet's registry profile, so the form shows it
+    // read-only; the local ledger keeps the typed manufacturer fields.
+    let manufacturerProfile = null;
+
+    async function updateManufacturerFields() {
+        try {
+            manufacturerProfile = useSmartContract ? await MM.getManufacturerProfile(MM.address) : null;
+        } catch (e) {
+            manufacturerProfile = null;
+        }
+        fillManufacturerFields();
+    }
+
+    function fillManufacturerFields() {
+        const idInput = document.getElementById('manufacturer-id');
+        const nameInput = document.getElementById('manufacturer-name');
+        const hint = document.getElementById('manufacturer-registry-hint');
+        const profile = manufacturerProfile;
+
+        idInput.readOnly = nameInput.readOnly = useSmartContract;
+        hint.classList.toggle('hidden', !useSmartContract);
+        if (!useSmartContract) return;
+
+        idInput.value = profile ? profile.manufacturerId : '';
+        nameInput.value = profile ? profile.legalName : '';
+        hint.classList.toggle('invalid', !profile || !profile.licenseValid);
+        hint.textContent = !profile
+            ? 'This wallet has no manufacturer registry profile; registrations will be rejected.'
+            : `From the manufacturer registry: license ${profile.licenseNumber}` +
+              `${profile.jurisdiction ? ` (${profile.jurisdiction})` : ''}, ` +
+              (profile.licenseValid
+                  ? `valid until ${profile.licenseValidUntil}.`
+                  : `not valid today (${profile.licenseValidFrom} to ${profile.licenseValidUntil}); registrations will be rejected.`);
+    }
+
+    // ===== Bulk Import =====
+    let importReport = [];
+    const IMPORT_STATUS_BADGES = { registered: 'active', valid: 'sold', queued: 'sold', invalid: 'expired', failed: 'expired' };
+
+    async function handleImport() {
+        const file = document.getElementById('import-file').files[0];
+        if (!file) return;
+
+        const btn = document.getElementById('import-btn');
+        btn.disabled = true;
+        btn.innerHTML = '<span class="btn-spinner"></span> Importing...';
+
+        try {
+            const text = await file.text();
+            let payload;
+            if (file.name.toLowerCase().endsWith('.json')) {
+                const parsed = JSON.parse(text);
+                payload = { rows: Array.isArray(parsed) ? parsed : parsed.rows };
+            } else {
+                payload = { csv: text };
+            }
+
+            const result = await MM.importMedicines(payload);
+            renderImportReport(result.rows);
+
+            const summary = document.getElementById('import-summary');
+            summary.classList.remove('hidden');
+            if (result.success) {
+                summary.textContent = `${result.imported} batches registered in block #${result.blockNumber}`;
+                showToast(`✅ Imported ${result.imported} batches`, 'success');
+                await updateDashboard();
+                await updateInventoryTable();
+            } else {
+                summary.textContent = result.error;
+                showToast('❌ ' + result.error, 'error');
+            }
+        } catch (err) {
+            showToast('❌ ' + err.message, 'error');
+        }
+
+        btn.disabled = false;
+        btn.textContent = 'Validate & Import';
+    }
+
+    function renderImportReport(rows) {
+        importReport = rows || [];
+        document.getElementById('import-report-btn').classList.toggle('hidden', importReport.length === 0);
+        document.getElementById('import-body').innerHTML = importReport.map(r => `
+            <tr>
+                <td>${r.row}</td>
+                <td><code style="color:var(--accent-purple);font-size:0.8rem;">${r.batchNumber || '—'}</code></td>
+                <td>${r.unitCount || '—'}</td>
+                <td><span class="status-badge ${IMPORT_STATUS_BADGES[r.status] || ''}">${r.status.toUpperCase()}</span></td>
+                <td>${r.error || (r.transactionHash ? `<span class="hash-cell">${r.transactionHash.substring(0, 18)}...</span>` : '')}</td>
+            </tr>
+        `).join('');
+    }
+
+    function downloadImportReport() {
+        const columns = ['row', 'batchNumber', 'status', 'error', 'unitCount', 'transactionHash'];
+        downloadFile(`MediChain_import_report_${Date.now()}.csv`, toCsv(importReport, columns), 'text/csv');
     }
 
     // ===== Verify Medicine =====
     async function handleManualVerify() {
         const batch = document.getElementById('verify-batch').value.trim();
         if (!batch) { showToast('Please enter a batch number', 'error'); return; }
-        await performVerification(batch);
+        const serialInput = document.getElementById('verify-serial').value.trim();
+        await performVerification(batch, serialInput === '' ? null : serialInput);
+    }
+
+    // serial is set when verifying a single serialized pack; proof comes from a scanned label
+    // Approximate position for clone detection; null when sharing is off or the browser declines
+    function scanLocation() {
+        if (verifyLocation !== 'share' || !navigator.geolocation) return Promise.resolve(null);
+        return new Promise(resolve => navigator.geolocation.getCurrentPosition(
+            pos => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+            () => resolve(null),
+            { enableHighAccuracy: false, timeout: 5000, maximumAge: 10 * 60 * 1000 }
+        ));
     }
 
-    async function performVerification(batchNumber) {
+    // labelCheck is the offline MC1 signature check of a scanned label and gs1 the parsed GS1 code of a pack;
+    // a failed label or GS1 check overrides the chain verdict
+    async function performVerification(batchNumber, serial = null, proof = null, labelCheck = null, gs1 = null) {
         const placeholder = document.getElementById('verify-placeholder');
         const successDiv = document.getElementById('verify-success');
         const failDiv = document.getElementById('verify-fail');
+        const recallDiv = document.getElementById('verify-recall');
         placeholder.classList.add('hidden');
+        recallDiv.classList.add('hidden');
+        document.getElementById('verify-history').classList.add('hidden');
+        showLabelCheck(labelCheck);
 
         try {
-            let result;
+            let result = null;
 
-            if (useSmartContract) {
-                result = await MM.verifyMedicine(batchNumber);
-                // Build checks for UI
-                result.checks = [];
-                if (result.isAuthentic) {
-                    result.checks = [
-                        { name: 'Blockchain Record Exists', passed: true, detail: 'Found on smart contract' },
-                        { name: 'Batch Number Matches', passed: true, detail: `Batch: ${batchNumber}` },
-                        { name: 'Medicine Not Expired', passed: true, detail: 'Status: Active' },
-                        { name: 'Not Previously Sold', passed: true, detail: result.medicine ? `Status: ${result.medicine.status}` : 'Active' },
-                        { name: 'Supply Chain Valid', passed: true, detail: 'On-chain verification passed' },
-                        { name: 'Smart Contract Verified', passed: true, detail: `Block #${result.blockNumber}` }
-                    ];
-                } else {
-                    result.checks = [
-                        { name: 'Blockchain Record Exists', passed: !!result.medicine, detail: result.medicine ? 'Found' : 'NOT found' },
-                        { name: 'Smart Contract Check', passed: false, detail: 'Verification failed on-chain' }
-                    ];
-                }
+            if (verifyMode === 'quick') {
+                result = await quickCheck(batchNumber, serial, proof);
+            }
+
+            if (result) {
+                result.checks = contractChecks(result, batchNumber, serial);
+            } else if (useSmartContract) {
+                result = await MM.verifyMedicine(batchNumber, serial, proof, await scanLocation());
+                result.checks = contractChecks(result, batchNumber, serial);
                 // Also log locally
                 try { await localBlockchain.verifyMedicine(batchNumber); } catch (e) { }
             } else {
                 result = await localBlockchain.verifyMedicine(batchNumber);
             }
 
-            if (result.isAuthentic) {
+            if (labelCheck) {
+                result.checks = [...(result.checks || []),
+                    { name: 'Signed Label', passed: labelCheck.valid, detail: labelCheck.error || 'Signed by an authorized manufacturer' }];
+                if (!labelCheck.valid) result.isAuthentic = false;
+            }
+            if (gs1 && result.medicine) {
+                const checks = gs1Checks(gs1, result.medicine);
+                result.checks = [...(result.checks || []), ...checks];
+                if (checks.some(c => !c.passed)) result.isAuthentic = false;
+            }
+
+            // A recalled batch is genuine stock: show the recall notice, not the counterfeit warning
+            if (result.recall) {
+                successDiv.classList.add('hidden');
+                failDiv.classList.add('hidden');
+                showRecall(result.recall);
+                showToast(`⚠️ Class ${result.recall.recallClass} recall — do not dispense`, 'error');
+            } else if (result.isAuthentic) {
                 successDiv.classList.remove('hidden');
                 failDiv.classList.add('hidden');
 
@@ -562,16 +884,28 @@
 
                 const med = result.medicine;
                 if (med) {
+                    // Registry identity of the registering wallet; local-ledger records only have the typed name
+                    let maker = result.manufacturer;
+                    if (maker === undefined) {
+                        maker = med.registeredBy ? await MM.getManufacturerProfile(med.registeredBy).catch(() => null) : null;
+                    }
                     document.getElementById('verified-medicine-details').innerHTML = `
                         <h4 style="margin-bottom:12px; font-size:0.9rem;">Medicine Details</h4>
                         <div class="detail-row"><span class="detail-label">Name</span><span class="detail-value">${med.medicineName}</span></div>
                         <div class="detail-row"><span class="detail-label">Batch</span><span class="detail-value">${batchNumber}</span></div>
-                        <div class="detail-row"><span class="detail-label">Manufacturer</span><span class="detail-value">${med.manufacturerName || med.manufacturerId}</span></div>
+                        ${serial !== null ? `<div class="detail-row"><span class="detail-label">Unit Serial</span><span class="detail-value">#${serial}</span></div>` : ''}
+                        ${maker ? `
+                        <div class="detail-row"><span class="detail-label">Manufacturer</span><span class="detail-value">${maker.legalName} (${maker.manufacturerId})</span></div>
+                        <div class="detail-row"><span class="detail-label">License</span><span class="detail-value">${maker.licenseNumber}${maker.jurisdiction ? ' · ' + maker.jurisdiction : ''}
+                            <span class="badge ${maker.licenseValid ? 'badge-success' : 'badge-danger'}">${maker.licenseValid ? 'VALID' : 'NOT VALID'}</span></span></div>`
+                        : `<div class="detail-row"><span class="detail-label">Manufacturer</span><span class="detail-value">${med.manufacturerName || med.manufacturerId}</span></div>`}
                         <div class="detail-row"><span class="detail-label">Mfg Date</span><span class="detail-value">${med.mfgDate}</span></div>
                         <div class="detail-row"><span class="detail-label">Expiry</span><span class="detail-value">${med.expiryDate}</span></div>
                         <div class="detail-row"><span class="detail-label">Type</span><span class="detail-value">${med.medicineType || med.type || '-'}</span></div>
                         <div class="detail-row"><span class="detail-label">Scans</span><span class="detail-value">${med.scanCount || 0}</span></div>
                         ${result.transactionHash ? `<div class="detail-row"><span class="detail-label">Tx Hash</span><span class="detail-value hash">${result.transactionHash.substring(0, 18)}...</span></div>` : ''}
+                        ${result.confirmations !== undefined ? `<div class="detail-row"><span class="detail-label">Confirmations</span><span class="detail-value">${result.confirmations}/${result.requiredConfirmations} (${result.status})</span></div>` : ''}
+                        ${serial !== null && useSmartContract && MM.roles.shop ? `<div class="alert-actions"><button class="btn btn-sm btn-primary" data-sell-batch="${batchNumber}" data-sell-serial="${serial}">Mark Unit Sold</button></div>` : ''}
                     `;
                 }
                 showToast('✅ Medicine verified as AUTHENTIC', 'success');
@@ -583,14 +917,134 @@
                     failedChecks.map(c => c.detail).join('; ') || 'Verification failed';
                 showToast('⚠️ Warning: Possible Counterfeit Medicine!', 'error');
             }
+
+            await showVerificationHistory(batchNumber);
         } catch (err) {
             successDiv.classList.add('hidden');
+            // Offline with a valid signed label: the label check stands on its own
+            if (labelCheck && labelCheck.valid) {
+                failDiv.classList.add('hidden');
+                showToast('Label signature verified offline; on-chain status unavailable: ' + err.message, 'warning');
+                return;
+            }
             failDiv.classList.remove('hidden');
             document.getElementById('fail-reason').textContent = err.message;
             showToast('⚠️ ' + err.message, 'error');
         }
     }
 
+    function showLabelCheck(check) {
+        const panel = document.getElementById('verify-label');
+        panel.classList.toggle('hidden', !check);
+        if (!check) return;
+
+        const { label } = check;
+        const signer = check.signer ? `${check.signer.substring(0, 6)}...${check.signer.substring(check.signer.length - 4)}` : '';
+        panel.classList.toggle('invalid', !check.valid);
+        document.getElementById('verify-label-text').textContent = check.valid
+            ? `✓ ${label.name}, batch ${label.batch}${label.serial !== null ? ' #' + label.serial : ''}, expires ${label.expiry}. ` +
+              `Signed by authorized manufacturer ${signer}` +
+              (check.offline ? ` (offline; last confirmed ${new Date(check.checkedAt).toLocaleString()})` : '')
+            : `✗ ${check.error}${signer ? ` (signer ${signer})` : ''}`;
+    }
+
+    // Recent on-chain verifications of the batch, with the many-verifiers (cloned label) signal.
+    // Stays hidden when neither the backend nor a contract is reachable (local ledger mode).
+    async function showVerificationHistory(batchNumber) {
+        let history;
+        try {
+            history = await MM.getVerifications(batchNumber, 0, 10);
+        } catch (e) {
+            console.warn('Could not load verification history:', e.message);
+            return;
+        }
+
+        document.getElementById('verify-history').classList.remove('hidden');
+        document.getElementById('verify-history-count').textContent = history.total;
+
+        const signal = history.manyVerifiers;
+        const flag = document.getElementById('verify-history-flag');
+        flag.classList.toggle('hidden', !(signal && signal.flagged));
+        if (signal && signal.flagged) {
+            document.getElementById('verify-history-flag-text').textContent =
+                `⚠️ Scanned by ${signal.distinctVerifiers} different wallets within ${Math.round(signal.windowMs / 3600000)}h ` +
+                `(${new Date(signal.from).toLocaleString()} – ${new Date(signal.to).toLocaleString()}). ` +
+                'Many distinct verifiers in a short time often means the label has been copied.';
+        }
+
+        const list = document.getElementById('verify-history-list');
+        if (history.verifications.length === 0) {
+            list.innerHTML = '<div class="empty-state mini"><p>No verifications recorded yet.</p></div>';
+            return;
+        }
+        list.innerHTML = history.verifications.map(v => `
+            <div class="history-item">
+                <span class="badge ${v.isAuthentic ? 'badge-success' : 'badge-danger'}">${v.isAuthentic ? 'AUTHENTIC' : 'FAILED'}</span>
+                <span class="history-details">${v.details}</span>
+                <span class="history-meta">
+                    ${v.verifier.substring(0, 6)}...${v.verifier.substring(v.verifier.length - 4)}<br>
+                    ${new Date(v.timestamp).toLocaleString()}${v.blockNumber !== null ? ` · #${v.blockNumber}` : ''}
+                </span>
+            </div>
+        `).join('');
+    }
+
+    function showRecall(recall) {
+        document.getElementById('verify-recall').classList.remove('hidden');
+        document.getElementById('recall-title').textContent = `Class ${recall.recallClass} Recall — Genuine Product`;
+        document.getElementById('recall-reason').textContent = recall.reason;
+        document.getElementById('recall-details').innerHTML = `
+            <div class="detail-row"><span class="detail-label">Recall Class</span><span class="detail-value">${recall.recallClass}</span></div>
+            <div class="detail-row"><span class="detail-label">Issued By</span><span class="detail-value hash">${recall.issuedBy}</span></div>
+            <div class="detail-row"><span class="detail-label">Issued</span><span class="detail-value">${new Date(recall.issuedAt).toLocaleString()}</span></div>
+        `;
+    }
+
+    // Gas-free view call; null when no chain is reachable without a wallet (falls back to the local ledger)
+    async function quickCheck(batchNumber, serial, proof) {
+        try {
+            return await MM.checkMedicine(batchNumber, serial, proof);
+        } catch (err) {
+            if (useSmartContract) throw err;
+            return null;
+        }
+    }
+
+    // UI checklist for a smart contract verdict (quick check or recorded verification)
+    function contractChecks(result, batchNumber, serial) {
+        if (!result.isAuthentic) {
+            return [
+                { name: 'Blockchain Record Exists', passed: !!result.medicine, detail: result.medicine ? 'Found' : 'NOT found' },
+                { name: 'Smart Contract Check', passed: false, detail: result.details || 'Verification failed on-chain' }
+            ];
+        }
+        return [
+            { name: 'Blockchain Record Exists', passed: true, detail: 'Found on smart contract' },
+            { name: 'Batch Number Matches', passed: true, detail: `Batch: ${batchNumber}` },
+            ...(serial !== null ? [{ name: 'Unit Serial Registered', passed: true, detail: `Unit #${serial}` }] : []),
+            { name: 'Medicine Not Expired', passed: true, detail: 'Status: Active' },
+            { name: 'Not Previously Sold', passed: true, detail: result.medicine ? `Status: ${result.medicine.status}` : 'Active' },
+            { name: 'Supply Chain Valid', passed: true, detail: 'On-chain verification passed' },
+            result.recorded === false
+                ? { name: 'Smart Contract Checked', passed: true, detail: 'Quick check (not recorded)' }
+                : { name: 'Smart Contract Verified', passed: true, detail: `Block #${result.blockNumber}` }
+        ];
+    }
+
+    async function handleMarkUnitSold(e) {
+        const btn = e.target.closest('[data-sell-serial]');
+        if (!btn) return;
+        btn.disabled = true;
+        try {
+            await MM.markUnitSold(btn.dataset.sellBatch, btn.dataset.sellSerial);
+            showToast(`✅ Unit #${btn.dataset.sellSerial} marked as sold`, 'success');
+            btn.remove();
+        } catch (err) {
+            showToast('Mark sold failed: ' + err.message, 'error');
+            btn.disabled = false;
+        }
+    }
+
     // ===== Report Counterfeit =====
     async function handleReportCounterfeit() {
         const batch = document.getElementById('verify-batch').value.trim();
@@ -875,8 +1329,8 @@
     };
 
     async function addToScanHistory(data) {
-        let batch = data;
-        try { const parsed = JSON.parse(data); batch = parsed.batch || data; } catch (e) { }
+        const label = MM.decodeLabel(data);
+        const batch = label ? label.batch : parseScan(data).batchNumber;
 
         const result = await localBlockchain.verifyMedicine(batch);
         const historyDiv = document.getElementById('scan-history');
@@ -899,17 +1353,136 @@
         historyDiv.prepend(item);
     }
 
-    async function handleQRData(data) {
-        let batchNumber = data;
+    // ===== GS1 =====
+    // Element strings as carried by pharma DataMatrix codes: (01) GTIN, (17) expiry YYMMDD, (10) batch, (21) serial.
+    // Scanners return them raw (GS-separated, sometimes behind a ]d2 / ]Q3 symbology prefix); people type the
+    // bracketed form. Both are accepted.
+    const GS = '\x1d';
+    const GS1_FIXED_LENGTHS = { '00': 18, '01': 14, '02': 14, '11': 6, '12': 6, '13': 6, '15': 6, '16': 6, '17': 6, '20': 2 };
+    const GS1_VARIABLE_AIS = ['10', '21', '22', '30', '240', '241', '710', '711', '712', '713', '714'];
+
+    function gs1CheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            sum += Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+        }
+        return String((10 - sum % 10) % 10);
+    }
+
+    // GTIN-8/12/13/14 as GTIN-14; '' when empty, null when invalid
+    function normalizeGtin(value) {
+        const digits = String(value || '').trim();
+        if (!digits) return '';
+        if (!/^(\d{8}|\d{12,14})$/.test(digits)) return null;
+        const gtin = digits.padStart(14, '0');
+        return gs1CheckDigit(gtin.slice(0, 13)) === gtin[13] ? gtin : null;
+    }
+
+    // YYMMDD to YYYY-MM-DD; day 00 means the end of the month
+    function gs1Date(yymmdd) {
+        const year = 2000 + Number(yymmdd.slice(0, 2));
+        const month = Number(yymmdd.slice(2, 4));
+        const day = Number(yymmdd.slice(4, 6)) || new Date(Date.UTC(year, month, 0)).getUTCDate();
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // { gtin, batch, expiry, expiryMonthOnly, serial }, or null unless the text is an element string with a valid (01)
+    function parseGs1(text) {
+        const data = String(text).trim().replace(/^\][A-Za-z]\d/, '');
+        const ais = {};
+
+        if (data.startsWith('(')) {
+            if (!/^(\(\d{2,4}\)[^(]*)+$/.test(data)) return null;
+            for (const [, ai, value] of data.matchAll(/\((\d{2,4})\)([^(]*)/g)) ais[ai] = value.trim();
+        } else {
+            let i = 0;
+            while (i < data.length) {
+                if (data[i] === GS) { i++; continue; }
+                const two = data.substr(i, 2);
+                const ai = (GS1_FIXED_LENGTHS[two] || GS1_VARIABLE_AIS.includes(two))
+                    ? two
+                    : GS1_VARIABLE_AIS.find(a => a.length === 3 && data.startsWith(a, i));
+                if (!ai) return null;
+                i += ai.length;
+                // Variable-length values run to the next GS or the end
+                let end = i + GS1_FIXED_LENGTHS[ai];
+                if (!GS1_FIXED_LENGTHS[ai]) end = data.includes(GS, i) ? data.indexOf(GS, i) : data.length;
+                ais[ai] = data.slice(i, end);
+                i = end;
+            }
+        }
+
+        const gtin = ais['01'];
+        if (!gtin || normalizeGtin(gtin) !== gtin) return null;
+        if (ais['17'] && !/^\d{2}(0[1-9]|1[0-2])\d{2}$/.test(ais['17'])) return null;
+        return {
+            gtin,
+            batch: ais['10'] || null,
+            expiry: ais['17'] ? gs1Date(ais['17']) : null,
+            expiryMonthOnly: !!ais['17'] && ais['17'].endsWith('00'),
+            serial: ais['21'] || null
+        };
+    }
+
+    // Pack label: fixed-length AIs first, so only the batch needs a GS separator before the serial
+    function gs1Label({ gtin, expiryDate, batchNumber, serial }) {
+        const expiry = expiryDate.slice(2, 4) + expiryDate.slice(5, 7) + expiryDate.slice(8, 10);
+        const hasSerial = serial !== null && serial !== undefined;
+        return {
+            text: `01${gtin}17${expiry}10${batchNumber}${hasSerial ? GS + '21' + serial : ''}`,
+            readable: `(01)${gtin}(17)${expiry}(10)${batchNumber}${hasSerial ? '(21)' + serial : ''}`
+        };
+    }
+
+    // The pack's AI (01) and (17) against the record; the printed expiry must also not have passed
+    function gs1Checks(gs1, medicine) {
+        const checks = [{
+            name: 'GTIN Matches Record',
+            passed: medicine.gtin === gs1.gtin,
+            detail: medicine.gtin ? `Record GTIN ${medicine.gtin}` : 'No GTIN on record for this batch'
+        }];
+        if (gs1.expiry) {
+            const matches = gs1.expiryMonthOnly
+                ? gs1.expiry.slice(0, 7) === medicine.expiryDate.slice(0, 7)
+                : gs1.expiry === medicine.expiryDate;
+            checks.push({ name: 'Label Expiry Matches Record', passed: matches, detail: `Label ${gs1.expiry}, record ${medicine.expiryDate}` });
+            checks.push({ name: 'Label Expiry Not Passed', passed: gs1.expiry >= new Date().toISOString().slice(0, 10), detail: `Expires ${gs1.expiry}` });
+        }
+        return checks;
+    }
+
+    // Batch, serial and proof from any supported code: MediChain JSON, GS1 element string or a bare batch number.
+    // Signed MC1 labels are handled by MM.verifyLabel.
+    function parseScan(data) {
+        const gs1 = parseGs1(data);
+        if (gs1 && gs1.batch) {
+            // MediChain unit serials are numeric; other GS1 serials only identify the pack
+            return { batchNumber: gs1.batch, serial: gs1.serial && /^\d+$/.test(gs1.serial) ? gs1.serial : null, proof: null, gs1 };
+        }
         try {
             const parsed = JSON.parse(data);
             if (parsed.system === 'MediChain' && parsed.batch) {
-                batchNumber = parsed.batch;
+                return {
+                    batchNumber: parsed.batch,
+                    serial: parsed.serial !== undefined ? String(parsed.serial) : null,
+                    proof: Array.isArray(parsed.proof) ? parsed.proof : null,
+                    gs1: null
+                };
             }
         } catch (e) { }
+        return { batchNumber: data, serial: null, proof: null, gs1: null };
+    }
+
+    async function handleQRData(data) {
+        // Signed MC1 labels are checked on the device before anything goes to the chain
+        const labelCheck = await MM.verifyLabel(data);
+        const { batchNumber, serial, proof, gs1 } = labelCheck
+            ? { batchNumber: labelCheck.label.batch, serial: labelCheck.label.serial, proof: labelCheck.label.proof, gs1: null }
+            : parseScan(data);
 
         document.getElementById('verify-batch').value = batchNumber;
-        await performVerification(batchNumber);
+        document.getElementById('verify-serial').value = serial !== null ? serial : '';
+        await performVerification(batchNumber, serial, serial !== null ? proof : null, labelCheck, gs1);
         navigateTo('verify');
         document.querySelector('[data-tab="manual"]').click();
     }
@@ -994,12 +1567,12 @@
 
     // ===== Inventory Table =====
     async function updateInventoryTable() {
-        let medicines;
-        if (useSmartContract) {
-            medicines = await MM.getAllMedicines();
-        } else {
-            medicines = localBlockchain.getAllMedicines();
-        }
+        const page = useSmartContract
+            ? await MM.getMedicines(inventoryQuery)
+            : MM.filterMedicines(localBlockchain.getAllMedicines(), inventoryQuery);
+        const medicines = page.medicines;
+
+        renderInventoryControls(page);
 
         const tbody = document.getElementById('inventory-body');
         if (!medicines || medicines.length === 0) {
@@ -1017,12 +1590,50 @@
                     <td>${m.mfgDate}</td>
                     <td>${m.expiryDate}</td>
                     <td><span class="status-badge ${status.toLowerCase()}">${status.toUpperCase()}</span></td>
-                    <td><button class="btn btn-sm btn-outline" onclick="window.appVerify('${m.batchNumber}')">Verify</button></td>
+                    <td>
+                        <button class="btn btn-sm btn-outline" onclick="window.appVerify('${m.batchNumber}')">Verify</button>
+                        ${useSmartContract
+                    ? `<button class="btn btn-sm btn-outline" onclick="window.appBatchReport('${m.batchNumber}')">PDF</button>`
+                    : ''}
+                        ${useSmartContract && MM.roles.manufacturer && status !== 'Recalled'
+                    ? `<button class="btn btn-sm btn-danger" onclick="window.appRecall('${m.batchNumber}')">Recall</button>`
+                    : ''}
+                    </td>
                 </tr>
             `;
         }).join('');
     }
 
+    function renderInventoryControls(page) {
+        const pages = Math.max(Math.ceil(page.total / inventoryQuery.limit), 1);
+        const current = Math.floor(inventoryQuery.offset / inventoryQuery.limit) + 1;
+        document.getElementById('inventory-page-info').textContent =
+            `Page ${current} of ${pages} · ${page.total} batch${page.total === 1 ? '' : 'es'}`;
+        document.getElementById('inventory-prev').disabled = current <= 1;
+        document.getElementById('inventory-next').disabled = current >= pages;
+
+        document.querySelectorAll('#inventory-table th[data-sort]').forEach(th => {
+            const field = th.dataset.sort;
+            th.classList.toggle('sorted-asc', inventoryQuery.sort === field);
+            th.classList.toggle('sorted-desc', inventoryQuery.sort === '-' + field);
+        });
+    }
+
+    // Click once for ascending, again for descending
+    function handleInventorySort(e) {
+        const th = e.target.closest('th[data-sort]');
+        if (!th) return;
+        const field = th.dataset.sort;
+        inventoryQuery.sort = inventoryQuery.sort === field ? '-' + field : field;
+        inventoryQuery.offset = 0;
+        updateInventoryTable();
+    }
+
+    function changeInventoryPage(delta) {
+        inventoryQuery.offset = Math.max(inventoryQuery.offset + delta * inventoryQuery.limit, 0);
+        updateInventoryTable();
+    }
+
     // ===== Transaction Table =====
     function updateTransactionTable() {
         const filter = document.getElementById('tx-filter').value;
@@ -1048,31 +1659,226 @@
         `).join('');
     }
 
+    // ===== Exports =====
+    // With the contract connected the server exports the indexed on-chain data; local mode exports what the tables show
+    const TX_FILTER_EVENT_TYPES = { registration: 'registered', verification: 'verification', transfer: 'supplyChain', alert: 'alert' };
+
+    function exportInventory(format) {
+        if (useSmartContract) {
+            return downloadUrl(MM.getReportUrl('inventory', format, { sort: inventoryQuery.sort }));
+        }
+        const medicines = localBlockchain.getAllMedicines();
+        const columns = ['batchNumber', 'medicineName', 'manufacturerId', 'manufacturerName', 'mfgDate', 'expiryDate', 'type', 'quantity', 'status', 'scanCount'];
+        exportRows('MediChain_inventory', format, medicines, columns);
+    }
+
+    function exportLedger(format) {
+        const filter = document.getElementById('tx-filter').value;
+        if (useSmartContract) {
+            return downloadUrl(MM.getReportUrl('ledger', format, { type: TX_FILTER_EVENT_TYPES[filter] }));
+        }
+        const txns = localBlockchain.transactions
+            .filter(t => filter === 'all' || t.type === filter)
+            .map(t => ({ ...t, batchNumber: t.data.batchNumber || '' }));
+        const columns = ['hash', 'type', 'batchNumber', 'from', 'blockNumber', 'timestamp', 'status'];
+        exportRows('MediChain_ledger', format, txns, columns);
+    }
+
+    function downloadBatchReport(batchNumber) {
+        downloadUrl(MM.getReportUrl(`batch/${encodeURIComponent(batchNumber)}`, 'pdf'));
+    }
+
+    function exportRows(name, format, rows, columns) {
+        if (format === 'csv') {
+            downloadFile(`${name}.csv`, toCsv(rows, columns), 'text/csv');
+        } else {
+            downloadFile(`${name}.json`, JSON.stringify(rows, null, 2), 'application/json');
+        }
+    }
+
+    function toCsv(rows, columns) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...rows.map(r => columns.map(c => escape(r[c])).join(','))].join('\r\n') + '\r\n';
+    }
+
+    function downloadFile(filename, content, type) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    function downloadUrl(url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.click();
+    }
+
     // ===== Alerts =====
-    function updateAlerts() {
-        const alerts = localBlockchain.alerts.slice().reverse();
+    async function updateAlerts() {
+        const filter = document.getElementById('alert-filter').value;
+        let alerts;
+        if (useSmartContract) {
+            try {
+                alerts = (await MM.getAlerts(filter, 0, 50)).alerts;
+            } catch (e) {
+                console.warn('Could not load on-chain alerts:', e.message);
+                alerts = [];
+            }
+        } else {
+            // Local alerts have no lifecycle; they are always open
+            alerts = filter === 'resolved' ? [] : localBlockchain.alerts.slice().reverse();
+        }
+
         const container = document.getElementById('alerts-list');
         if (alerts.length === 0) {
             container.innerHTML = `<div class="empty-state mini">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" width="48" height="48" opacity="0.3"><path d="M22 11.08V12a10 10 0 11-5.93-9.14"/><path d="M22 4L12 14.01l-3-3"/></svg>
-                <p>No alerts. All medicines verified successfully.</p>
+                <p>${filter === 'resolved' ? 'No resolved alerts.' : 'No alerts. All medicines verified successfully.'}</p>
             </div>`;
             return;
         }
         container.innerHTML = alerts.map(a => `
-            <div class="alert-item">
+            <div class="alert-item ${a.resolved ? 'resolved' : ''} ${a.suspicious ? 'suspicious' : ''}">
                 <div class="alert-icon-wrap">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>
+                    ${a.resolved
+                ? '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 11-5.93-9.14"/><path d="M22 4L12 14.01l-3-3"/></svg>'
+                : '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>'
+            }
                 </div>
                 <div class="alert-content">
-                    <div class="alert-title">Counterfeit Alert — ${a.batchNumber}</div>
-                    <div class="alert-desc">${a.reason}</div>
-                    <div class="alert-time">${new Date(a.timestamp).toLocaleString()}</div>
+                    <div class="alert-title">${useSmartContract ? '#' + a.id + ' ' : ''}${a.suspicious ? 'Suspicious Activity' : 'Counterfeit Alert'} — ${escapeHtml(a.batchNumber)}</div>
+                    <div class="alert-desc">${escapeHtml(a.reason)}</div>
+                    ${a.resolved ? `<div class="alert-resolution">Resolved: ${escapeHtml(a.resolution)}</div>` : ''}
+                    <div class="alert-time">${new Date(a.timestamp).toLocaleString()}${a.resolved ? ' · resolved ' + new Date(a.resolvedAt).toLocaleString() : ''}</div>
                 </div>
+                ${useSmartContract && !a.resolved ? `
+                <div class="alert-item-actions">
+                    <button class="btn btn-sm btn-outline" data-alert-action="resolve" data-alert-id="${a.id}">Resolve</button>
+                    ${a.suspicious ? '' : `<button class="btn btn-sm btn-outline" data-alert-action="dismiss" data-alert-id="${a.id}">Dismiss & Restore</button>`}
+                </div>` : ''}
             </div>
         `).join('');
     }
 
+    function handleAlertAction(e) {
+        const btn = e.target.closest('[data-alert-action]');
+        if (!btn) return;
+        const alertId = btn.dataset.alertId;
+        const restoreBatch = btn.dataset.alertAction === 'dismiss';
+
+        openModal(restoreBatch ? `Dismiss Alert #${alertId}` : `Resolve Alert #${alertId}`, `
+            <div class="form-group">
+                <label for="alert-resolution">Resolution Note <span class="required">*</span></label>
+                <textarea id="alert-resolution" rows="3" placeholder="${restoreBatch
+                ? 'e.g., False alarm — label verified with manufacturer'
+                : 'e.g., Counterfeit stock seized and destroyed'}"></textarea>
+            </div>
+            ${restoreBatch ? '<p class="modal-hint">The batch returns to the status it had before it was flagged, once no other counterfeit alert on it is open.</p>' : ''}
+            <div class="form-actions">
+                <button class="btn btn-primary" id="alert-resolve-confirm">${restoreBatch ? 'Dismiss & Restore' : 'Resolve Alert'}</button>
+            </div>
+        `);
+
+        document.getElementById('alert-resolve-confirm').addEventListener('click', async () => {
+            const resolution = document.getElementById('alert-resolution').value.trim();
+            if (!resolution) { showToast('Please enter a resolution note', 'error'); return; }
+            try {
+                await MM.resolveAlert(alertId, resolution, restoreBatch);
+                closeModal();
+                showToast(`✅ Alert #${alertId} ${restoreBatch ? 'dismissed and batch restored' : 'resolved'}`, 'success');
+                await updateAlerts();
+                await updateInventoryTable();
+            } catch (err) {
+                showToast('Resolve failed: ' + err.message, 'error');
+            }
+        });
+    }
+
+    // ===== Governance =====
+    function shortAddress(address) {
+        return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+    }
+
+    async function updateProposals() {
+        if (!MM.hasGovernance) return;
+        const filter = document.getElementById('proposal-filter').value;
+        let data;
+        try {
+            data = await MM.getProposals(filter, 0, 50);
+        } catch (e) {
+            console.warn('Could not load governance proposals:', e.message);
+            return;
+        }
+
+        const me = (MM.isConnected && MM.address || '').toLowerCase();
+        const isAdmin = data.admins.some(a => a.toLowerCase() === me);
+        if (filter === 'open') document.getElementById('proposal-count').textContent = data.proposals.length;
+        document.getElementById('governance-summary').innerHTML =
+            `${data.threshold} of ${data.admins.length} admins must approve · <code>${data.address}</code>` +
+            (data.ownsContract ? '' : ' · not the MediChain owner yet') +
+            (isAdmin ? ' · your wallet is an admin' : MM.isConnected ? ' · your wallet is not an admin' : ' · connect an admin wallet to approve');
+
+        const container = document.getElementById('proposals-list');
+        if (data.proposals.length === 0) {
+            container.innerHTML = `<div class="empty-state mini">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" width="48" height="48" opacity="0.3"><path d="M22 11.08V12a10 10 0 11-5.93-9.14"/><path d="M22 4L12 14.01l-3-3"/></svg>
+                <p>${filter === 'open' ? 'No proposals awaiting approval.' : 'No proposals.'}</p>
+            </div>`;
+            return;
+        }
+        container.innerHTML = data.proposals.map(p => {
+            const approvedByMe = p.approvedBy.some(a => a.toLowerCase() === me);
+            const call = p.call
+                ? `${p.call.contract}.${p.call.method}(${p.call.args.map(a => JSON.stringify(a)).join(', ')})`
+                : `${p.target} · ${p.data.substring(0, 10)}`;
+            return `
+            <div class="alert-item proposal-item ${p.status === 'executed' ? 'resolved' : ''}">
+                <div class="alert-icon-wrap">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 21h18M5 21V10M19 21V10M9 21V10M15 21V10M12 3l9 5H3l9-5z"/></svg>
+                </div>
+                <div class="alert-content">
+                    <div class="alert-title">#${p.id} ${escapeHtml(p.description)}
+                        <span class="badge ${p.status === 'executed' ? 'badge-success' : p.status === 'ready' ? 'badge-info' : 'badge-warning'}">${p.status.toUpperCase()}</span></div>
+                    <div class="proposal-call">${escapeHtml(call)}</div>
+                    <div class="alert-desc">${p.approvals}/${p.threshold} approvals${p.approvedBy.length ? ': ' + p.approvedBy.map(shortAddress).join(', ') : ''}</div>
+                    <div class="alert-time">Proposed by ${shortAddress(p.proposer)} · ${new Date(p.createdAt).toLocaleString()}${p.executedAt ? ' · executed ' + new Date(p.executedAt).toLocaleString() : ''}</div>
+                </div>
+                ${isAdmin && p.status !== 'executed' ? `
+                <div class="alert-item-actions">
+                    ${approvedByMe ? '' : `<button class="btn btn-sm btn-outline" data-proposal-action="approve" data-proposal-id="${p.id}">Approve</button>`}
+                    ${p.status === 'ready' ? `<button class="btn btn-sm btn-primary" data-proposal-action="execute" data-proposal-id="${p.id}">Execute</button>` : ''}
+                </div>` : ''}
+            </div>`;
+        }).join('');
+    }
+
+    async function handleProposalAction(e) {
+        const btn = e.target.closest('[data-proposal-action]');
+        if (!btn) return;
+        const { proposalAction, proposalId } = btn.dataset;
+        btn.disabled = true;
+        try {
+            if (proposalAction === 'execute') {
+                await MM.executeProposal(proposalId);
+                showToast(`✅ Proposal #${proposalId} executed`, 'success');
+                await updateInventoryTable();
+                await updateAlerts();
+            } else {
+                await MM.approveProposal(proposalId);
+                showToast(`✅ Proposal #${proposalId} approved`, 'success');
+            }
+            await updateProposals();
+        } catch (err) {
+            btn.disabled = false;
+            showToast(`${proposalAction === 'execute' ? 'Execute' : 'Approve'} failed: ` + err.message, 'error');
+        }
+    }
+
     // ===== Supply Chain =====
     async function handleTrackMedicine() {
         const batch = document.getElementById('track-batch').value.trim();
@@ -1095,19 +1901,220 @@
 
         const resultCard = document.getElementById('supply-chain-result');
         resultCard.style.display = 'block';
+        // Audit reports are built by the server from on-chain data
+        document.getElementById('track-report-btn').classList.toggle('hidden', !useSmartContract);
         const timeline = document.getElementById('supply-timeline');
 
+        const currentIndex = supplyChainData.length - 1;
         timeline.innerHTML = supplyChainData.map((step, i) => `
-            <div class="timeline-item" style="animation-delay: ${i * 0.15}s;">
+            <div class="timeline-item ${i === currentIndex ? 'current' : ''}" style="animation-delay: ${i * 0.15}s;">
                 <div class="timeline-dot"></div>
                 <div class="timeline-content">
-                    <div class="timeline-title">${step.stage}</div>
-                    <div class="timeline-desc">${step.actor} — ${step.location}</div>
+                    <div class="timeline-title">${step.stage}${i === currentIndex ? ' <span class="badge badge-info">Current Stage</span>' : ''}</div>
+                    <div class="timeline-desc">${escapeHtml(step.actor)} — ${escapeHtml(step.location)}</div>
                     <div class="timeline-time">${new Date(step.timestamp).toLocaleString()}</div>
                     ${step.txHash ? `<div style="font-size:0.7rem;color:var(--accent-purple);font-family:'JetBrains Mono',monospace;margin-top:4px;">Tx: ${step.txHash.substring(0, 20)}...</div>` : ''}
                 </div>
             </div>
         `).join('');
+
+        await renderNextStages(batch);
+        await renderCustodyInfo(batch);
+    }
+
+    // Show which stages the connected wallet may record next (enforced by the contract)
+    async function renderNextStages(batch) {
+        const container = document.getElementById('next-stages');
+        if (!useSmartContract) {
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const info = await MM.getStageInfo(batch);
+            const allowed = info.allowedNextStages || [];
+            container.innerHTML = `
+                <span class="next-stages-label">Next stages for your wallet:</span>
+                ${allowed.length
+                    ? allowed.map(stage => `<span class="badge badge-success">${stage}</span>`).join('')
+                    : '<span class="next-stages-none">None — this wallet has no role for the next step</span>'}
+            `;
+        } catch (err) {
+            console.warn('Could not load allowed stages:', err.message);
+            container.innerHTML = '';
+        }
+    }
+
+    // ===== Custody Transfers =====
+    // Batches change hands in two steps: the custodian offers one to a recipient, who accepts it (recording the
+    // handover stage with its own actor and location) or rejects it; the custodian may also withdraw the offer.
+    const SUPPLY_STAGES = ['Manufactured', 'QualityChecked', 'Shipped', 'InTransit', 'Delivered', 'Dispensed', 'Returned'];
+    const CUSTODY_STATUS_BADGES = { pending: 'badge-warning', accepted: 'badge-success', rejected: 'badge-danger' };
+
+    // Accept/reject for the recipient, withdraw for the custodian who offered the batch
+    function custodyActionButtons(batch, transfer) {
+        const me = (MM.address || '').toLowerCase();
+        const data = `data-batch="${encodeURIComponent(batch)}"`;
+        if (transfer.to.toLowerCase() === me) {
+            return `<button class="btn btn-sm btn-primary" data-custody-action="accept" ${data}>Accept</button>
+                <button class="btn btn-sm btn-outline" data-custody-action="reject" ${data}>Reject</button>`;
+        }
+        if (transfer.from.toLowerCase() === me) {
+            return `<button class="btn btn-sm btn-outline" data-custody-action="reject" ${data}>Withdraw</button>`;
+        }
+        return '';
+    }
+
+    // Custodian of the tracked batch and its open transfer, with the actions open to the connected wallet
+    async function renderCustodyInfo(batch) {
+        const container = document.getElementById('custody-info');
+        if (!useSmartContract) {
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const custody = await MM.getCustody(batch);
+            const pending = custody.pendingTransfer;
+            const isCustodian = custody.custodian.toLowerCase() === (MM.address || '').toLowerCase();
+            container.innerHTML = `
+                <span class="next-stages-label">Custodian:</span>
+                <code>${shortAddress(custody.custodian)}</code>
+                ${isCustodian ? '<span class="badge badge-info">Your wallet</span>' : ''}
+                ${pending ? `<span class="badge badge-warning">Offered to ${shortAddress(pending.to)} as ${pending.stage}</span>` : ''}
+                ${pending
+                    ? custodyActionButtons(batch, pending)
+                    : isCustodian ? `<button class="btn btn-sm btn-outline" data-custody-action="initiate" data-batch="${encodeURIComponent(batch)}">Transfer Custody</button>` : ''}
+            `;
+        } catch (err) {
+            console.warn('Could not load custody:', err.message);
+            container.innerHTML = '';
+        }
+    }
+
+    // Open transfers offered to or by the connected wallet, or its whole transfer history
+    async function updateCustodyTransfers() {
+        const summary = document.getElementById('custody-summary');
+        const container = document.getElementById('custody-list');
+        if (!useSmartContract) {
+            summary.textContent = 'Connect a supply chain wallet to offer and accept batches.';
+            container.innerHTML = '';
+            return;
+        }
+
+        const filter = document.getElementById('custody-filter').value;
+        let data;
+        try {
+            data = await MM.getCustodyTransfers(filter === 'all'
+                ? { address: MM.address }
+                : { address: MM.address, direction: filter, status: 'pending' });
+        } catch (e) {
+            console.warn('Could not load custody transfers:', e.message);
+            summary.textContent = 'Custody transfers are listed from the backend event index, which is not reachable.';
+            container.innerHTML = '';
+            return;
+        }
+
+        summary.innerHTML = `Transfers of <code>${MM.address}</code> · track a batch you hold to offer it to the next party`;
+        if (data.transfers.length === 0) {
+            container.innerHTML = `<div class="empty-state mini">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" width="48" height="48" opacity="0.3"><path d="M22 11.08V12a10 10 0 11-5.93-9.14"/><path d="M22 4L12 14.01l-3-3"/></svg>
+                <p>${filter === 'all' ? 'No custody transfers yet.' : 'No open custody transfers.'}</p>
+            </div>`;
+            return;
+        }
+        container.innerHTML = data.transfers.map(t => `
+            <div class="alert-item custody-item">
+                <div class="alert-icon-wrap">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 3h15v13H1zM16 8h4l3 3v5h-7V8z"/><circle cx="5.5" cy="18.5" r="2.5"/><circle cx="18.5" cy="18.5" r="2.5"/></svg>
+                </div>
+                <div class="alert-content">
+                    <div class="alert-title">${escapeHtml(t.batchNumber)} · ${t.stage}
+                        <span class="badge ${CUSTODY_STATUS_BADGES[t.status]}">${t.status.toUpperCase()}</span></div>
+                    <div class="alert-desc">${shortAddress(t.from)} → ${shortAddress(t.to)}${t.reason ? ` · ${escapeHtml(t.reason)}` : ''}</div>
+                    <div class="alert-time">Offered ${new Date(t.initiatedAt).toLocaleString()}${t.resolvedAt ? ` · ${t.status} ${new Date(t.resolvedAt).toLocaleString()}` : ''}</div>
+                </div>
+                ${t.status === 'pending' ? `<div class="alert-item-actions">${custodyActionButtons(t.batchNumber, t)}</div>` : ''}
+            </div>
+        `).join('');
+    }
+
+    function handleCustodyAction(e) {
+        const btn = e.target.closest('[data-custody-action]');
+        if (!btn) return;
+        const batch = decodeURIComponent(btn.dataset.batch);
+        const action = btn.dataset.custodyAction;
+
+        const forms = {
+            initiate: {
+                title: `Transfer Custody of ${batch}`,
+                body: `
+                    <div class="form-group">
+                        <label for="custody-to">Recipient Wallet <span class="required">*</span></label>
+                        <input type="text" id="custody-to" placeholder="0x...">
+                    </div>
+                    <div class="form-group">
+                        <label for="custody-stage">Handover Stage <span class="required">*</span></label>
+                        <select id="custody-stage">
+                            ${SUPPLY_STAGES.slice(1).map((stage, i) => `<option value="${i + 1}">${stage}</option>`).join('')}
+                        </select>
+                    </div>
+                    <p class="modal-hint">The recipient records this stage when accepting; until then you remain the custodian.</p>`,
+                submit: 'Offer Batch'
+            },
+            accept: {
+                title: `Accept Custody of ${batch}`,
+                body: `
+                    <div class="form-group">
+                        <label for="custody-actor">Actor <span class="required">*</span></label>
+                        <input type="text" id="custody-actor" placeholder="e.g., FastFreight Logistics">
+                    </div>
+                    <div class="form-group">
+                        <label for="custody-location">Location <span class="required">*</span></label>
+                        <input type="text" id="custody-location" placeholder="e.g., Central Warehouse, Dock 4">
+                    </div>`,
+                submit: 'Accept Batch'
+            },
+            reject: {
+                title: `Reject Custody Transfer of ${batch}`,
+                body: `
+                    <div class="form-group">
+                        <label for="custody-reason">Reason <span class="required">*</span></label>
+                        <textarea id="custody-reason" rows="3" placeholder="e.g., Seal damaged on arrival"></textarea>
+                    </div>`,
+                submit: 'Reject Transfer'
+            }
+        };
+        const form = forms[action];
+        openModal(form.title, `${form.body}
+            <div class="form-actions">
+                <button class="btn btn-primary" id="custody-confirm">${form.submit}</button>
+            </div>
+        `);
+
+        document.getElementById('custody-confirm').addEventListener('click', async () => {
+            const value = id => document.getElementById(id).value.trim();
+            try {
+                if (action === 'initiate') {
+                    if (!value('custody-to')) { showToast('Please enter the recipient wallet', 'error'); return; }
+                    await MM.initiateCustodyTransfer(batch, value('custody-to'), Number(value('custody-stage')));
+                    showToast(`✅ ${batch} offered to ${shortAddress(value('custody-to'))}`, 'success');
+                } else if (action === 'accept') {
+                    if (!value('custody-actor') || !value('custody-location')) { showToast('Please enter actor and location', 'error'); return; }
+                    await MM.acceptCustodyTransfer(batch, value('custody-actor'), value('custody-location'));
+                    showToast(`✅ You are now the custodian of ${batch}`, 'success');
+                } else {
+                    if (!value('custody-reason')) { showToast('Please enter a reason', 'error'); return; }
+                    await MM.rejectCustodyTransfer(batch, value('custody-reason'));
+                    showToast(`Custody transfer of ${batch} rejected`, 'info');
+                }
+                closeModal();
+                await updateCustodyTransfers();
+                if (document.getElementById('track-batch').value.trim() === batch) await handleTrackMedicine();
+            } catch (err) {
+                showToast('Custody transfer failed: ' + err.message, 'error');
+            }
+        });
     }
 
     // ===== Blockchain Visual =====
@@ -1192,22 +2199,33 @@
         const img = qrContainer.querySelector('img') || qrContainer.querySelector('canvas');
         if (!img) { showToast('No QR code to download', 'error'); return; }
         const link = document.createElement('a');
-        link.download = `MediChain_QR_${document.getElementById('qr-batch-id').textContent}.png`;
+        const serial = qrLabels[qrLabelIndex] && qrLabels[qrLabelIndex].serial;
+        link.download = `MediChain_${qrFormat === 'gs1' ? 'GS1' : 'QR'}_${document.getElementById('qr-batch-id').textContent}${serial !== null && serial !== undefined ? '_' + serial : ''}.png`;
         link.href = img.src || img.toDataURL();
         link.click();
         showToast('QR Code downloaded', 'success');
     }
 
+    // Prints every label; serialized batches get one QR per pack
     function printQR() {
-        const qrContainer = document.getElementById('qr-canvas');
-        const img = qrContainer.querySelector('img') || qrContainer.querySelector('canvas');
-        if (!img) return;
-        const imgSrc = img.src || img.toDataURL();
+        if (qrLabels.length === 0) return;
+        const scratch = document.createElement('div');
+        const labels = qrLabels.map(label => {
+            renderQR(scratch, labelText(label), 160);
+            const canvas = scratch.querySelector('canvas');
+            const img = scratch.querySelector('img');
+            const src = canvas ? canvas.toDataURL() : img ? img.src : '';
+            return `<div style="display:inline-block;margin:12px;text-align:center;">
+                <img src="${src}" style="width:160px;"/><br>
+                <span style="font-size:11px;">${qrFormat === 'gs1' && label.gs1 ? label.gs1.readable : label.serial !== null ? 'Unit #' + label.serial : ''}</span>
+            </div>`;
+        }).join('');
+
         const w = window.open('');
         w.document.write(`<html><head><title>MediChain QR</title></head><body style="text-align:center;padding:40px;">
             <h2>${document.getElementById('qr-med-name').textContent}</h2>
             <p>${document.getElementById('qr-batch-id').textContent}</p>
-            <img src="${imgSrc}" style="width:300px;"/><br>
+            ${labels}
             <p style="color:#888;font-size:12px;">Verified by MediChain Blockchain</p>
             <script>window.print();<\/script></body></html>`);
     }
@@ -1233,13 +2251,21 @@
         };
         toast.innerHTML = `
             <div class="toast-icon">${icons[type] || icons.info}</div>
-            <div class="toast-message">${message}</div>
+            <div class="toast-message"></div>
             <button class="toast-close" onclick="this.parentElement.remove()">&times;</button>
         `;
+        // Messages carry batch numbers and revert reasons, so they go in as text
+        toast.querySelector('.toast-message').textContent = message;
         container.appendChild(toast);
         setTimeout(() => { toast.classList.add('fade-out'); setTimeout(() => toast.remove(), 300); }, 4000);
     }
 
+    function openModal(title, bodyHtml) {
+        document.getElementById('modal-title').textContent = title;
+        document.getElementById('modal-body').innerHTML = bodyHtml;
+        document.getElementById('modal-overlay').classList.remove('hidden');
+    }
+
     function closeModal() { document.getElementById('modal-overlay').classList.add('hidden'); }
 
     function timeAgo(dateStr) {
@@ -1250,12 +2276,55 @@
         return Math.floor(seconds / 86400) + 'd ago';
     }
 
+    // Chain and user strings (batch numbers, reasons, notes) are untrusted: escape them before they go into innerHTML
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
     // Globals
     window.appVerify = function (batch) {
         document.getElementById('verify-batch').value = batch;
+        document.getElementById('verify-serial').value = '';
         navigateTo('verify');
         performVerification(batch);
     };
 
+    window.appBatchReport = downloadBatchReport;
+
+    window.appRecall = function (batch) {
+        openModal(`Recall ${batch}`, `
+            <div class="form-group">
+                <label for="recall-class">Recall Class <span class="required">*</span></label>
+                <select id="recall-class">
+                    <option value="1">Class I — serious health hazard</option>
+                    <option value="2" selected>Class II — temporary or reversible harm</option>
+                    <option value="3">Class III — unlikely to cause harm</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="recall-reason-input">Reason <span class="required">*</span></label>
+                <textarea id="recall-reason-input" rows="3" placeholder="e.g., Contamination found in stability testing"></textarea>
+            </div>
+            <p class="modal-hint">Pharmacies scanning this batch will see a recall notice. This cannot be undone.</p>
+            <div class="form-actions">
+                <button class="btn btn-danger" id="recall-confirm">Issue Recall</button>
+            </div>
+        `);
+
+        document.getElementById('recall-confirm').addEventListener('click', async () => {
+            const reason = document.getElementById('recall-reason-input').value.trim();
+            if (!reason) { showToast('Please enter a recall reason', 'error'); return; }
+            try {
+                await MM.recallBatch(batch, parseInt(document.getElementById('recall-class').value), reason);
+                closeModal();
+                showToast(`🚫 Batch ${batch} recalled`, 'success');
+                await updateInventoryTable();
+            } catch (err) {
+                showToast('Recall failed: ' + err.message, 'error');
+            }
+        });
+    };
+
     document.addEventListener('DOMContentLoaded', init);
 })();
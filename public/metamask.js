@@ -12,14 +12,23 @@ window.MetaMaskModule = (function () {
     let userAddress = null;
     let contractAddress = null;
     let contractABI = null;
+    let deploymentVersion = null; // MediChain release the deployment.json ABI was generated from
+    let governanceInfo = null; // deployment.json governance { address, abi, admins, threshold }, if deployed
+    let governanceContract = null;
     let isConnected = false;
     let chainId = null;
     let deploymentChainId = null; // From deployment.json
+    let roles = { manufacturer: false, distributor: false, shop: false };
 
     const HARDHAT_CHAIN_ID = '0x539'; // 1337 in hex
     const SEPOLIA_CHAIN_ID = '0xaa36a7'; // 11155111 in hex
     const HARDHAT_RPC = 'http://127.0.0.1:8545';
     const API_BASE = window.location.origin;
+    const TX_POLL_MS = 1500; // how often queued server transactions are polled
+    const MEDICINE_STATUSES = ['Active', 'Sold', 'Expired', 'Flagged', 'Recalled'];
+    const RECALL_CLASSES = { 1: 'I', 2: 'II', 3: 'III' };
+    const PAUSED_MESSAGE = 'MediChain is paused for maintenance; registrations and supply chain updates are disabled';
+    const SUPPLY_STAGES = ['Manufactured', 'QualityChecked', 'Shipped', 'InTransit', 'Delivered', 'Dispensed', 'Returned'];
 
     // ===== Initialize =====
     async function init() {
@@ -30,6 +39,8 @@ window.MetaMaskModule = (function () {
                 const deployment = await res.json();
                 contractAddress = deployment.contractAddress;
                 contractABI = deployment.abi;
+                deploymentVersion = deployment.version || null;
+                governanceInfo = deployment.governance || null;
                 deploymentChainId = deployment.chainId ? '0x' + parseInt(deployment.chainId).toString(16) : HARDHAT_CHAIN_ID;
                 console.log('📄 Contract ABI loaded:', contractAddress, '(Chain:', deployment.network || 'unknown', ')');
             } else {
@@ -92,35 +103,17 @@ window.MetaMaskModule = (function () {
                 contract = new ethers.Contract(contractAddress, contractABI, signer);
                 console.log('✅ Connected to MediChain contract');
             }
+            if (governanceInfo) {
+                governanceContract = new ethers.Contract(governanceInfo.address, governanceInfo.abi, signer);
+            }
 
             isConnected = true;
             updateWalletUI();
 
-            // Auto-authorize this wallet via backend (owner signs the tx)
-            let authorized = false;
-            try {
-                const authRes = await fetch(API_BASE + '/api/authorize', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ address: userAddress })
-                });
-                const authData = await authRes.json();
-                if (authData.success) {
-                    authorized = true;
-                    if (authData.alreadyAuthorized) {
-                        console.log('✅ Wallet already authorized');
-                    } else {
-                        console.log('✅ Wallet authorized as:', authData.roles?.join(', '));
-                        if (!silent) showWalletToast('🔑 Wallet authorized as Manufacturer, Distributor & Shop', 'success');
-                    }
-                } else {
-                    console.warn('Authorization response error:', authData.error);
-                    if (!silent) showWalletToast('⚠️ Wallet authorization pending — registration will use server fallback', 'warning');
-                }
-            } catch (e) {
-                console.warn('Auto-authorize failed:', e.message);
-                if (!silent) showWalletToast('⚠️ Could not auto-authorize wallet — server may handle registration', 'warning');
-            }
+            // Look up which roles the contract owner has granted this wallet
+            roles = await getRoles(userAddress);
+            const granted = Object.keys(roles).filter(r => roles[r]);
+            console.log('🔑 Wallet roles:', granted.length ? granted.join(', ') : 'none (verifier only)');
 
             if (!silent) {
                 showWalletToast(`Wallet connected: ${formatAddress(userAddress)}`, 'success');
@@ -142,6 +135,8 @@ window.MetaMaskModule = (function () {
         userAddress = null;
         signer = null;
         contract = null;
+        governanceContract = null;
+        roles = { manufacturer: false, distributor: false, shop: false };
         updateWalletUI();
         showWalletToast('Wallet disconnected', 'info');
     }
@@ -200,11 +195,15 @@ window.MetaMaskModule = (function () {
             showWalletToast(`Account changed: ${formatAddress(userAddress)}`, 'info');
             // Reconnect with new signer
             if (provider) {
-                provider.getSigner().then(s => {
+                provider.getSigner().then(async s => {
                     signer = s;
                     if (contractAddress && contractABI) {
                         contract = new ethers.Contract(contractAddress, contractABI, signer);
                     }
+                    if (governanceInfo) {
+                        governanceContract = new ethers.Contract(governanceInfo.address, governanceInfo.abi, signer);
+                    }
+                    roles = await getRoles(userAddress);
                 });
             }
         }
@@ -218,127 +217,108 @@ window.MetaMaskModule = (function () {
 
     // ===== Smart Contract Interactions =====
 
-    // Register medicine on smart contract (two-step: register + details)
+    // Register medicine on smart contract (single transaction)
+    // The manufacturer ID and name are taken on-chain from the wallet's registry profile
     async function registerMedicine(data) {
         if (!contract) {
-            return await apiCall('/api/medicine/register', 'POST', data);
+            throw new Error('Connect MetaMask as an authorized manufacturer to register medicine');
         }
 
         try {
-            // Step 1: Register core medicine data
-            const tx = await contract.registerMedicine(
-                data.medicineName,
-                data.batchNumber,
-                data.manufacturerId,
-                data.manufacturerName,
-                data.mfgDate,
-                data.expiryDate
-            );
+            await assertNotPaused();
+
+            // Serialized packs: the backend builds and keeps the Merkle tree, we commit its root
+            let unitTree = null;
+            if (data.unitCount > 0) {
+                unitTree = await apiCall('/api/units/tree', 'POST', {
+                    batchNumber: data.batchNumber,
+                    unitCount: data.unitCount,
+                    firstSerial: data.firstSerial
+                });
+            }
+
+            // One transaction carries the batch and all its details
+            const tx = await contract.registerMedicineFull({
+                medicineName: data.medicineName,
+                batchNumber: data.batchNumber,
+                mfgDate: toUnixDate(data.mfgDate),
+                expiryDate: toUnixDate(data.expiryDate),
+                medicineType: data.type || 'tablet',
+                quantity: data.quantity || 0,
+                composition: data.composition || '',
+                shipmentDest: data.shipmentDest || '',
+                price: Math.floor(parseFloat(data.price || 0)),
+                gtin: data.gtin || '',
+                unitRoot: unitTree ? unitTree.root : ethers.ZeroHash
+            });
 
             showWalletToast('Transaction submitted. Mining...', 'info');
             const receipt = await tx.wait();
 
-            // Step 2: Set additional details (optional)
-            try {
-                const tx2 = await contract.setMedicineDetails(
-                    data.batchNumber,
-                    data.type || 'tablet',
-                    data.quantity || 0,
-                    data.composition || '',
-                    data.shipmentDest || '',
-                    Math.floor(parseFloat(data.price || 0))
-                );
-                await tx2.wait();
-            } catch (e) {
-                console.warn('Optional details TX failed:', e.message);
-            }
-
             return {
                 success: true,
                 transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber,
                 batchNumber: data.batchNumber,
+                unitRoot: unitTree ? unitTree.root : null,
+                unitCount: unitTree ? unitTree.unitCount : 0,
                 from: userAddress
             };
         } catch (err) {
             console.error('Register error:', err);
             const errorMsg = (err.reason || err.message || '').toLowerCase();
 
-            // If not authorized, try to auto-authorize and retry
-            if (errorMsg.includes('not an authorized manufacturer') || errorMsg.includes('not authorized')) {
-                console.log('🔑 Wallet not authorized. Attempting auto-authorization...');
-                showWalletToast('🔑 Authorizing your wallet... Please wait.', 'info');
-
-                try {
-                    // Ask the backend (contract owner) to authorize this wallet
-                    const authRes = await fetch(API_BASE + '/api/authorize', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ address: userAddress })
-                    });
-                    const authData = await authRes.json();
-
-                    if (authData.success) {
-                        showWalletToast('✅ Wallet authorized! Retrying registration...', 'success');
-
-                        // Retry the registration via MetaMask
-                        try {
-                            const tx = await contract.registerMedicine(
-                                data.medicineName,
-                                data.batchNumber,
-                                data.manufacturerId,
-                                data.manufacturerName,
-                                data.mfgDate,
-                                data.expiryDate
-                            );
-
-                            showWalletToast('Transaction submitted. Mining...', 'info');
-                            const receipt = await tx.wait();
-
-                            // Set additional details
-                            try {
-                                const tx2 = await contract.setMedicineDetails(
-                                    data.batchNumber,
-                                    data.type || 'tablet',
-                                    data.quantity || 0,
-                                    data.composition || '',
-                                    data.shipmentDest || '',
-                                    Math.floor(parseFloat(data.price || 0))
-                                );
-                                await tx2.wait();
-                            } catch (e) {
-                                console.warn('Optional details TX failed:', e.message);
-                            }
-
-                            return {
-                                success: true,
-                                transactionHash: receipt.hash,
-                                blockNumber: receipt.blockNumber,
-                                batchNumber: data.batchNumber,
-                                from: userAddress
-                            };
-                        } catch (retryErr) {
-                            console.warn('MetaMask retry failed, falling back to server API:', retryErr.message);
-                        }
-                    }
-                } catch (authErr) {
-                    console.warn('Auto-authorization failed:', authErr.message);
-                }
-
-                // Final fallback: use server API (owner's key signs the tx)
-                console.log('📡 Falling back to server API for registration...');
-                showWalletToast('📡 Registering via server (owner key)...', 'info');
-                return await apiCall('/api/medicine/register', 'POST', data);
+            if (errorMsg.includes('not an authorized manufacturer')) {
+                throw new Error('This wallet is not an authorized manufacturer. Ask the MediChain administrator to grant the role.');
+            }
+            if (errorMsg.includes('manufacturer license')) {
+                throw new Error('This wallet has no valid manufacturer license in the registry. Ask the MediChain administrator to record or renew it.');
             }
 
             throw new Error(err.reason || err.message || 'Registration failed');
         }
     }
 
+    // Bulk import: payload is { csv } or { rows }. The backend validates every row first, then the wallet signs
+    // one registerMedicineBatch. A file that fails validation resolves
+    // with success: false and the per-row report instead of throwing.
+    async function importMedicines(payload) {
+        if (!contract) {
+            throw new Error('Connect MetaMask as an authorized manufacturer to import medicines');
+        }
+
+        const res = await fetch(`${API_BASE}/api/medicine/import?submit=false`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await res.json();
+        if (res.status === 422) return { success: false, error: data.error, rows: data.rows };
+        if (!res.ok) throw new Error(data.error || 'Import failed');
+
+        try {
+            await assertNotPaused();
+            const tx = await contract.registerMedicineBatch(data.inputs);
+            showWalletToast(`Importing ${data.inputs.length} batches. Mining...`, 'info');
+            const receipt = await tx.wait();
+            return {
+                success: true,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                imported: data.rows.length,
+                rows: data.rows.map(row => ({ ...row, status: 'registered', transactionHash: receipt.hash }))
+            };
+        } catch (err) {
+            throw new Error(err.reason || err.message || 'Import failed');
+        }
+    }
+
     // Verify medicine on smart contract
-    async function verifyMedicine(batchNumber) {
+    // Pass a serial (and the label's proof, if scanned) to verify a single serialized pack
+    // location ({ lat, lng }, optional) goes to the server's clone detection, never on-chain
+    async function verifyMedicine(batchNumber, serial = null, proof = null, location = null) {
         if (!contract) {
-            return await apiCall('/api/medicine/verify', 'POST', { batchNumber });
+            return await apiJob('/api/medicine/verify', { batchNumber, serial, proof, location });
         }
 
         try {
@@ -354,7 +334,9 @@ window.MetaMaskModule = (function () {
             }
 
             // Call verify (state-changing, costs gas)
-            const tx = await contract.verifyMedicine(batchNumber);
+            const tx = serial !== null
+                ? await contract.verifyUnit(batchNumber, serial, proof || await getUnitProof(batchNumber, serial))
+                : await contract.verifyMedicine(batchNumber);
             showWalletToast('Verification transaction submitted...', 'info');
             const receipt = await tx.wait();
 
@@ -376,21 +358,34 @@ window.MetaMaskModule = (function () {
                     batchNumber: medicine.batchNumber,
                     manufacturerId: medicine.manufacturerId,
                     manufacturerName: medicine.manufacturerName,
-                    mfgDate: medicine.mfgDate,
-                    expiryDate: medicine.expiryDate,
+                    mfgDate: formatChainDate(medicine.mfgDate),
+                    expiryDate: formatChainDate(medicine.expiryDate),
                     medicineType: medicine.medicineType,
                     quantity: medicine.quantity.toString(),
-                    status: ['Active', 'Sold', 'Expired', 'Flagged'][Number(medicine.status)],
+                    gtin: medicine.gtin,
+                    status: MEDICINE_STATUSES[Number(medicine.status)],
                     scanCount: (Number(medicine.scanCount) + 1).toString(),
                     registeredBy: medicine.registeredBy
                 };
             }
 
+            if (location) {
+                // Signed so the backend can count it as this wallet's own report
+                signer.signMessage(`MediChain scan location\nTransaction: ${receipt.hash}\nLocation: ${location.lat},${location.lng}`)
+                    .catch(() => null)
+                    .then(signature => apiCall(`/api/medicine/${encodeURIComponent(batchNumber)}/scan-location`, 'POST', {
+                        transactionHash: receipt.hash, ...location, ...(signature ? { signature } : {})
+                    }))
+                    .catch(e => console.warn('Could not report scan location:', e.message));
+            }
+
             return {
                 success: true,
                 isAuthentic,
                 batchNumber,
+                serial: serial !== null ? String(serial) : null,
                 medicine: medicineData,
+                recall: await getRecall(batchNumber, medicineData),
                 transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber
             };
@@ -400,6 +395,32 @@ window.MetaMaskModule = (function () {
         }
     }
 
+    // Quick check (view call): same verdict as verifyMedicine, but no gas, no wallet and nothing recorded
+    async function checkMedicine(batchNumber, serial = null, proof = null) {
+        if (!contract) {
+            const query = serial !== null
+                ? `?serial=${encodeURIComponent(serial)}${proof ? '&proof=' + proof.join(',') : ''}`
+                : '';
+            return await apiCall(`/api/medicine/${encodeURIComponent(batchNumber)}/check${query}`, 'GET');
+        }
+
+        const medicine = await getMedicine(batchNumber);
+        const [isAuthentic, details] = serial !== null
+            ? await contract.checkUnit(batchNumber, serial, proof || await getUnitProof(batchNumber, serial))
+            : await contract.checkMedicine(batchNumber);
+
+        return {
+            success: true,
+            recorded: false,
+            isAuthentic,
+            details,
+            batchNumber,
+            serial: serial !== null ? String(serial) : null,
+            medicine,
+            recall: await getRecall(batchNumber, medicine)
+        };
+    }
+
     // Get medicine details (view only, no gas)
     async function getMedicine(batchNumber) {
         if (!contract) {
@@ -413,11 +434,12 @@ window.MetaMaskModule = (function () {
                 batchNumber: med.batchNumber,
                 manufacturerId: med.manufacturerId,
                 manufacturerName: med.manufacturerName,
-                mfgDate: med.mfgDate,
-                expiryDate: med.expiryDate,
+                mfgDate: formatChainDate(med.mfgDate),
+                expiryDate: formatChainDate(med.expiryDate),
                 medicineType: med.medicineType,
                 quantity: med.quantity.toString(),
-                status: ['Active', 'Sold', 'Expired', 'Flagged'][Number(med.status)],
+                gtin: med.gtin,
+                status: MEDICINE_STATUSES[Number(med.status)],
                 scanCount: med.scanCount.toString(),
                 registeredBy: med.registeredBy,
                 registeredAt: new Date(Number(med.registeredAt) * 1000).toISOString()
@@ -427,6 +449,248 @@ window.MetaMaskModule = (function () {
         }
     }
 
+    // Recall details of a Recalled batch, null otherwise (pass the medicine if already fetched)
+    async function getRecall(batchNumber, medicine = undefined) {
+        if (medicine === undefined) medicine = await getMedicine(batchNumber);
+        if (!medicine || medicine.status !== 'Recalled') return null;
+
+        if (!contract) {
+            return await apiCall(`/api/medicine/${encodeURIComponent(batchNumber)}/recall`, 'GET');
+        }
+
+        const recall = await contract.getRecall(batchNumber);
+        return {
+            batchNumber,
+            recallClass: RECALL_CLASSES[Number(recall.recallClass)],
+            reason: recall.reason,
+            issuedBy: recall.issuedBy,
+            issuedAt: new Date(Number(recall.timestamp) * 1000).toISOString()
+        };
+    }
+
+    // Recall a batch (owner or registering manufacturer); recallClass is 1-3 for Class I-III
+    async function recallBatch(batchNumber, recallClass, reason) {
+        if (!contract) {
+            throw new Error('Connect MetaMask as the owner or registering manufacturer to recall a batch');
+        }
+
+        try {
+            const tx = await contract.recallBatch(batchNumber, recallClass, reason);
+            showWalletToast('Recall submitted. Mining...', 'info');
+            const receipt = await tx.wait();
+            return { success: true, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (err) {
+            throw new Error(err.reason || err.message);
+        }
+    }
+
+    // Get serialized pack state (view only, no gas)
+    async function getUnit(batchNumber, serial) {
+        if (!contract) {
+            return await apiCall(`/api/medicine/${encodeURIComponent(batchNumber)}/unit/${serial}`, 'GET');
+        }
+
+        const unit = await contract.getUnit(batchNumber, serial, await getUnitProof(batchNumber, serial));
+        return {
+            batchNumber,
+            serial: String(serial),
+            registered: unit.registered,
+            sold: unit.sold,
+            scanCount: unit.scanCount.toString()
+        };
+    }
+
+    // Merkle proof of a pack from the backend's stored tree; [] if unknown, which the contract rejects
+    async function getUnitProof(batchNumber, serial) {
+        try {
+            const res = await apiCall(`/api/medicine/${encodeURIComponent(batchNumber)}/unit/${serial}/proof`, 'GET');
+            return res.proof;
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // All labels (serial + proof) of a serialized batch, fetched page by page
+    async function getUnitLabels(batchNumber) {
+        const labels = [];
+        let total = Infinity;
+        while (labels.length < total) {
+            const page = await apiCall(
+                `/api/medicine/${encodeURIComponent(batchNumber)}/units?offset=${labels.length}&limit=1000`, 'GET');
+            total = page.total;
+            if (page.units.length === 0) break;
+            labels.push(...page.units);
+        }
+        return labels;
+    }
+
+    // Mark a single serialized pack as sold (shops only)
+    async function markUnitSold(batchNumber, serial, proof = null) {
+        if (!contract) {
+            throw new Error('Connect MetaMask with a shop wallet to mark units as sold');
+        }
+
+        try {
+            await assertNotPaused();
+            const tx = await contract.markUnitSold(batchNumber, serial, proof || await getUnitProof(batchNumber, serial));
+            const receipt = await tx.wait();
+            return { success: true, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (err) {
+            throw new Error(err.reason || err.message);
+        }
+    }
+
+    // ===== Signed Labels =====
+    // MC1 labels: the registering manufacturer's EIP-712 signature over batch, name, expiry and unit root,
+    // checkable offline. Encoding and hashing match the backend's Signed Labels section.
+    const LABEL_PREFIX = 'MC1';
+    const LABEL_TYPES = {
+        Label: [
+            { name: 'batch', type: 'string' },
+            { name: 'name', type: 'string' },
+            { name: 'expiry', type: 'string' },
+            { name: 'unitRoot', type: 'bytes32' }
+        ]
+    };
+    const MANUFACTURER_CACHE_KEY = 'medichain_label_signers'; // last known authorization per contract + signer
+
+    function labelDomain(labelChainId, verifyingContract) {
+        return { name: 'MediChain', version: '1', chainId: labelChainId, verifyingContract };
+    }
+
+    function toBase64Url(hex) {
+        return ethers.encodeBase64(hex).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        return ethers.hexlify(ethers.decodeBase64(text.replace(/-/g, '+').replace(/_/g, '/')));
+    }
+
+    const escapeLabelField = text => text.replace(/%/g, '%25').replace(/\|/g, '%7C');
+
+    function encodeLabel({ chainId: labelChainId, contract: labelContract, batch, name, expiry, unitRoot, signature, serial, proof }) {
+        const parts = [
+            LABEL_PREFIX, labelChainId, toBase64Url(labelContract), escapeLabelField(batch), escapeLabelField(name), expiry,
+            unitRoot === ethers.ZeroHash ? '' : toBase64Url(unitRoot), toBase64Url(signature)
+        ];
+        if (serial !== undefined && serial !== null) parts.push(serial, (proof || []).map(toBase64Url).join('.'));
+        return parts.join('|');
+    }
+
+    // null for anything that isn't a well-formed MC1 label (e.g. the older unsigned JSON labels)
+    function decodeLabel(text) {
+        const parts = String(text).split('|');
+        if (parts[0] !== LABEL_PREFIX || (parts.length !== 8 && parts.length !== 10)) return null;
+        try {
+            const label = {
+                chainId: parts[1],
+                contract: ethers.getAddress(fromBase64Url(parts[2])),
+                batch: decodeURIComponent(parts[3]),
+                name: decodeURIComponent(parts[4]),
+                expiry: parts[5],
+                unitRoot: parts[6] ? fromBase64Url(parts[6]) : ethers.ZeroHash,
+                signature: fromBase64Url(parts[7]),
+                serial: parts.length === 10 ? parts[8] : null,
+                proof: parts.length === 10 && parts[9] ? parts[9].split('.').map(fromBase64Url) : []
+            };
+            // A serial that isn't a uint256 or a proof hash that isn't bytes32 would make the proof check throw
+            if (label.serial !== null && !(/^\d+$/.test(label.serial) && BigInt(label.serial) <= ethers.MaxUint256)) return null;
+            if (![label.unitRoot, ...label.proof].every(hash => ethers.dataLength(hash) === 32)) return null;
+            return label;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function unitLeaf(batchNumber, serial) {
+        return ethers.keccak256(ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(['string', 'uint256'], [batchNumber, serial])
+        ));
+    }
+
+    function hashPair(a, b) {
+        return a < b ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+    }
+
+    // Sign the batch label with the connected manufacturer wallet (one signature per batch)
+    async function signLabel(batchNumber) {
+        if (!contract) {
+            return (await apiCall(`/api/medicine/${encodeURIComponent(batchNumber)}/label`, 'GET')).label;
+        }
+
+        const medicine = await contract.getMedicine(batchNumber);
+        const label = {
+            chainId: (await provider.getNetwork()).chainId.toString(),
+            contract: await contract.getAddress(),
+            batch: batchNumber,
+            name: medicine.medicineName,
+            expiry: formatChainDate(medicine.expiryDate),
+            unitRoot: await contract.unitRoots(batchNumber)
+        };
+        const { batch, name, expiry, unitRoot } = label;
+        showWalletToast('Sign the label in MetaMask (no gas)...', 'info');
+        label.signature = await signer.signTypedData(labelDomain(label.chainId, label.contract), LABEL_TYPES, { batch, name, expiry, unitRoot });
+        return label;
+    }
+
+    // Whether the signer is an authorized manufacturer: asked on-chain (or via the backend) when reachable,
+    // otherwise answered from the last answer cached on this device. authorized is null when never seen.
+    async function labelSignerStatus(labelContract, address) {
+        const cache = JSON.parse(localStorage.getItem(MANUFACTURER_CACHE_KEY) || '{}');
+        const key = `${labelContract}:${address}`.toLowerCase();
+        try {
+            const authorized = contract
+                ? await contract.authorizedManufacturers(address)
+                : (await apiCall(`/api/roles/${address}`, 'GET')).roles.manufacturer;
+            cache[key] = { authorized, checkedAt: new Date().toISOString() };
+            localStorage.setItem(MANUFACTURER_CACHE_KEY, JSON.stringify(cache));
+            return { authorized, offline: false, checkedAt: cache[key].checkedAt };
+        } catch (e) {
+            const cached = cache[key];
+            return { authorized: cached ? cached.authorized : null, offline: true, checkedAt: cached ? cached.checkedAt : null };
+        }
+    }
+
+    // Check a scanned MC1 label without any on-chain call except the signer lookup, which falls back to the cache.
+    // Returns null for payloads that are not MC1 labels.
+    async function verifyLabel(text) {
+        const label = decodeLabel(text);
+        if (!label) return null;
+
+        const result = { valid: false, error: null, signer: null, authorized: null, offline: false, checkedAt: null, label };
+        try {
+            const { batch, name, expiry, unitRoot } = label;
+            result.signer = ethers.verifyTypedData(labelDomain(label.chainId, label.contract), LABEL_TYPES, { batch, name, expiry, unitRoot }, label.signature);
+        } catch (e) {
+            result.error = 'Signature is malformed';
+            return result;
+        }
+
+        if (contractAddress && label.contract.toLowerCase() !== contractAddress.toLowerCase()) {
+            result.error = 'Label was issued for a different MediChain deployment';
+            return result;
+        }
+        if (label.serial !== null &&
+            label.proof.reduce((node, sibling) => hashPair(node, sibling), unitLeaf(label.batch, label.serial)) !== label.unitRoot) {
+            result.error = 'Serial is not part of the signed batch';
+            return result;
+        }
+
+        Object.assign(result, await labelSignerStatus(label.contract, result.signer));
+        if (result.authorized === null) result.error = 'Signer unknown on this device; connect to check it on-chain';
+        else if (!result.authorized) result.error = 'Signer is not an authorized manufacturer';
+
+        // Online, the signer must also be the wallet that registered the batch
+        if (!result.error && !result.offline) {
+            const medicine = await getMedicine(label.batch).catch(() => null);
+            if (medicine && medicine.registeredBy.toLowerCase() !== result.signer.toLowerCase()) {
+                result.error = 'Signer did not register this batch';
+            }
+        }
+        result.valid = !result.error;
+        return result;
+    }
+
     // Get supply chain
     async function getSupplyChain(batchNumber) {
         if (!contract) {
@@ -435,10 +699,9 @@ window.MetaMaskModule = (function () {
 
         try {
             const chain = await contract.getSupplyChain(batchNumber);
-            const stages = ['Manufactured', 'QualityChecked', 'Shipped', 'InTransit', 'Delivered', 'Dispensed'];
 
             return chain.map(entry => ({
-                stage: stages[Number(entry.stage)],
+                stage: SUPPLY_STAGES[Number(entry.stage)],
                 actor: entry.actor,
                 location: entry.location,
                 timestamp: new Date(Number(entry.timestamp) * 1000).toISOString(),
@@ -449,13 +712,35 @@ window.MetaMaskModule = (function () {
         }
     }
 
+    // Current stage plus the stages the connected wallet may record next (view only, no gas)
+    async function getStageInfo(batchNumber) {
+        if (!contract) {
+            const query = userAddress ? `?address=${userAddress}` : '';
+            return await apiCall(`/api/supplychain/${encodeURIComponent(batchNumber)}/stage${query}`, 'GET');
+        }
+
+        const current = await contract.getCurrentStage(batchNumber);
+        let allowedNextStages = null;
+        if (userAddress) {
+            const allowed = await contract.getAllowedNextStages(batchNumber, userAddress);
+            allowedNextStages = SUPPLY_STAGES.filter((_, i) => allowed[i]);
+        }
+
+        return {
+            batchNumber,
+            currentStage: SUPPLY_STAGES[Number(current)],
+            allowedNextStages
+        };
+    }
+
     // Update supply chain
     async function updateSupplyChain(batchNumber, stage, actor, location) {
         if (!contract) {
-            return await apiCall('/api/supplychain/update', 'POST', { batchNumber, stage, actor, location });
+            throw new Error('Connect MetaMask as the batch custodian to update the supply chain');
         }
 
         try {
+            await assertNotPaused();
             const tx = await contract.updateSupplyChain(batchNumber, stage, actor, location);
             const receipt = await tx.wait();
             return { success: true, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
@@ -464,6 +749,161 @@ window.MetaMaskModule = (function () {
         }
     }
 
+    // ===== Custody Transfers =====
+    // Current custodian of a batch and its open transfer, if any (view only)
+    async function getCustody(batchNumber) {
+        if (!contract) {
+            return await apiCall(`/api/custody/${encodeURIComponent(batchNumber)}`, 'GET');
+        }
+
+        const [custodian, transfer] = await Promise.all([
+            contract.currentCustodian(batchNumber),
+            contract.getCustodyTransfer(batchNumber)
+        ]);
+        return {
+            batchNumber,
+            custodian,
+            pendingTransfer: transfer.to === ethers.ZeroAddress ? null : {
+                from: transfer.from,
+                to: transfer.to,
+                stage: SUPPLY_STAGES[Number(transfer.stage)],
+                initiatedAt: new Date(Number(transfer.initiatedAt) * 1000).toISOString()
+            }
+        };
+    }
+
+    // Transfer history comes from the backend's event index: { total, transfers }
+    // query: { address, direction ('incoming'|'outgoing'), status ('pending'|'accepted'|'rejected'), batch }
+    async function getCustodyTransfers(query = {}) {
+        const params = new URLSearchParams(Object.entries(query).filter(([, v]) => v));
+        return await apiCall(`/api/custody/transfers?${params}`, 'GET');
+    }
+
+    // Offer a batch held by the connected wallet to `to`
+    async function initiateCustodyTransfer(batchNumber, to, stage) {
+        if (!contract) {
+            throw new Error('Connect MetaMask as the batch custodian to transfer custody');
+        }
+
+        try {
+            await assertNotPaused();
+            const tx = await contract.initiateCustodyTransfer(batchNumber, to, stage);
+            const receipt = await tx.wait();
+            return { success: true, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (err) {
+            throw new Error(err.reason || err.message);
+        }
+    }
+
+    async function acceptCustodyTransfer(batchNumber, actor, location) {
+        if (!contract) {
+            throw new Error('Connect MetaMask as the recipient to accept a transfer');
+        }
+
+        try {
+            await assertNotPaused();
+            const tx = await contract.acceptCustodyTransfer(batchNumber, actor, location);
+            const receipt = await tx.wait();
+            return { success: true, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (err) {
+            throw new Error(err.reason || err.message);
+        }
+    }
+
+    // Either party may reject: the recipient declines, the custodian withdraws its offer
+    async function rejectCustodyTransfer(batchNumber, reason) {
+        if (!contract) {
+            throw new Error('Connect MetaMask as the custodian or recipient to reject a transfer');
+        }
+
+        try {
+            const tx = await contract.rejectCustodyTransfer(batchNumber, reason);
+            const receipt = await tx.wait();
+            return { success: true, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (err) {
+            throw new Error(err.reason || err.message);
+        }
+    }
+
+    // Owner, pending owner, pause state and the release the contract runs (view only)
+    async function getContractStatus() {
+        if (!contract) {
+            return await apiCall('/api/contract/status', 'GET');
+        }
+
+        // version() has its own fragment: the bundled ABI may predate it, and so may the contract (null)
+        const versioned = new ethers.Contract(contractAddress, ['function version() view returns (string)'], provider);
+        const [owner, pendingOwner, paused, version] = await Promise.all([
+            contract.owner(),
+            contract.pendingOwner().catch(() => ethers.ZeroAddress),
+            contract.paused().catch(() => false),
+            versioned.version().catch(() => null)
+        ]);
+        return {
+            owner,
+            pendingOwner: pendingOwner === ethers.ZeroAddress ? null : pendingOwner,
+            paused,
+            version,
+            deploymentVersion
+        };
+    }
+
+    // Writes the owner has halted would only revert in MetaMask; refuse them before asking for a signature
+    async function assertNotPaused() {
+        if (await contract.paused()) throw new Error(PAUSED_MESSAGE);
+    }
+
+    // Get the roles granted to an address (view only, no gas)
+    async function getRoles(address) {
+        const none = { manufacturer: false, distributor: false, shop: false };
+        if (!address) return none;
+
+        if (!contract) {
+            try {
+                const data = await apiCall(`/api/roles/${address}`, 'GET');
+                return data.roles;
+            } catch (e) { return none; }
+        }
+
+        try {
+            const [manufacturer, distributor, shop] = await Promise.all([
+                contract.authorizedManufacturers(address),
+                contract.authorizedDistributors(address),
+                contract.authorizedShops(address)
+            ]);
+            return { manufacturer, distributor, shop };
+        } catch (e) {
+            return none;
+        }
+    }
+
+    // Registry profile of a manufacturer wallet (view only), null when it has none
+    async function getManufacturerProfile(address) {
+        if (!address) return null;
+
+        if (!contract) {
+            try {
+                return await apiCall(`/api/manufacturers/${address}`, 'GET');
+            } catch (e) { return null; }
+        }
+
+        const [profile, licenseValid] = await Promise.all([
+            contract.manufacturerProfiles(address),
+            contract.hasValidLicense(address)
+        ]);
+        if (!profile.manufacturerId) return null;
+        return {
+            address,
+            manufacturerId: profile.manufacturerId,
+            legalName: profile.legalName,
+            licenseNumber: profile.licenseNumber,
+            licenseValidFrom: formatChainDate(profile.licenseValidFrom),
+            licenseValidUntil: formatChainDate(profile.licenseValidUntil),
+            jurisdiction: profile.jurisdiction,
+            licenseValid
+        };
+    }
+
     // Get contract stats
     async function getStats() {
         if (!contract) {
@@ -488,31 +928,86 @@ window.MetaMaskModule = (function () {
     }
 
     // Get all medicines
-    async function getAllMedicines() {
-        if (!contract) {
-            try {
-                return await apiCall('/api/medicines', 'GET');
-            } catch (e) { return []; }
+    // Paged medicine list: { total, offset, limit, medicines }
+    // query: { offset, limit, sort ('field' or '-field'), status, manufacturerId, expiringBefore, q }
+    // Served from the backend's event index; walking the contract is the fallback
+    async function getMedicines(query = {}) {
+        const params = new URLSearchParams(
+            Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+        try {
+            return await apiCall(`/api/medicines?${params}`, 'GET');
+        } catch (e) {
+            if (!contract) return { total: 0, offset: 0, limit: query.limit || 20, medicines: [] };
         }
 
-        try {
-            const total = await contract.getTotalBatches();
-            const medicines = [];
-            for (let i = 0; i < Number(total); i++) {
-                const batch = await contract.getBatchByIndex(i);
+        const total = Number(await contract.getTotalBatches());
+        const medicines = [];
+        for (let offset = 0; offset < total; offset += 100) {
+            const batches = await contract.getBatches(offset, 100);
+            for (const batch of batches) {
                 const med = await getMedicine(batch);
                 if (med) medicines.push(med);
             }
-            return medicines;
+        }
+        return filterMedicines(medicines, query);
+    }
+
+    // Verification history, newest first. The backend adds tx hashes and the many-verifiers signal;
+    // without it the contract records are read directly (manyVerifiers: null)
+    async function getVerifications(batchNumber, offset = 0, limit = 20) {
+        try {
+            return await apiCall(
+                `/api/medicine/${encodeURIComponent(batchNumber)}/verifications?offset=${offset}&limit=${limit}`, 'GET');
         } catch (e) {
-            return [];
+            if (!contract) throw e;
         }
+
+        const records = (await contract.getVerifications(batchNumber)).map(record => ({
+            verifier: record.verifier,
+            timestamp: new Date(Number(record.timestamp) * 1000).toISOString(),
+            isAuthentic: record.isAuthentic,
+            details: record.details,
+            transactionHash: null,
+            blockNumber: null
+        })).reverse();
+        return {
+            batchNumber,
+            total: records.length,
+            offset,
+            limit,
+            verifications: records.slice(offset, offset + limit),
+            manyVerifiers: null
+        };
+    }
+
+    // Same filtering, sorting and paging as /api/medicines, for lists held in the browser
+    function filterMedicines(list, query = {}) {
+        const offset = Math.max(parseInt(query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+        const q = (query.q || '').toLowerCase();
+
+        let medicines = list
+            .filter(m => !query.status || String(m.status).toLowerCase() === String(query.status).toLowerCase())
+            .filter(m => !query.manufacturerId || m.manufacturerId === query.manufacturerId)
+            .filter(m => !query.expiringBefore || m.expiryDate < query.expiringBefore)
+            .filter(m => !q || [m.batchNumber, m.medicineName, m.manufacturerName, m.manufacturerId, m.gtin]
+                .some(field => (field || '').toLowerCase().includes(q)));
+
+        if (query.sort) {
+            const field = query.sort.replace(/^-/, '');
+            const direction = query.sort.startsWith('-') ? -1 : 1;
+            medicines = medicines.slice().sort((a, b) => direction * (field === 'scanCount'
+                ? Number(a[field] || 0) - Number(b[field] || 0)
+                : String(a[field] || '').localeCompare(String(b[field] || ''))));
+        }
+
+        return { total: medicines.length, offset, limit, medicines: medicines.slice(offset, offset + limit) };
     }
 
     // Flag / report counterfeit
     async function reportCounterfeit(batchNumber, reason) {
         if (!contract) {
-            return await apiCall('/api/alert/report', 'POST', { batchNumber, reason });
+            throw new Error('Connect MetaMask as a supply chain party to report a counterfeit');
         }
 
         try {
@@ -524,6 +1019,89 @@ window.MetaMaskModule = (function () {
         }
     }
 
+    // Get on-chain alerts, newest first (status: 'all' | 'open' | 'resolved')
+    async function getAlerts(status = 'all', offset = 0, limit = 20) {
+        if (!contract) {
+            return await apiCall(`/api/alerts?status=${status}&offset=${offset}&limit=${limit}`, 'GET');
+        }
+
+        const total = Number(await contract.alertCount());
+        const matches = [];
+        const CHUNK = 100;
+
+        for (let end = total; end > 0 && matches.length < offset + limit; end -= CHUNK) {
+            const start = Math.max(end - CHUNK, 0);
+            const chunk = await contract.getAlerts(start, end - start);
+            for (let i = chunk.length - 1; i >= 0; i--) {
+                const alert = formatAlert(chunk[i]);
+                if (status === 'all' || (status === 'resolved') === alert.resolved) {
+                    matches.push(alert);
+                }
+            }
+        }
+
+        return { total, offset, limit, alerts: matches.slice(offset, offset + limit) };
+    }
+
+    // Resolve an alert; restoreBatch dismisses a false alarm and returns the flagged batch to its previous status
+    async function resolveAlert(alertId, resolution, restoreBatch = false) {
+        if (!contract) {
+            throw new Error('Connect MetaMask as the owner or registering manufacturer to resolve alerts');
+        }
+
+        try {
+            const tx = await contract.resolveAlert(alertId, resolution, restoreBatch);
+            const receipt = await tx.wait();
+            return { success: true, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (err) {
+            throw new Error(err.reason || err.message);
+        }
+    }
+
+    function formatAlert(alert) {
+        return {
+            id: Number(alert.id),
+            batchNumber: alert.batchNumber,
+            reason: alert.reason,
+            reportedBy: alert.reportedBy,
+            suspicious: alert.suspicious,
+            timestamp: new Date(Number(alert.timestamp) * 1000).toISOString(),
+            resolved: alert.resolved,
+            resolution: alert.resolution,
+            resolvedBy: alert.resolved ? alert.resolvedBy : null,
+            resolvedAt: alert.resolved ? new Date(Number(alert.resolvedAt) * 1000).toISOString() : null
+        };
+    }
+
+    // ===== Governance =====
+    // Proposals come decoded from the backend; approving and executing are signed by the admin's wallet
+    async function getProposals(status = 'open', offset = 0, limit = 20) {
+        return await apiCall(`/api/governance/proposals?status=${status}&offset=${offset}&limit=${limit}`, 'GET');
+    }
+
+    async function approveProposal(proposalId) {
+        return await sendGovernanceTx('approve', proposalId);
+    }
+
+    async function executeProposal(proposalId) {
+        return await sendGovernanceTx('execute', proposalId);
+    }
+
+    async function sendGovernanceTx(method, proposalId) {
+        if (!governanceContract) {
+            throw new Error('Connect MetaMask as a governance admin to approve proposals');
+        }
+
+        try {
+            const tx = await governanceContract[method](proposalId);
+            showWalletToast(`Proposal #${proposalId}: ${method} submitted. Mining...`, 'info');
+            const receipt = await tx.wait();
+            return { success: true, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (err) {
+            throw new Error(err.reason || err.message);
+        }
+    }
+
     // ===== API Fallback =====
     async function apiCall(endpoint, method = 'GET', body = null) {
         const opts = {
@@ -538,6 +1116,43 @@ window.MetaMaskModule = (function () {
         return data;
     }
 
+    // Server writes are queued and answered with a job id; poll it until the transaction is mined
+    async function apiJob(endpoint, body) {
+        const job = await apiCall(endpoint, 'POST', body);
+        return await waitForJob(job.jobId);
+    }
+
+    async function waitForJob(jobId) {
+        showWalletToast('Transaction queued on the server...', 'info');
+
+        for (;;) {
+            await new Promise(resolve => setTimeout(resolve, TX_POLL_MS));
+            const status = await apiCall(`/api/tx/${jobId}`, 'GET');
+            if (status.status === 'failed') throw new Error(status.error || 'Transaction failed');
+            if (status.status === 'mined') {
+                return { success: true, jobId, ...status.result, ...status.confirmation };
+            }
+        }
+    }
+
+    // Download link for a server report: inventory / ledger (csv|json) or batch/<batch> (pdf|json)
+    function getReportUrl(name, format, query = {}) {
+        const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+        return `${API_BASE}/api/reports/${name}.${format}${params.toString() ? '?' + params : ''}`;
+    }
+
+    // ===== Date Helpers =====
+    // The contract stores unix timestamps; the UI uses YYYY-MM-DD (UTC midnight)
+    function toUnixDate(dateStr) {
+        const ms = Date.parse(dateStr);
+        if (isNaN(ms)) throw new Error(`Invalid date: ${dateStr}`);
+        return Math.floor(ms / 1000);
+    }
+
+    function formatChainDate(timestamp) {
+        return new Date(Number(timestamp) * 1000).toISOString().slice(0, 10);
+    }
+
     // ===== UI Helpers =====
     function updateWalletUI() {
         const btn = document.getElementById('connect-wallet-btn');
@@ -589,16 +1204,46 @@ window.MetaMaskModule = (function () {
         connectWallet,
         disconnect,
         registerMedicine,
+        importMedicines,
         verifyMedicine,
+        checkMedicine,
         getMedicine,
+        getUnit,
+        getRecall,
+        recallBatch,
+        markUnitSold,
+        getUnitLabels,
+        signLabel,
+        encodeLabel,
+        decodeLabel,
+        verifyLabel,
         getSupplyChain,
         updateSupplyChain,
+        getStageInfo,
+        getCustody,
+        getCustodyTransfers,
+        initiateCustodyTransfer,
+        acceptCustodyTransfer,
+        rejectCustodyTransfer,
         getStats,
-        getAllMedicines,
+        getMedicines,
+        filterMedicines,
+        getVerifications,
+        getReportUrl,
         reportCounterfeit,
+        getAlerts,
+        resolveAlert,
+        getRoles,
+        getContractStatus,
+        getManufacturerProfile,
+        getProposals,
+        approveProposal,
+        executeProposal,
         get isConnected() { return isConnected; },
         get address() { return userAddress; },
+        get roles() { return roles; },
         get contract() { return contract; },
-        get hasContract() { return !!contract; }
+        get hasContract() { return !!contract; },
+        get hasGovernance() { return !!governanceInfo; }
     };
 })();
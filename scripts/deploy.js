@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployMediChainCode, mediChainAbi } = require("./mediChainCode");
 
 async function main() {
     const networkName = hre.network.name;
@@ -25,42 +26,120 @@ async function main() {
         console.log("\n⏳ Deploying to Sepolia... This may take 15-45 seconds.\n");
     }
 
-    // Deploy MediChain
+    // A new proxy starts empty: refuse to orphan the batches of the deployment this would replace.
+    // scripts/upgrade.js ships new contract code and keeps them; FORCE_NEW_DEPLOYMENT=true overrides.
+    const chainId = (await hre.ethers.provider.getNetwork()).chainId.toString();
+    const outputDir = path.join(__dirname, "..", "public");
+    const deploymentPath = path.join(outputDir, "deployment.json");
+    const previous = fs.existsSync(deploymentPath) ? JSON.parse(fs.readFileSync(deploymentPath, "utf-8")) : null;
+    const replacing = previous && previous.chainId === chainId &&
+        (await hre.ethers.provider.getCode(previous.contractAddress)) !== "0x";
+    if (replacing && process.env.FORCE_NEW_DEPLOYMENT !== "true") {
+        const existing = new hre.ethers.Contract(previous.contractAddress,
+            ["function getTotalBatches() view returns (uint256)"], hre.ethers.provider);
+        const batches = await existing.getTotalBatches().catch(() => 0n);
+        if (batches > 0n) {
+            console.error(`\n❌ ${previous.contractAddress} already holds ${batches} batches on ${networkName}.`);
+            console.error("   Run scripts/upgrade.js to deploy new contract code and keep them,");
+            console.error("   or set FORCE_NEW_DEPLOYMENT=true to start an empty deployment.");
+            process.exit(1);
+        }
+    }
+
+    // Deploy the MediChain code, then the proxy that holds its data; the proxy address is the contract address
     const MediChain = await hre.ethers.getContractFactory("MediChain");
-    const mediChain = await MediChain.deploy();
-    await mediChain.waitForDeployment();
+    const { implementationAddress, supplyChainModule } = await deployMediChainCode(hre);
+
+    const MediChainProxy = await hre.ethers.getContractFactory("MediChainProxy");
+    const proxy = await MediChainProxy.deploy(implementationAddress, MediChain.interface.encodeFunctionData("initialize"));
+    await proxy.waitForDeployment();
 
-    const contractAddress = await mediChain.getAddress();
-    console.log("✅ MediChain deployed to:", contractAddress);
-    console.log("🔗 Transaction hash:", mediChain.deploymentTransaction().hash);
+    const contractAddress = await proxy.getAddress();
+    const mediChain = MediChain.attach(contractAddress);
+    const version = await mediChain.version();
+    console.log(`✅ MediChain ${version} deployed to:`, contractAddress);
+    console.log("   Implementation:", implementationAddress);
+    console.log("   Supply chain module:", supplyChainModule);
+    console.log("🔗 Transaction hash:", proxy.deploymentTransaction().hash);
 
     if (networkName === "sepolia") {
         console.log(`\n🔍 View on Etherscan: https://sepolia.etherscan.io/address/${contractAddress}`);
-        console.log(`🔍 View TX: https://sepolia.etherscan.io/tx/${mediChain.deploymentTransaction().hash}`);
+        console.log(`🔍 View TX: https://sepolia.etherscan.io/tx/${proxy.deploymentTransaction().hash}`);
+    }
+
+    // Optional M-of-N governance: GOVERNANCE_ADMINS=addr1,addr2,addr3 and GOVERNANCE_THRESHOLD=2 deploy
+    // MediChainGovernance and hand it the MediChain ownership, so owner actions need admin approvals
+    let governance = null;
+    const governanceAdmins = (process.env.GOVERNANCE_ADMINS || "").split(",").map(a => a.trim()).filter(Boolean);
+    if (governanceAdmins.length) {
+        const threshold = parseInt(process.env.GOVERNANCE_THRESHOLD) || governanceAdmins.length;
+        const Governance = await hre.ethers.getContractFactory("MediChainGovernance");
+        const governanceContract = await Governance.deploy(governanceAdmins, threshold);
+        await governanceContract.waitForDeployment();
+        const governanceAddress = await governanceContract.getAddress();
+
+        // Two-step handover: offer ownership, then an admin accepts it on the governance contract's behalf
+        await (await mediChain.transferOwnership(governanceAddress)).wait();
+        console.log(`🏛️  Governance (${threshold} of ${governanceAdmins.length}) deployed to:`, governanceAddress);
+        if (governanceAdmins.some(a => a.toLowerCase() === deployer.address.toLowerCase())) {
+            await (await governanceContract.acceptOwnershipOf(contractAddress)).wait();
+            console.log("   MediChain ownership transferred to governance");
+        } else {
+            console.log("   Ownership offered to governance; an admin must call acceptOwnershipOf(" + contractAddress + ")");
+        }
+
+        governance = {
+            address: governanceAddress,
+            admins: governanceAdmins,
+            threshold,
+            abi: JSON.parse(Governance.interface.formatJson())
+        };
     }
 
     // Save deployment info
-    const chainId = (await hre.ethers.provider.getNetwork()).chainId.toString();
+    const deployReceipt = await proxy.deploymentTransaction().wait();
+    const deployedAt = new Date().toISOString();
+
+    // versions lists the code behind this proxy, oldest first; previousDeployments the proxies it replaced
+    const previousDeployments = replacing ? [
+        {
+            contractAddress: previous.contractAddress,
+            version: previous.version || null,
+            deployBlock: previous.deployBlock ?? null,
+            deployedAt: previous.deployedAt,
+            replacedAt: deployedAt
+        },
+        ...(previous.previousDeployments || [])
+    ] : [];
 
     const deploymentInfo = {
         contractAddress: contractAddress,
+        implementation: implementationAddress,
+        supplyChainModule,
+        version,
         deployer: deployer.address,
         network: networkName,
         chainId: chainId,
-        deployedAt: new Date().toISOString(),
-        abi: JSON.parse(MediChain.interface.formatJson())
+        deployBlock: deployReceipt.blockNumber,
+        deployedAt,
+        abi: await mediChainAbi(hre),
+        versions: [{
+            version,
+            implementation: implementationAddress,
+            supplyChainModule,
+            block: deployReceipt.blockNumber,
+            at: deployedAt
+        }],
+        previousDeployments,
+        governance
     };
 
     // Write to frontend-accessible location
-    const outputDir = path.join(__dirname, "..", "public");
     if (!fs.existsSync(outputDir)) {
         fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    fs.writeFileSync(
-        path.join(outputDir, "deployment.json"),
-        JSON.stringify(deploymentInfo, null, 2)
-    );
+    fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
 
     fs.writeFileSync(
         path.join(outputDir, "MediChainABI.json"),
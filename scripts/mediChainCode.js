@@ -0,0 +1,39 @@
+// Helpers shared by deploy.js and upgrade.js. A MediChain release is two contracts: MediChain itself and
+// the MediChainSupplyChain module its fallback delegatecalls, deployed together and called at one address.
+
+// Deploys the module, then a MediChain implementation bound to it
+async function deployMediChainCode(hre) {
+    const SupplyChain = await hre.ethers.getContractFactory("MediChainSupplyChain");
+    const supplyChain = await SupplyChain.deploy();
+    await supplyChain.waitForDeployment();
+    const supplyChainModule = await supplyChain.getAddress();
+
+    const MediChain = await hre.ethers.getContractFactory("MediChain");
+    const implementation = await MediChain.deploy(supplyChainModule);
+    await implementation.waitForDeployment();
+
+    return { implementationAddress: await implementation.getAddress(), supplyChainModule };
+}
+
+// MediChain's ABI with the module's functions and events appended, as the frontend and backend call them
+async function mediChainAbi(hre) {
+    const mediChain = (await hre.ethers.getContractFactory("MediChain")).interface;
+    const supplyChain = (await hre.ethers.getContractFactory("MediChainSupplyChain")).interface;
+    const known = new Set(mediChain.fragments.map(f => f.format("json")));
+    const merged = new hre.ethers.Interface([
+        ...mediChain.fragments,
+        ...supplyChain.fragments.filter(f => !known.has(f.format("json")))
+    ]);
+    return JSON.parse(merged.formatJson());
+}
+
+// Version of the compiled MediChain, taken from the source it was built from (version is a string constant)
+async function compiledMediChainVersion(hre) {
+    const buildInfo = await hre.artifacts.getBuildInfo("contracts/MediChain.sol:MediChain");
+    const source = buildInfo.input.sources["contracts/MediChain.sol"].content;
+    const match = source.match(/string public constant version = "([^"]*)"/);
+    if (!match) throw new Error("MediChain.version is not a string constant");
+    return match[1];
+}
+
+module.exports = { deployMediChainCode, mediChainAbi, compiledMediChainVersion };
@@ -0,0 +1,121 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { deployMediChainCode, mediChainAbi, compiledMediChainVersion } = require("./mediChainCode");
+
+// Ships new MediChain code behind the existing MediChainProxy: the contract address, batches, supply chain
+// history, verifications and alerts all stay. UPGRADE_IMPLEMENTATION=0x... reuses code deployed by an
+// earlier run, e.g. to record an upgrade once its governance proposal has been executed.
+async function main() {
+    const networkName = hre.network.name;
+    console.log(`\n⬆️  Upgrading MediChain on ${networkName.toUpperCase()}...\n`);
+
+    const outputDir = path.join(__dirname, "..", "public");
+    const deploymentPath = path.join(outputDir, "deployment.json");
+    if (!fs.existsSync(deploymentPath)) {
+        console.error("❌ No public/deployment.json found. Deploy the contract first.");
+        process.exit(1);
+    }
+    const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf-8"));
+
+    const chainId = (await hre.ethers.provider.getNetwork()).chainId.toString();
+    if (deployment.chainId !== chainId) {
+        console.error(`❌ deployment.json is for chain ${deployment.chainId}, not ${networkName} (${chainId}).`);
+        process.exit(1);
+    }
+    if (!deployment.implementation) {
+        console.error(`❌ ${deployment.contractAddress} was deployed without MediChainProxy and cannot be upgraded in place.`);
+        console.error("   Redeploy with scripts/deploy.js (FORCE_NEW_DEPLOYMENT=true) to start a proxied deployment.");
+        process.exit(1);
+    }
+
+    const [deployer] = await hre.ethers.getSigners();
+    console.log("📋 Upgrading with account:", deployer.address);
+
+    const MediChain = await hre.ethers.getContractFactory("MediChain");
+    const mediChain = MediChain.attach(deployment.contractAddress);
+    const currentImplementation = await mediChain.implementation();
+    const currentVersion = await mediChain.version();
+    console.log(`📄 MediChain ${currentVersion} at ${deployment.contractAddress} (implementation ${currentImplementation})`);
+
+    let implementationAddress = process.env.UPGRADE_IMPLEMENTATION;
+    if (!implementationAddress) {
+        ({ implementationAddress } = await deployMediChainCode(hre));
+        console.log("✅ New implementation deployed to:", implementationAddress);
+    }
+    const newCode = MediChain.attach(implementationAddress);
+    const version = await newCode.version();
+    const supplyChainModule = await newCode.supplyChainModule();
+
+    // deployment.json gets the ABI compiled here, so code from another build must be the same release
+    const compiledVersion = await compiledMediChainVersion(hre);
+    if (version !== compiledVersion) {
+        console.error(`❌ ${implementationAddress} runs MediChain ${version}, but the compiled code is ${compiledVersion}.`);
+        console.error(`   Check out and compile ${version} before recording it.`);
+        process.exit(1);
+    }
+
+    if (currentImplementation.toLowerCase() !== implementationAddress.toLowerCase()) {
+        // The frontend and backend tell ABIs apart by version, so every release needs a new one
+        if (version === currentVersion) {
+            console.error(`❌ The new code still reports version ${version}. Bump MediChain.version and recompile.`);
+            process.exit(1);
+        }
+
+        const owner = await mediChain.owner();
+        if (owner.toLowerCase() === deployer.address.toLowerCase()) {
+            await (await mediChain.upgradeTo(implementationAddress)).wait();
+            console.log(`✅ Proxy now runs MediChain ${version}`);
+        } else {
+            // Owned by MediChainGovernance: the upgrade is an owner action like any other
+            const governanceInfo = deployment.governance;
+            if (governanceInfo && governanceInfo.address.toLowerCase() === owner.toLowerCase()) {
+                const governance = new hre.ethers.Contract(governanceInfo.address, governanceInfo.abi, deployer);
+                if (await governance.isAdmin(deployer.address)) {
+                    const tx = await governance.propose(
+                        deployment.contractAddress,
+                        mediChain.interface.encodeFunctionData("upgradeTo", [implementationAddress]),
+                        `Upgrade MediChain ${currentVersion} to ${version}`
+                    );
+                    await tx.wait();
+                    console.log(`🏛️  Upgrade proposed to governance (tx ${tx.hash})`);
+                } else {
+                    console.log(`🏛️  Ask a governance admin to propose upgradeTo(${implementationAddress})`);
+                }
+            } else {
+                console.log(`🔑 The owner ${owner} must call upgradeTo(${implementationAddress})`);
+            }
+            console.log("   Once it has been executed, record it with:");
+            console.log(`   UPGRADE_IMPLEMENTATION=${implementationAddress} npx hardhat run scripts/upgrade.js --network ${networkName}`);
+            return;
+        }
+    } else if (deployment.implementation.toLowerCase() === implementationAddress.toLowerCase()) {
+        console.log(`ℹ️  MediChain ${version} is already recorded in deployment.json`);
+        return;
+    }
+
+    // Record the new code: its ABI replaces the old one and the previous implementation joins the history
+    const block = await hre.ethers.provider.getBlockNumber();
+    deployment.implementation = implementationAddress;
+    deployment.supplyChainModule = supplyChainModule;
+    deployment.version = version;
+    deployment.abi = await mediChainAbi(hre);
+    deployment.versions = [
+        ...(deployment.versions || []),
+        { version, implementation: implementationAddress, supplyChainModule, block, at: new Date().toISOString() }
+    ];
+
+    fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+    fs.writeFileSync(path.join(outputDir, "MediChainABI.json"), JSON.stringify(deployment.abi, null, 2));
+
+    console.log("\n📁 Deployment info saved to public/deployment.json");
+    console.log("📁 Contract ABI saved to public/MediChainABI.json");
+    console.log("🎉 Upgrade complete! Restart the backend to load the new ABI.");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Upgrade failed:", error);
+        process.exit(1);
+    });
@@ -1,403 +1,3045 @@
-const express = require("express");
-const cors = require("cors");
-const path = require("path");
-const { ethers } = require("ethers");
-const fs = require("fs");
-require("dotenv").config();
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, "public")));
-
-// ===== Blockchain Connection =====
-let provider, contract, signer;
-
-function getDeployment() {
-    const depPath = path.join(__dirname, "public", "deployment.json");
-    if (!fs.existsSync(depPath)) {
-        return null;
-    }
-    return JSON.parse(fs.readFileSync(depPath, "utf-8"));
-}
-
-async function connectBlockchain() {
-    try {
-        const deployment = getDeployment();
-        const networkMode = deployment?.network || process.env.NETWORK_MODE || "localhost";
-
-        if (networkMode === "sepolia") {
-            // Connect to Sepolia via Infura/Alchemy
-            const rpcUrl = process.env.SEPOLIA_RPC_URL;
-            if (!rpcUrl || rpcUrl.includes("YOUR_INFURA")) {
-                console.log("⚠️  Sepolia RPC URL not set. Update .env file.");
-                return;
-            }
-            provider = new ethers.JsonRpcProvider(rpcUrl);
-            const network = await provider.getNetwork();
-            console.log(`⛓️  Connected to Sepolia (chainId: ${network.chainId})`);
-
-            // Use private key from .env for signing
-            const privateKey = process.env.PRIVATE_KEY;
-            if (privateKey && !privateKey.includes("your_")) {
-                signer = new ethers.Wallet(privateKey, provider);
-                console.log(`🔑 Signer loaded: ${signer.address}`);
-            } else {
-                console.log("⚠️  No PRIVATE_KEY in .env — read-only mode");
-            }
-        } else {
-            // Connect to localhost Hardhat
-            provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
-            const network = await provider.getNetwork();
-            console.log(`⛓️  Connected to localhost (chainId: ${network.chainId})`);
-            signer = await provider.getSigner(0);
-        }
-
-        if (deployment && signer) {
-            contract = new ethers.Contract(
-                deployment.contractAddress,
-                deployment.abi,
-                signer
-            );
-            console.log(`📄 Contract loaded at: ${deployment.contractAddress}`);
-            console.log(`🌐 Network: ${networkMode.toUpperCase()}`);
-        } else if (!deployment) {
-            console.log("⚠️  No deployment found. Deploy the contract first.");
-        }
-    } catch (err) {
-        console.log("⚠️  Blockchain not connected:", err.message);
-    }
-}
-
-// ===== API Routes =====
-
-// Health check
-app.get("/api/health", async (req, res) => {
-    try {
-        const deployment = getDeployment();
-        let blockchainConnected = false;
-        let blockNumber = 0;
-
-        if (provider) {
-            try {
-                blockNumber = await provider.getBlockNumber();
-                blockchainConnected = true;
-            } catch (e) { }
-        }
-
-        res.json({
-            status: "ok",
-            blockchain: blockchainConnected,
-            contractDeployed: !!deployment,
-            contractAddress: deployment?.contractAddress || null,
-            blockNumber,
-            timestamp: new Date().toISOString()
-        });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// Get deployment info
-app.get("/api/deployment", (req, res) => {
-    const deployment = getDeployment();
-    if (!deployment) {
-        return res.status(404).json({ error: "Contract not deployed yet" });
-    }
-    res.json(deployment);
-});
-
-// Get contract stats
-app.get("/api/stats", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const stats = await contract.getStats();
-        res.json({
-            totalMedicines: stats[0].toString(),
-            totalVerifications: stats[1].toString(),
-            totalAlerts: stats[2].toString(),
-            contractOwner: stats[3]
-        });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// Register medicine
-app.post("/api/medicine/register", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const {
-            medicineName, batchNumber, manufacturerId, manufacturerName,
-            mfgDate, expiryDate, medicineType, quantity,
-            composition, shipmentDest, price
-        } = req.body;
-
-        const tx = await contract.registerMedicine(
-            medicineName, batchNumber, manufacturerId, manufacturerName,
-            mfgDate, expiryDate
-        );
-
-        const receipt = await tx.wait();
-
-        // Set additional details
-        try {
-            const tx2 = await contract.setMedicineDetails(
-                batchNumber, medicineType || "tablet",
-                quantity || 0, composition || "", shipmentDest || "",
-                parseInt(price || 0)
-            );
-            await tx2.wait();
-        } catch (e) {
-            console.warn("Optional details failed:", e.message);
-        }
-
-        console.log(`✅ Medicine registered: ${batchNumber} in block ${receipt.blockNumber}`);
-
-        res.json({
-            success: true,
-            transactionHash: receipt.hash,
-            blockNumber: receipt.blockNumber,
-            batchNumber
-        });
-    } catch (err) {
-        console.error("Register error:", err.message);
-        res.status(500).json({ error: err.reason || err.message });
-    }
-});
-
-// Verify medicine
-app.post("/api/medicine/verify", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const { batchNumber } = req.body;
-
-        // Call the verification (this is a state-changing call)
-        const tx = await contract.verifyMedicine(batchNumber);
-        const receipt = await tx.wait();
-
-        // Check events from the receipt
-        let isAuthentic = false;
-        let details = "";
-
-        for (const log of receipt.logs) {
-            try {
-                const parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
-                if (parsed && parsed.name === "MedicineVerified") {
-                    isAuthentic = parsed.args[1]; // isAuthentic bool
-                }
-            } catch (e) { }
-        }
-
-        // Get medicine details if it exists
-        let medicine = null;
-        try {
-            medicine = await contract.getMedicine(batchNumber);
-            medicine = {
-                medicineName: medicine.medicineName,
-                batchNumber: medicine.batchNumber,
-                manufacturerId: medicine.manufacturerId,
-                manufacturerName: medicine.manufacturerName,
-                mfgDate: medicine.mfgDate,
-                expiryDate: medicine.expiryDate,
-                medicineType: medicine.medicineType,
-                quantity: medicine.quantity.toString(),
-                status: ["Active", "Sold", "Expired", "Flagged"][Number(medicine.status)],
-                scanCount: medicine.scanCount.toString(),
-                registeredBy: medicine.registeredBy,
-                registeredAt: new Date(Number(medicine.registeredAt) * 1000).toISOString()
-            };
-        } catch (e) { }
-
-        res.json({
-            success: true,
-            isAuthentic,
-            batchNumber,
-            medicine,
-            transactionHash: receipt.hash,
-            blockNumber: receipt.blockNumber
-        });
-    } catch (err) {
-        console.error("Verify error:", err.message);
-        res.status(500).json({ error: err.reason || err.message });
-    }
-});
-
-// Get medicine details
-app.get("/api/medicine/:batchNumber", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const med = await contract.getMedicine(req.params.batchNumber);
-        res.json({
-            medicineName: med.medicineName,
-            batchNumber: med.batchNumber,
-            manufacturerId: med.manufacturerId,
-            manufacturerName: med.manufacturerName,
-            mfgDate: med.mfgDate,
-            expiryDate: med.expiryDate,
-            medicineType: med.medicineType,
-            quantity: med.quantity.toString(),
-            status: ["Active", "Sold", "Expired", "Flagged"][Number(med.status)],
-            scanCount: med.scanCount.toString(),
-            registeredBy: med.registeredBy,
-            registeredAt: new Date(Number(med.registeredAt) * 1000).toISOString()
-        });
-    } catch (err) {
-        res.status(404).json({ error: "Medicine not found" });
-    }
-});
-
-// Get supply chain
-app.get("/api/supplychain/:batchNumber", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const chain = await contract.getSupplyChain(req.params.batchNumber);
-        const stages = ["Manufactured", "QualityChecked", "Shipped", "InTransit", "Delivered", "Dispensed"];
-
-        res.json(chain.map(entry => ({
-            stage: stages[Number(entry.stage)],
-            actor: entry.actor,
-            location: entry.location,
-            timestamp: new Date(Number(entry.timestamp) * 1000).toISOString(),
-            updatedBy: entry.updatedBy
-        })));
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// Update supply chain
-app.post("/api/supplychain/update", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const { batchNumber, stage, actor, location } = req.body;
-        const tx = await contract.updateSupplyChain(batchNumber, stage, actor, location);
-        const receipt = await tx.wait();
-
-        res.json({
-            success: true,
-            transactionHash: receipt.hash,
-            blockNumber: receipt.blockNumber
-        });
-    } catch (err) {
-        res.status(500).json({ error: err.reason || err.message });
-    }
-});
-
-// Get all registered batches
-app.get("/api/medicines", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const totalBatches = await contract.getTotalBatches();
-        const medicines = [];
-
-        for (let i = 0; i < Number(totalBatches); i++) {
-            const batch = await contract.getBatchByIndex(i);
-            try {
-                const med = await contract.getMedicine(batch);
-                medicines.push({
-                    medicineName: med.medicineName,
-                    batchNumber: med.batchNumber,
-                    manufacturerId: med.manufacturerId,
-                    manufacturerName: med.manufacturerName,
-                    mfgDate: med.mfgDate,
-                    expiryDate: med.expiryDate,
-                    medicineType: med.medicineType,
-                    status: ["Active", "Sold", "Expired", "Flagged"][Number(med.status)],
-                    scanCount: med.scanCount.toString()
-                });
-            } catch (e) { }
-        }
-
-        res.json(medicines);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// Report counterfeit
-app.post("/api/alert/report", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const { batchNumber, reason } = req.body;
-        const tx = await contract.flagMedicine(batchNumber, reason || "Suspected counterfeit");
-        const receipt = await tx.wait();
-
-        res.json({
-            success: true,
-            transactionHash: receipt.hash,
-            blockNumber: receipt.blockNumber
-        });
-    } catch (err) {
-        res.status(500).json({ error: err.reason || err.message });
-    }
-});
-
-// Authorize a wallet address (called by frontend when MetaMask connects)
-app.post("/api/authorize", async (req, res) => {
-    try {
-        if (!contract) return res.status(503).json({ error: "Contract not connected" });
-
-        const { address } = req.body;
-        if (!address) return res.status(400).json({ error: "Address required" });
-
-        console.log(`🔑 Authorizing wallet: ${address}`);
-
-        // Check if already authorized
-        const isManufacturer = await contract.authorizedManufacturers(address);
-        if (isManufacturer) {
-            console.log(`  ✅ Already authorized as manufacturer`);
-            return res.json({ success: true, alreadyAuthorized: true });
-        }
-
-        // Authorize as manufacturer
-        const tx1 = await contract.authorizeManufacturer(address);
-        await tx1.wait();
-        console.log(`  ✅ Authorized as Manufacturer`);
-
-        // Authorize as distributor
-        const tx2 = await contract.authorizeDistributor(address);
-        await tx2.wait();
-        console.log(`  ✅ Authorized as Distributor`);
-
-        // Authorize as shop
-        const tx3 = await contract.authorizeShop(address);
-        await tx3.wait();
-        console.log(`  ✅ Authorized as Shop`);
-
-        res.json({
-            success: true,
-            address,
-            roles: ["manufacturer", "distributor", "shop"],
-            message: "Wallet authorized for all roles"
-        });
-    } catch (err) {
-        console.error("Authorization error:", err.message);
-        res.status(500).json({ error: err.reason || err.message });
-    }
-});
-
-// Serve frontend (catch-all for SPA, Express 5 compatible)
-app.use((req, res, next) => {
-    if (req.path.startsWith('/api/')) return next();
-    res.sendFile(path.join(__dirname, "public", "index.html"));
-});
-
-// ===== Start Server =====
-app.listen(PORT, async () => {
-    console.log(`\n🏥 MediChain Backend Server running on http://localhost:${PORT}`);
-    console.log(`📁 Serving frontend from /public`);
-    await connectBlockchain();
-    console.log(`\n🔗 Ready for MetaMask connections!\n`);
-});
+const express = require("express");
+const cors = require("cors");
+const path = require("path");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const crypto = require("crypto");
+require("dotenv").config();
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+app.use(express.static(path.join(__dirname, "public")));
+
+// ===== Blockchain Connection =====
+let provider, contract, signer;
+let governance = null; // MediChainGovernance, when the deployment has one
+// Blocks (counting the one that includes a tx) before verifications and alerts are treated as final
+let requiredConfirmations = 1;
+
+const MEDICINE_STATUSES = ["Active", "Sold", "Expired", "Flagged", "Recalled"];
+const RECALL_CLASSES = { 1: "I", 2: "II", 3: "III" };
+const SUPPLY_STAGES = ["Manufactured", "QualityChecked", "Shipped", "InTransit", "Delivered", "Dispensed", "Returned"];
+
+function getDeployment() {
+    const depPath = path.join(__dirname, "public", "deployment.json");
+    if (!fs.existsSync(depPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(depPath, "utf-8"));
+}
+
+async function connectBlockchain() {
+    try {
+        const deployment = getDeployment();
+        const networkMode = deployment?.network || process.env.NETWORK_MODE || "localhost";
+        requiredConfirmations = process.env.CONFIRMATIONS !== undefined
+            ? Math.max(parseInt(process.env.CONFIRMATIONS) || 1, 1)
+            : (networkMode === "sepolia" ? 6 : 1);
+
+        if (networkMode === "sepolia") {
+            // Connect to Sepolia via Infura/Alchemy
+            const rpcUrl = process.env.SEPOLIA_RPC_URL;
+            if (!rpcUrl || rpcUrl.includes("YOUR_INFURA")) {
+                console.log("⚠️  Sepolia RPC URL not set. Update .env file.");
+                return;
+            }
+            provider = new ethers.JsonRpcProvider(rpcUrl);
+            const network = await provider.getNetwork();
+            console.log(`⛓️  Connected to Sepolia (chainId: ${network.chainId})`);
+
+            // Use private key from .env for signing
+            const privateKey = process.env.PRIVATE_KEY;
+            if (privateKey && !privateKey.includes("your_")) {
+                signer = new ethers.Wallet(privateKey, provider);
+                console.log(`🔑 Signer loaded: ${signer.address}`);
+            } else {
+                console.log("⚠️  No PRIVATE_KEY in .env — read-only mode");
+            }
+        } else {
+            // Connect to localhost Hardhat
+            provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
+            const network = await provider.getNetwork();
+            console.log(`⛓️  Connected to localhost (chainId: ${network.chainId})`);
+            signer = await provider.getSigner(0);
+        }
+
+        if (deployment && signer) {
+            contract = new ethers.Contract(
+                deployment.contractAddress,
+                deployment.abi,
+                signer
+            );
+            console.log(`📄 Contract loaded at: ${deployment.contractAddress}`);
+            const liveVersion = await readContractVersion();
+            if (liveVersion !== (deployment.version || null)) {
+                console.warn(`⚠️  deployment.json has the ABI of MediChain ${deployment.version || "(unversioned)"}, ` +
+                    `but the contract runs ${liveVersion || "(unversioned)"}; run scripts/upgrade.js to record the new ABI`);
+            }
+            if (deployment.governance) {
+                governance = new ethers.Contract(deployment.governance.address, deployment.governance.abi, signer);
+                console.log(`🏛️  Governance loaded at: ${deployment.governance.address}`);
+            }
+            console.log(`🌐 Network: ${networkMode.toUpperCase()}`);
+        } else if (!deployment) {
+            console.log("⚠️  No deployment found. Deploy the contract first.");
+        }
+    } catch (err) {
+        console.log("⚠️  Blockchain not connected:", err.message);
+    }
+}
+
+// Live MediChain.version(), read with its own ABI fragment so it also works against an outdated
+// deployment.json; null for contracts that predate versioning
+async function readContractVersion() {
+    const versioned = new ethers.Contract(contract.target, ["function version() view returns (string)"], provider);
+    return versioned.version().catch(() => null);
+}
+
+// Dates are unix timestamps on-chain; the API speaks YYYY-MM-DD (UTC) and also accepts raw timestamps
+function toUnixDate(value) {
+    if (/^\d+$/.test(String(value))) return Number(value);
+    const ms = Date.parse(value);
+    if (isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+    return Math.floor(ms / 1000);
+}
+
+function formatChainDate(timestamp) {
+    return new Date(Number(timestamp) * 1000).toISOString().slice(0, 10);
+}
+
+// GS1 mod-10 check digit: weights 3 and 1 alternate from the rightmost digit
+function gs1CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        sum += Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+    }
+    return String((10 - sum % 10) % 10);
+}
+
+// GTIN-8/12/13/14 stored as GTIN-14 (zero-padded), "" when absent
+function normalizeGtin(value) {
+    const digits = String(value ?? "").trim();
+    if (!digits) return "";
+    if (!/^(\d{8}|\d{12,14})$/.test(digits)) throw new Error("GTIN must have 8, 12, 13 or 14 digits");
+    const gtin = digits.padStart(14, "0");
+    if (gs1CheckDigit(gtin.slice(0, 13)) !== gtin[13]) throw new Error(`GTIN ${digits} has a wrong check digit`);
+    return gtin;
+}
+
+// pending/confirmed state of a transaction mined in blockNumber, for write endpoints
+async function confirmationInfo(blockNumber) {
+    const confirmations = (await provider.getBlockNumber()) - blockNumber + 1;
+    return {
+        status: confirmations >= requiredConfirmations ? "confirmed" : "pending",
+        confirmations,
+        requiredConfirmations
+    };
+}
+
+// Newest block with requiredConfirmations; background jobs act on state up to it so a reorg can't mislead them
+async function confirmedBlockNumber() {
+    return Math.max((await provider.getBlockNumber()) - requiredConfirmations + 1, 0);
+}
+
+// Contract Medicine struct → API response
+function formatMedicine(med) {
+    return {
+        medicineName: med.medicineName,
+        batchNumber: med.batchNumber,
+        manufacturerId: med.manufacturerId,
+        manufacturerName: med.manufacturerName,
+        mfgDate: formatChainDate(med.mfgDate),
+        expiryDate: formatChainDate(med.expiryDate),
+        medicineType: med.medicineType,
+        quantity: med.quantity.toString(),
+        gtin: med.gtin,
+        status: MEDICINE_STATUSES[Number(med.status)],
+        scanCount: med.scanCount.toString(),
+        registeredBy: med.registeredBy,
+        registeredAt: new Date(Number(med.registeredAt) * 1000).toISOString()
+    };
+}
+
+// Registry profile behind a manufacturer wallet, null when it has none
+async function getManufacturerProfile(address) {
+    const profile = await contract.manufacturerProfiles(address);
+    if (!profile.manufacturerId) return null;
+    return {
+        address,
+        manufacturerId: profile.manufacturerId,
+        legalName: profile.legalName,
+        licenseNumber: profile.licenseNumber,
+        licenseValidFrom: formatChainDate(profile.licenseValidFrom),
+        licenseValidUntil: formatChainDate(profile.licenseValidUntil),
+        jurisdiction: profile.jurisdiction,
+        licenseValid: await contract.hasValidLicense(address)
+    };
+}
+
+// Recall details for a Recalled batch, null otherwise
+async function getRecallInfo(batchNumber, medicine) {
+    if (!medicine || medicine.status !== "Recalled") return null;
+    const recall = await contract.getRecall(batchNumber);
+    return {
+        recallClass: RECALL_CLASSES[Number(recall.recallClass)],
+        reason: recall.reason,
+        issuedBy: recall.issuedBy,
+        issuedAt: new Date(Number(recall.timestamp) * 1000).toISOString()
+    };
+}
+
+// ===== Unit Merkle Trees =====
+// Serialized packs are committed on-chain as one Merkle root. The leaves are kept here so each
+// pack's proof can be handed out for its QR label. Hashing mirrors MediChain.isRegisteredUnit:
+// leaf = keccak256(keccak256(abi.encode(batchNumber, serial))), pairs hashed in sorted order.
+const UNIT_TREE_DIR = path.join(__dirname, "data", "unit-trees");
+const MAX_UNITS_PER_BATCH = 100000;
+const unitTreeCache = new Map(); // batchNumber => { batchNumber, root, serials, layers, index }
+
+function unitLeaf(batchNumber, serial) {
+    const key = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["string", "uint256"], [batchNumber, serial])
+    );
+    return ethers.keccak256(key);
+}
+
+function hashPair(a, b) {
+    return a < b
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Builds every layer bottom-up; an odd node is carried up to the next layer unpaired
+function buildLayers(leaves) {
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const prev = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < prev.length; i += 2) {
+            next.push(i + 1 < prev.length ? hashPair(prev[i], prev[i + 1]) : prev[i]);
+        }
+        layers.push(next);
+    }
+    return layers;
+}
+
+function indexTree(batchNumber, serials, leaves) {
+    const layers = buildLayers(leaves);
+    return {
+        batchNumber,
+        root: layers[layers.length - 1][0],
+        serials,
+        layers,
+        index: new Map(serials.map((serial, i) => [serial, i]))
+    };
+}
+
+// Accepts either an explicit serial list or a contiguous firstSerial/unitCount range
+function parseSerials({ serials, unitCount, firstSerial }) {
+    let list;
+    if (Array.isArray(serials)) {
+        list = serials.map(s => String(s).trim());
+    } else {
+        const count = parseInt(unitCount);
+        if (!(count > 0)) return null;
+        // 1 only when absent; parsed as text so serials above 2^53 stay exact (send them as strings in JSON)
+        const firstText = firstSerial === undefined || firstSerial === null ? "" : String(firstSerial).trim();
+        if (firstText !== "" && !/^\d+$/.test(firstText)) throw new Error("firstSerial must be a non-negative integer");
+        const first = firstText === "" ? 1n : BigInt(firstText);
+        if (count > MAX_UNITS_PER_BATCH) throw new Error(`At most ${MAX_UNITS_PER_BATCH} units per batch`);
+        list = Array.from({ length: count }, (_, i) => (first + BigInt(i)).toString());
+    }
+
+    if (list.length === 0) return null;
+    if (list.length > MAX_UNITS_PER_BATCH) throw new Error(`At most ${MAX_UNITS_PER_BATCH} units per batch`);
+    if (list.some(s => !/^\d+$/.test(s))) throw new Error("Unit serials must be non-negative integers");
+    list = list.map(s => BigInt(s).toString());
+    if (new Set(list).size !== list.length) throw new Error("Duplicate unit serials");
+    return list;
+}
+
+function unitTreePath(batchNumber) {
+    return path.join(UNIT_TREE_DIR, `${ethers.id(batchNumber).slice(2)}.json`);
+}
+
+// Builds a tree in memory only; saveUnitTree stores it once its registration has passed the dry-run
+function buildUnitTree(batchNumber, serials) {
+    return indexTree(batchNumber, serials, serials.map(s => unitLeaf(batchNumber, s)));
+}
+
+function saveUnitTree(tree) {
+    const { batchNumber, serials } = tree;
+    fs.mkdirSync(UNIT_TREE_DIR, { recursive: true });
+    fs.writeFileSync(unitTreePath(batchNumber), JSON.stringify({
+        batchNumber,
+        root: tree.root,
+        serials,
+        leaves: tree.layers[0],
+        createdAt: new Date().toISOString()
+    }));
+    unitTreeCache.set(batchNumber, tree);
+    return tree;
+}
+
+// The stored leaves of a batch must not be replaced once its root is on-chain, or while a queued
+// registration is about to commit them; otherwise genuine packs would lose their proofs
+async function unitTreeLocked(batchNumber) {
+    const queued = txJobs.some(job => (job.status === "queued" || job.status === "pending") &&
+        (job.kind === "register" ? job.meta.batchNumber === batchNumber
+            : job.kind === "import" && job.meta.rows.some(r => r.batchNumber === batchNumber)));
+    return queued || (!!contract && (await contract.unitRoots(batchNumber)) !== ethers.ZeroHash);
+}
+
+function loadUnitTree(batchNumber) {
+    if (unitTreeCache.has(batchNumber)) return unitTreeCache.get(batchNumber);
+
+    const file = unitTreePath(batchNumber);
+    if (!fs.existsSync(file)) return null;
+    const stored = JSON.parse(fs.readFileSync(file, "utf-8"));
+    const tree = indexTree(batchNumber, stored.serials, stored.leaves);
+    unitTreeCache.set(batchNumber, tree);
+    return tree;
+}
+
+function getUnitProof(tree, serial) {
+    let index = tree.index.get(BigInt(serial).toString());
+    if (index === undefined) return null;
+
+    const proof = [];
+    for (let level = 0; level < tree.layers.length - 1; level++) {
+        const sibling = index ^ 1;
+        if (sibling < tree.layers[level].length) proof.push(tree.layers[level][sibling]);
+        index >>= 1;
+    }
+    return proof;
+}
+
+// Proof for a serial from the stored tree, or [] when unknown (the contract then rejects the unit)
+function storedUnitProof(batchNumber, serial) {
+    try {
+        const tree = loadUnitTree(batchNumber);
+        return (tree && getUnitProof(tree, serial)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// ===== Signed Labels =====
+// QR labels carry an EIP-712 signature by the registering manufacturer over the batch number, name, expiry
+// and unit root, so a scanner can reject a made-up label without reaching the chain. One signature covers a
+// whole batch; unit labels add the serial and its Merkle proof against the signed root. Compact encoding:
+// MC1|chainId|contract|batch|name|expiry|unitRoot|signature[|serial|proof] — bytes as base64url, proof
+// hashes joined by ".", "%" and "|" in text fields percent-escaped, unitRoot empty for batch-only labels.
+const LABEL_PREFIX = "MC1";
+const LABEL_TYPES = {
+    Label: [
+        { name: "batch", type: "string" },
+        { name: "name", type: "string" },
+        { name: "expiry", type: "string" },
+        { name: "unitRoot", type: "bytes32" }
+    ]
+};
+
+function labelDomain(chainId, verifyingContract) {
+    return { name: "MediChain", version: "1", chainId, verifyingContract };
+}
+
+function toBase64Url(hex) {
+    return ethers.encodeBase64(hex).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+    return ethers.hexlify(ethers.decodeBase64(text.replace(/-/g, "+").replace(/_/g, "/")));
+}
+
+const escapeLabelField = text => text.replace(/%/g, "%25").replace(/\|/g, "%7C");
+
+function encodeLabel({ chainId, contract, batch, name, expiry, unitRoot, signature, serial, proof }) {
+    const parts = [
+        LABEL_PREFIX, chainId, toBase64Url(contract), escapeLabelField(batch), escapeLabelField(name), expiry,
+        unitRoot === ethers.ZeroHash ? "" : toBase64Url(unitRoot), toBase64Url(signature)
+    ];
+    if (serial !== undefined && serial !== null) parts.push(serial, (proof || []).map(toBase64Url).join("."));
+    return parts.join("|");
+}
+
+// null for anything that isn't a well-formed MC1 label (e.g. the older unsigned JSON labels)
+function decodeLabel(text) {
+    const parts = String(text).split("|");
+    if (parts[0] !== LABEL_PREFIX || (parts.length !== 8 && parts.length !== 10)) return null;
+    try {
+        const label = {
+            chainId: parts[1],
+            contract: ethers.getAddress(fromBase64Url(parts[2])),
+            batch: decodeURIComponent(parts[3]),
+            name: decodeURIComponent(parts[4]),
+            expiry: parts[5],
+            unitRoot: parts[6] ? fromBase64Url(parts[6]) : ethers.ZeroHash,
+            signature: fromBase64Url(parts[7]),
+            serial: parts.length === 10 ? parts[8] : null,
+            proof: parts.length === 10 && parts[9] ? parts[9].split(".").map(fromBase64Url) : []
+        };
+        // A serial that isn't a uint256 or a proof hash that isn't bytes32 would make the proof check throw
+        if (label.serial !== null && !(/^\d+$/.test(label.serial) && BigInt(label.serial) <= ethers.MaxUint256)) return null;
+        if (![label.unitRoot, ...label.proof].every(hash => ethers.dataLength(hash) === 32)) return null;
+        return label;
+    } catch (e) {
+        return null;
+    }
+}
+
+function recoverLabelSigner(label) {
+    const { chainId, contract, batch, name, expiry, unitRoot, signature } = label;
+    return ethers.verifyTypedData(labelDomain(chainId, contract), LABEL_TYPES, { batch, name, expiry, unitRoot }, signature);
+}
+
+function unitProofMatches(label) {
+    const root = label.proof.reduce((node, sibling) => hashPair(node, sibling), unitLeaf(label.batch, label.serial));
+    return root === label.unitRoot;
+}
+
+// Signed label of a batch registered by the server wallet
+async function signLabel(batchNumber) {
+    const med = await contract.getMedicine(batchNumber);
+    if (med.registeredBy !== await signer.getAddress()) {
+        const err = new Error("Labels of this batch are signed by its registering manufacturer's wallet");
+        err.status = 403;
+        throw err;
+    }
+    const label = {
+        chainId: (await provider.getNetwork()).chainId.toString(),
+        contract: await contract.getAddress(),
+        batch: batchNumber,
+        name: med.medicineName,
+        expiry: formatChainDate(med.expiryDate),
+        unitRoot: await contract.unitRoots(batchNumber)
+    };
+    const { batch, name, expiry, unitRoot } = label;
+    label.signature = await signer.signTypedData(labelDomain(label.chainId, label.contract), LABEL_TYPES, { batch, name, expiry, unitRoot });
+    return label;
+}
+
+// ===== Bulk Import =====
+// Rows use the same fields as the register form / POST /api/medicine/register.
+// The manufacturer columns are gone: the contract takes them from the registering wallet's registry profile.
+const IMPORT_FIELDS = [
+    "medicineName", "batchNumber", "mfgDate", "expiryDate", "medicineType", "quantity", "composition",
+    "shipmentDest", "price", "gtin", "unitCount", "firstSerial"
+];
+const IMPORT_REQUIRED = ["medicineName", "batchNumber", "mfgDate", "expiryDate"];
+const IMPORT_MAX_ROWS = 50; // all rows go into one registerMedicineBatch transaction
+
+// Minimal RFC 4180 reader: quoted fields may contain commas, newlines and "" escapes
+function parseCsv(text) {
+    const records = [];
+    let record = [], field = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ",") {
+            record.push(field); field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            record.push(field); field = "";
+            records.push(record); record = [];
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== "" || record.length) { record.push(field); records.push(record); }
+
+    const [header = [], ...rows] = records.filter(r => r.some(value => value.trim() !== ""));
+    const keys = header.map(h => h.trim());
+    return rows.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] || "").trim()])));
+}
+
+function toCsv(rows, columns) {
+    const escape = value => {
+        const text = value === null || value === undefined ? "" : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(","), ...rows.map(row => columns.map(c => escape(row[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+// Accepts a CSV body (text/csv), a JSON array, or JSON { rows: [...] } / { csv: "..." }
+function readImportRows(req) {
+    if (typeof req.body === "string") return parseCsv(req.body);
+    if (Array.isArray(req.body)) return req.body;
+    if (req.body && Array.isArray(req.body.rows)) return req.body.rows;
+    if (req.body && typeof req.body.csv === "string") return parseCsv(req.body.csv);
+    throw new Error("Send CSV (text/csv) or a JSON array of rows");
+}
+
+// Validates every row before anything is sent; returns per-row reports plus contract inputs for valid rows
+async function validateImportRows(rows) {
+    const now = (await provider.getBlock("latest")).timestamp;
+    const seen = new Set();
+    const reports = [];
+
+    for (const [i, raw] of rows.entries()) {
+        // The register form calls the type field "type"
+        const row = { ...raw, medicineType: raw.medicineType ?? raw.type };
+        const errors = [];
+
+        for (const field of IMPORT_REQUIRED) {
+            if (row[field] === undefined || row[field] === null || String(row[field]).trim() === "") {
+                errors.push(`${field} is required`);
+            }
+        }
+
+        const batchNumber = String(row.batchNumber ?? "").trim();
+        if (batchNumber) {
+            if (seen.has(batchNumber)) errors.push("Duplicate batch number in file");
+            seen.add(batchNumber);
+            if (await contract.getMedicine(batchNumber).then(() => true, () => false)) {
+                errors.push("Batch number already registered");
+            }
+        }
+
+        let mfgDate, expiryDate;
+        try {
+            if (row.mfgDate) mfgDate = toUnixDate(row.mfgDate);
+            if (row.expiryDate) expiryDate = toUnixDate(row.expiryDate);
+        } catch (e) {
+            errors.push(e.message);
+        }
+        if (mfgDate !== undefined && expiryDate !== undefined && expiryDate <= mfgDate) {
+            errors.push("Expiry date must be after manufacture date");
+        }
+        if (expiryDate !== undefined && expiryDate <= now) errors.push("Medicine is already expired");
+
+        for (const field of ["quantity", "price", "unitCount"]) {
+            if (row[field] !== undefined && row[field] !== "" && !/^\d+$/.test(String(row[field]).trim())) {
+                errors.push(`${field} must be a non-negative integer`);
+            }
+        }
+
+        try {
+            normalizeGtin(row.gtin);
+        } catch (e) {
+            errors.push(e.message);
+        }
+
+        let serials = null;
+        if (!errors.length) {
+            try {
+                serials = parseSerials(row);
+            } catch (e) {
+                errors.push(e.message);
+            }
+        }
+
+        reports.push({
+            row: i + 1,
+            batchNumber,
+            status: errors.length ? "invalid" : "valid",
+            error: errors.join("; ") || null,
+            unitCount: serials ? serials.length : 0,
+            fields: { ...row, batchNumber },
+            serials
+        });
+    }
+    return reports;
+}
+
+// Contract MedicineInput tuple, shared by single and bulk registration
+function medicineInput(fields, unitTree) {
+    return {
+        medicineName: fields.medicineName,
+        batchNumber: fields.batchNumber,
+        mfgDate: toUnixDate(fields.mfgDate),
+        expiryDate: toUnixDate(fields.expiryDate),
+        medicineType: fields.medicineType || "tablet",
+        quantity: parseInt(fields.quantity || 0),
+        composition: fields.composition || "",
+        shipmentDest: fields.shipmentDest || "",
+        price: parseInt(fields.price || 0),
+        gtin: normalizeGtin(fields.gtin),
+        unitRoot: unitTree ? unitTree.root : ethers.ZeroHash
+    };
+}
+
+// Report columns only (drops the parsed fields and serials)
+function importReportRow({ row, batchNumber, status, error, unitCount }, changes = {}) {
+    return { row, batchNumber, status, error, unitCount, transactionHash: null, ...changes };
+}
+
+const IMPORT_REPORT_COLUMNS = ["row", "batchNumber", "status", "error", "unitCount", "transactionHash"];
+
+// JSON by default, ?format=csv for a downloadable report
+function sendImportReport(req, res, httpStatus, body) {
+    if (req.query.format !== "csv") return res.status(httpStatus).json(body);
+    res.status(httpStatus)
+        .type("text/csv")
+        .attachment(`import-report${body.jobId ? "-" + body.jobId : ""}.csv`)
+        .send(toCsv(body.rows, IMPORT_REPORT_COLUMNS));
+}
+
+// ===== Admin Gate =====
+// Owner-signed actions are only available to the operator of this backend (holder of ADMIN_API_KEY)
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(403).json({ error: "Admin actions disabled. Set ADMIN_API_KEY in .env" });
+    }
+
+    const provided = Buffer.from(req.get("x-admin-key") || "");
+    const expected = Buffer.from(adminKey);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: "Invalid admin key" });
+    }
+    next();
+}
+
+// ===== Maintenance =====
+// While the owner has paused MediChain, registrations and supply chain writes would only revert.
+// Those routes answer 503 { paused: true } up front so clients can show a maintenance notice.
+const PAUSED_ERROR = "MediChain is paused for maintenance; registrations and supply chain updates are disabled";
+
+async function rejectWhenPaused(req, res, next) {
+    try {
+        if (contract && await contract.paused()) return res.status(503).json({ error: PAUSED_ERROR, paused: true });
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    next();
+}
+
+// ===== Transaction Queue =====
+// Every server-signed write goes through one in-process queue: jobs run one at a time so nonces are
+// assigned in order, stuck transactions are re-sent with the same nonce and bumped fees, and jobs are
+// persisted so pending ones resume after a restart. Write endpoints answer 202 with a job id (see /api/tx/:id).
+const TX_QUEUE_FILE = path.join(__dirname, "data", "tx-queue.json");
+const TX_STUCK_TIMEOUT_MS = parseInt(process.env.TX_STUCK_TIMEOUT_MS) || 2 * 60 * 1000;
+const TX_MAX_ATTEMPTS = 5; // sends per step, each re-send bumps fees by 25%
+const TX_KEEP_FINISHED = 500; // finished jobs kept for status lookups
+
+let txJobs = [];
+let txWorkerRunning = false;
+const txWaiters = new Map(); // job id => resolvers waiting for the job to finish
+
+function loadTxQueue() {
+    try {
+        txJobs = JSON.parse(fs.readFileSync(TX_QUEUE_FILE, "utf-8"));
+    } catch (e) {
+        txJobs = [];
+    }
+    const unfinished = txJobs.filter(job => job.status === "queued" || job.status === "pending").length;
+    if (unfinished) console.log(`📬 Resuming ${unfinished} queued transaction job(s)`);
+}
+
+function saveTxQueue() {
+    const finished = txJobs.filter(job => job.status === "mined" || job.status === "failed");
+    const drop = new Set(finished.slice(0, Math.max(finished.length - TX_KEEP_FINISHED, 0)));
+    txJobs = txJobs.filter(job => !drop.has(job));
+
+    fs.mkdirSync(path.dirname(TX_QUEUE_FILE), { recursive: true });
+    fs.writeFileSync(TX_QUEUE_FILE + ".tmp", JSON.stringify(txJobs, null, 2));
+    fs.renameSync(TX_QUEUE_FILE + ".tmp", TX_QUEUE_FILE);
+}
+
+// Steps call MediChain unless they name target: "governance"
+function txContract(step) {
+    return step.target === "governance" ? governance : contract;
+}
+
+// Queue a job of one or more contract calls, sent in order; the job fails at the first failing step.
+// The first call is simulated up front so obvious reverts are reported to the caller immediately.
+async function enqueueTx(kind, steps, meta = {}) {
+    const [first] = steps;
+    await txContract(first)[first.method].staticCall(...first.args);
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        kind,
+        meta,
+        status: "queued",
+        steps: steps.map(step => ({
+            target: step.target || null,
+            method: step.method,
+            args: step.args.map(arg => typeof arg === "bigint" ? arg.toString() : arg),
+            status: "queued",
+            nonce: null,
+            fees: null,
+            hashes: [],
+            transactionHash: null,
+            blockNumber: null,
+            error: null
+        })),
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    txJobs.push(job);
+    saveTxQueue();
+    processTxQueue();
+    return job;
+}
+
+function waitForTxJob(job) {
+    if (job.status === "mined" || job.status === "failed") return Promise.resolve(job);
+    return new Promise(resolve => {
+        txWaiters.set(job.id, [...(txWaiters.get(job.id) || []), resolve]);
+    });
+}
+
+function updateTxJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    saveTxQueue();
+}
+
+async function processTxQueue() {
+    if (txWorkerRunning || !contract) return;
+    txWorkerRunning = true;
+    try {
+        let job;
+        while ((job = txJobs.find(j => j.status === "queued" || j.status === "pending"))) {
+            await runTxJob(job);
+            for (const resolve of txWaiters.get(job.id) || []) resolve(job);
+            txWaiters.delete(job.id);
+        }
+    } finally {
+        txWorkerRunning = false;
+    }
+}
+
+async function runTxJob(job) {
+    let receipt = null;
+    for (const step of job.steps) {
+        try {
+            const stepReceipt = step.status === "mined"
+                ? await provider.getTransactionReceipt(step.transactionHash)
+                : await runTxStep(job, step);
+            receipt = receipt || stepReceipt;
+        } catch (err) {
+            step.status = "failed";
+            step.error = err.reason || err.shortMessage || err.message;
+            console.error(`Transaction job ${job.id} (${job.kind}) failed:`, step.error);
+            return updateTxJob(job, { status: "failed", error: step.error });
+        }
+    }
+
+    try {
+        const result = {
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            ...await (TX_RESULTS[job.kind] || (() => ({})))(job, receipt)
+        };
+        updateTxJob(job, { status: "mined", result });
+    } catch (err) {
+        updateTxJob(job, { status: "failed", error: err.message });
+    }
+}
+
+// Sends one step and waits for it to be mined. A send that isn't mined within TX_STUCK_TIMEOUT_MS is
+// replaced by the same transaction at the same nonce with fees bumped by 25%, up to TX_MAX_ATTEMPTS sends.
+async function runTxStep(job, step) {
+    let receipt = await findStepReceipt(step);
+
+    if (!receipt && step.nonce !== null && step.hashes.length) {
+        // Restarted mid-flight: if the nonce was consumed by something else, none of our sends can land
+        const latestNonce = await provider.getTransactionCount(await signer.getAddress(), "latest");
+        receipt = await findStepReceipt(step);
+        if (!receipt && latestNonce > step.nonce) {
+            throw new Error(`Nonce ${step.nonce} was used by another transaction`);
+        }
+    }
+
+    while (!receipt) {
+        if (step.hashes.length >= TX_MAX_ATTEMPTS) {
+            throw new Error(`Transaction not mined after ${TX_MAX_ATTEMPTS} attempts`);
+        }
+
+        const request = await txContract(step)[step.method].populateTransaction(...step.args);
+        if (step.nonce === null) {
+            step.nonce = await provider.getTransactionCount(await signer.getAddress(), "pending");
+            const feeData = await provider.getFeeData();
+            step.fees = feeData.maxFeePerGas
+                ? { maxFeePerGas: feeData.maxFeePerGas.toString(), maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString() }
+                : { gasPrice: feeData.gasPrice.toString() };
+        }
+
+        let tx;
+        try {
+            tx = await signer.sendTransaction({ ...request, nonce: step.nonce, ...bumpedFees(step.fees, step.hashes.length) });
+        } catch (err) {
+            // An earlier send may have been mined in the meantime
+            receipt = await findStepReceipt(step);
+            if (receipt) break;
+            throw err;
+        }
+        step.hashes.push(tx.hash);
+        step.status = "pending";
+        updateTxJob(job, { status: "pending" });
+        if (step.hashes.length > 1) console.warn(`⛽ Re-sent stuck ${step.method} (nonce ${step.nonce}) with bumped fees: ${tx.hash}`);
+
+        try {
+            receipt = await provider.waitForTransaction(tx.hash, 1, TX_STUCK_TIMEOUT_MS);
+        } catch (err) {
+            if (err.code !== "TIMEOUT") throw err;
+            receipt = await findStepReceipt(step);
+        }
+    }
+
+    if (receipt.status !== 1) throw new Error(`Transaction reverted: ${receipt.hash}`);
+    step.status = "mined";
+    step.transactionHash = receipt.hash;
+    step.blockNumber = receipt.blockNumber;
+    updateTxJob(job, {});
+    return receipt;
+}
+
+async function findStepReceipt(step) {
+    for (const hash of step.hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+    }
+    return null;
+}
+
+function bumpedFees(fees, attempt) {
+    const bump = value => (BigInt(value) * 125n ** BigInt(attempt)) / 100n ** BigInt(attempt);
+    return fees.gasPrice
+        ? { gasPrice: bump(fees.gasPrice) }
+        : { maxFeePerGas: bump(fees.maxFeePerGas), maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas) };
+}
+
+// Per-kind response fields, built once the job's transactions are mined
+const TX_RESULTS = {
+    async register(job) {
+        const { batchNumber, unitRoot, unitCount } = job.meta;
+        console.log(`✅ Medicine registered: ${batchNumber} in block ${job.steps[0].blockNumber}`);
+        return { batchNumber, unitRoot, unitCount };
+    },
+
+    async verify(job, receipt) {
+        const { batchNumber, serial, location } = job.meta;
+        recordScanLocation(batchNumber, receipt.hash, location);
+        let isAuthentic = false;
+        for (const log of receipt.logs) {
+            try {
+                const parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+                if (parsed && parsed.name === "MedicineVerified") {
+                    isAuthentic = parsed.args[1]; // isAuthentic bool
+                }
+            } catch (e) { }
+        }
+
+        // Get medicine details if it exists
+        let medicine = null;
+        try {
+            medicine = formatMedicine(await contract.getMedicine(batchNumber));
+        } catch (e) { }
+
+        return {
+            isAuthentic,
+            batchNumber,
+            serial,
+            medicine,
+            manufacturer: medicine ? await getManufacturerProfile(medicine.registeredBy) : null,
+            recall: await getRecallInfo(batchNumber, medicine)
+        };
+    },
+
+    async recall(job) {
+        const { batchNumber, recallClass } = job.meta;
+        console.log(`🚫 Batch recalled (Class ${recallClass}): ${batchNumber}`);
+        return { batchNumber, recallClass };
+    },
+
+    async resolveAlert(job) {
+        const { id, restoreBatch } = job.meta;
+        console.log(`✅ Alert #${id} resolved${restoreBatch ? " (batch restored)" : ""}`);
+        return { alert: formatAlert(await contract.getAlert(id)) };
+    },
+
+    async custody(job) {
+        const { batchNumber, action } = job.meta;
+        console.log(`📦 Custody transfer ${action}: ${batchNumber}`);
+        return { batchNumber, action, custody: await getCustodyInfo(batchNumber) };
+    },
+
+    async manufacturerProfile(job) {
+        const { address } = job.meta;
+        console.log(`🏭 Manufacturer profile set: ${address}`);
+        return { address, profile: await getManufacturerProfile(address) };
+    },
+
+    async proposal(job, receipt) {
+        const { action, description } = job.meta;
+        let proposalId = null;
+        for (const log of receipt.logs) {
+            try {
+                const parsed = governance.interface.parseLog({ topics: log.topics, data: log.data });
+                if (parsed && parsed.name === "ProposalCreated") proposalId = Number(parsed.args.proposalId);
+            } catch (e) { }
+        }
+        console.log(`🏛️  Proposal #${proposalId} created: ${description}`);
+        return { proposalId, action, description, proposal: await getProposalInfo(proposalId) };
+    },
+
+    async governance(job) {
+        const { proposalId, action } = job.meta;
+        console.log(`🏛️  Proposal #${proposalId} ${action === "execute" ? "executed" : "approved"}`);
+        return { proposalId, action, proposal: await getProposalInfo(proposalId) };
+    },
+
+    async contractAdmin(job) {
+        const { action, address } = job.meta;
+        console.log(`🛡️  Contract ${action}${address ? ": " + address : ""}`);
+        return { action, address, ...await getContractStatus() };
+    },
+
+    async role(job) {
+        const { address, role, action } = job.meta;
+        console.log(`🔑 ${action === "grant" ? "Granted" : "Revoked"} ${role} role: ${address}`);
+        return { address, role, action };
+    },
+
+    async import(job, receipt) {
+        const { rows } = job.meta;
+        console.log(`📦 Imported ${rows.length} batches in block ${receipt.blockNumber}`);
+        return {
+            imported: rows.length,
+            rows: rows.map(r => ({ ...r, status: "registered", transactionHash: receipt.hash }))
+        };
+    },
+
+    async anomaly(job, receipt) {
+        const { batchNumber, rule } = job.meta;
+        let alertId = null;
+        for (const log of receipt.logs) {
+            try {
+                const parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+                if (parsed && parsed.name === "CounterfeitAlertRaised") alertId = Number(parsed.args.alertId);
+            } catch (e) { }
+        }
+        const raised = (anomalyStore.raised[batchNumber] || {})[rule];
+        if (raised && raised.jobId === job.id) {
+            raised.alertId = alertId;
+            saveAnomalies();
+        }
+        return { batchNumber, rule, alertId };
+    },
+
+    async expire(job) {
+        console.log(`⌛ Batch expired: ${job.meta.batchNumber}`);
+        return {};
+    }
+};
+
+function formatTxJob(job) {
+    return {
+        id: job.id,
+        kind: job.kind,
+        status: job.status,
+        steps: job.steps.map(step => ({
+            method: step.method,
+            status: step.status,
+            nonce: step.nonce,
+            attempts: step.hashes.length,
+            transactionHash: step.transactionHash || step.hashes[step.hashes.length - 1] || null,
+            blockNumber: step.blockNumber,
+            error: step.error
+        })),
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+// 202 + job id by default; ?wait=true holds the request until the job is mined and answers with its result
+async function respondWithTxJob(req, res, job) {
+    if (req.query.wait !== "true") {
+        return res.status(202).json({ success: true, jobId: job.id, status: job.status, statusUrl: `/api/tx/${job.id}` });
+    }
+
+    await waitForTxJob(job);
+    if (job.status === "failed") return res.status(500).json({ error: job.error, jobId: job.id });
+    res.json({ success: true, jobId: job.id, ...job.result, ...await confirmationInfo(job.result.blockNumber) });
+}
+
+// ===== API Routes =====
+
+// Health check
+app.get("/api/health", async (req, res) => {
+    try {
+        const deployment = getDeployment();
+        let blockchainConnected = false;
+        let blockNumber = 0;
+
+        if (provider) {
+            try {
+                blockNumber = await provider.getBlockNumber();
+                blockchainConnected = true;
+            } catch (e) { }
+        }
+
+        res.json({
+            status: "ok",
+            blockchain: blockchainConnected,
+            contractDeployed: !!deployment,
+            contractAddress: deployment?.contractAddress || null,
+            contractVersion: contract ? await readContractVersion() : null,
+            blockNumber,
+            paused: contract ? await contract.paused().catch(() => null) : null,
+            indexedBlock: chainIndex ? chainIndex.lastBlock : null,
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get deployment info
+app.get("/api/deployment", (req, res) => {
+    const deployment = getDeployment();
+    if (!deployment) {
+        return res.status(404).json({ error: "Contract not deployed yet" });
+    }
+    res.json(deployment);
+});
+
+// Get contract stats
+app.get("/api/stats", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const stats = await contract.getStats();
+        res.json({
+            totalMedicines: stats[0].toString(),
+            totalVerifications: stats[1].toString(),
+            totalAlerts: stats[2].toString(),
+            contractOwner: stats[3]
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+const SERVER_LICENSE_ERROR = "The server wallet has no valid manufacturer license in the registry (PUT /api/manufacturers/:address)";
+
+// Register medicine. The manufacturer ID and name come from the server wallet's registry profile.
+app.post("/api/medicine/register", requireAdmin, rejectWhenPaused, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.body;
+        if (!await contract.hasValidLicense(await signer.getAddress())) {
+            return res.status(403).json({ error: SERVER_LICENSE_ERROR });
+        }
+
+        // Serialized packs: commit the Merkle root of their serials in the same transaction
+        let serials;
+        try {
+            serials = parseSerials(req.body);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        const unitTree = serials ? buildUnitTree(batchNumber, serials) : null;
+        if (unitTree && await unitTreeLocked(batchNumber)) {
+            return res.status(409).json({ error: "Units already committed for this batch" });
+        }
+
+        // enqueueTx dry-runs the registration, so a rejected request leaves the stored tree alone
+        const job = await enqueueTx("register", [
+            { method: "registerMedicineFull", args: [medicineInput(req.body, unitTree)] }
+        ], { batchNumber, unitRoot: unitTree ? unitTree.root : null, unitCount: serials ? serials.length : 0 });
+        if (unitTree) saveUnitTree(unitTree);
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Register error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Validation alone sends nothing, so wallet imports don't need the admin key
+const requireAdminToSubmit = (req, res, next) => req.query.submit === "false" ? next() : requireAdmin(req, res, next);
+
+// Bulk import of up to IMPORT_MAX_ROWS batches as CSV or JSON. Every row is validated first; if any row fails,
+// nothing is sent and the per-row report comes back with 422. Valid files are registered in one transaction.
+// ?submit=false only validates and returns the contract inputs, for a wallet-signed registerMedicineBatch.
+// ?format=csv returns the report as a CSV download.
+app.post("/api/medicine/import", requireAdminToSubmit, rejectWhenPaused, express.text({ type: ["text/csv", "text/plain"] }), async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        let rows;
+        try {
+            rows = readImportRows(req);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        if (rows.length === 0) return res.status(400).json({ error: "No rows to import" });
+        if (rows.length > IMPORT_MAX_ROWS) {
+            return res.status(400).json({ error: `At most ${IMPORT_MAX_ROWS} rows per import` });
+        }
+
+        const reports = await validateImportRows(rows);
+        const invalid = reports.filter(r => r.status === "invalid").length;
+        if (invalid) {
+            return sendImportReport(req, res, 422, {
+                error: `${invalid} of ${rows.length} rows failed validation; nothing was submitted`,
+                total: rows.length,
+                invalid,
+                rows: reports.map(r => importReportRow(r))
+            });
+        }
+
+        // Unit trees are stored only once the registration is queued, or handed to the wallet to sign
+        const unitTrees = reports.filter(r => r.serials).map(r => buildUnitTree(r.batchNumber, r.serials));
+        for (const tree of unitTrees) {
+            if (await unitTreeLocked(tree.batchNumber)) {
+                return res.status(409).json({ error: `Units already committed for batch ${tree.batchNumber}` });
+            }
+        }
+        const inputs = reports.map(r => medicineInput(r.fields, unitTrees.find(t => t.batchNumber === r.batchNumber) || null));
+        if (req.query.submit === "false") {
+            unitTrees.forEach(saveUnitTree);
+            return res.json({ total: rows.length, rows: reports.map(r => importReportRow(r)), inputs });
+        }
+
+        if (!await contract.hasValidLicense(await signer.getAddress())) {
+            return res.status(403).json({ error: SERVER_LICENSE_ERROR });
+        }
+
+        const job = await enqueueTx("import", [{ method: "registerMedicineBatch", args: [inputs] }], {
+            rows: reports.map(r => importReportRow(r, { status: "queued" }))
+        });
+        unitTrees.forEach(saveUnitTree);
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Import error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Per-row outcome of a submitted import (?format=csv to download)
+app.get("/api/medicine/import/:jobId/report", (req, res) => {
+    const job = txJobs.find(j => j.id === req.params.jobId && j.kind === "import");
+    if (!job) return res.status(404).json({ error: "Import not found" });
+
+    const rows = job.result
+        ? job.result.rows
+        : job.meta.rows.map(r => job.status === "failed" ? { ...r, status: "failed", error: job.error } : r);
+    sendImportReport(req, res, 200, { jobId: job.id, status: job.status, rows });
+});
+
+// Verify medicine
+app.post("/api/medicine/verify", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber, serial, proof } = req.body;
+        let location;
+        try {
+            location = parseScanLocation(req.body.location);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        const hasSerial = serial !== undefined && serial !== null && serial !== "";
+
+        // Call the verification (this is a state-changing call)
+        // Labels carry their own proof; fall back to the stored tree for manually typed serials
+        const step = hasSerial
+            ? { method: "verifyUnit", args: [batchNumber, serial, Array.isArray(proof) ? proof : storedUnitProof(batchNumber, serial)] }
+            : { method: "verifyMedicine", args: [batchNumber] };
+        const job = await enqueueTx("verify", [step], { batchNumber, serial: hasSerial ? String(serial) : null, location });
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Verify error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Quick check: same verdict as /verify via a view call — no transaction, no wallet, nothing recorded
+app.get("/api/medicine/:batchNumber/check", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const { serial, proof } = req.query;
+        const hasSerial = serial !== undefined && serial !== "";
+
+        const [isAuthentic, details] = hasSerial
+            ? await contract.checkUnit(batchNumber, serial, proof ? String(proof).split(",") : storedUnitProof(batchNumber, serial))
+            : await contract.checkMedicine(batchNumber);
+
+        let medicine = null;
+        try {
+            medicine = formatMedicine(await contract.getMedicine(batchNumber));
+        } catch (e) { }
+
+        res.json({
+            success: true,
+            recorded: false,
+            isAuthentic,
+            details,
+            batchNumber,
+            serial: hasSerial ? String(serial) : null,
+            medicine,
+            manufacturer: medicine ? await getManufacturerProfile(medicine.registeredBy) : null,
+            recall: await getRecallInfo(batchNumber, medicine)
+        });
+    } catch (err) {
+        console.error("Check error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Recall a batch (signed by the server wallet as owner, or proposed to governance)
+app.post("/api/medicine/:batchNumber/recall", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const { recallClass, reason } = req.body;
+        const classNumber = { I: 1, II: 2, III: 3 }[recallClass] || Number(recallClass);
+        if (!RECALL_CLASSES[classNumber]) {
+            return res.status(400).json({ error: "recallClass must be I, II or III (or 1-3)" });
+        }
+        if (!reason) return res.status(400).json({ error: "reason is required" });
+
+        const job = await enqueueOwnerTx("recall", "recallBatch", [batchNumber, classNumber, reason],
+            { batchNumber, recallClass: RECALL_CLASSES[classNumber] },
+            `Class ${RECALL_CLASSES[classNumber]} recall of ${batchNumber}: ${reason}`);
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Recall error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+app.get("/api/medicine/:batchNumber/recall", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const recall = await getRecallInfo(batchNumber, formatMedicine(await contract.getMedicine(batchNumber)));
+        if (!recall) return res.status(404).json({ error: "Batch has not been recalled" });
+        res.json({ batchNumber, ...recall });
+    } catch (err) {
+        res.status(404).json({ error: "Medicine not found" });
+    }
+});
+
+// Get medicine details
+app.get("/api/medicine/:batchNumber", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const med = await contract.getMedicine(req.params.batchNumber);
+        res.json(formatMedicine(med));
+    } catch (err) {
+        res.status(404).json({ error: "Medicine not found" });
+    }
+});
+
+// Get the state of a serialized pack
+app.get("/api/medicine/:batchNumber/unit/:serial", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber, serial } = req.params;
+        const unit = await contract.getUnit(batchNumber, serial, storedUnitProof(batchNumber, serial));
+        res.json({
+            batchNumber,
+            serial,
+            registered: unit.registered,
+            sold: unit.sold,
+            scanCount: unit.scanCount.toString()
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.reason || err.message });
+    }
+});
+
+// Build and store the unit tree ahead of a wallet-signed registration; returns the root to commit
+app.post("/api/units/tree", async (req, res) => {
+    try {
+        const { batchNumber } = req.body;
+        if (!batchNumber) return res.status(400).json({ error: "batchNumber is required" });
+
+        let serials;
+        try {
+            serials = parseSerials(req.body);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        if (!serials) return res.status(400).json({ error: "Provide serials or a positive unitCount" });
+
+        if (await unitTreeLocked(batchNumber)) {
+            return res.status(409).json({ error: "Units already committed for this batch" });
+        }
+
+        const tree = saveUnitTree(buildUnitTree(batchNumber, serials));
+        res.json({ batchNumber, root: tree.root, unitCount: serials.length });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Merkle proof for one pack, for embedding in its QR label
+app.get("/api/medicine/:batchNumber/unit/:serial/proof", async (req, res) => {
+    try {
+        const { batchNumber, serial } = req.params;
+        const tree = loadUnitTree(batchNumber);
+        if (!tree) return res.status(404).json({ error: "No unit tree stored for this batch" });
+
+        const proof = getUnitProof(tree, serial);
+        if (!proof) return res.status(404).json({ error: "Serial not part of this batch" });
+        res.json({ batchNumber, serial: BigInt(serial).toString(), root: tree.root, proof });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Paged labels (serial + proof) for printing a serialized batch
+app.get("/api/medicine/:batchNumber/units", async (req, res) => {
+    try {
+        const tree = loadUnitTree(req.params.batchNumber);
+        if (!tree) return res.status(404).json({ error: "No unit tree stored for this batch" });
+
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+        const units = tree.serials.slice(offset, offset + limit).map(serial => ({
+            serial,
+            proof: getUnitProof(tree, serial)
+        }));
+
+        res.json({ batchNumber: tree.batchNumber, root: tree.root, total: tree.serials.length, offset, units });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Signed batch label (MC1 payload) for a batch the server wallet registered; unit labels append serial and proof
+app.get("/api/medicine/:batchNumber/label", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const label = await signLabel(req.params.batchNumber);
+        res.json({ payload: encodeLabel(label), label });
+    } catch (err) {
+        res.status(err.status || 404).json({ error: err.status ? err.message : "Medicine not found" });
+    }
+});
+
+// Check a scanned MC1 label: signature, deployment, unit proof, and that the signer is an authorized
+// manufacturer and the batch's registering wallet. `error` names the first failed check.
+app.post("/api/labels/verify", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const label = decodeLabel(req.body.payload || "");
+        if (!label) return res.status(400).json({ error: "Not a signed MediChain label" });
+
+        let signerAddress = null;
+        try {
+            signerAddress = recoverLabelSigner(label);
+        } catch (e) { }
+
+        const network = await provider.getNetwork();
+        const sameDeployment = label.contract === await contract.getAddress() && label.chainId === network.chainId.toString();
+        const unitProofValid = label.serial === null ? null : unitProofMatches(label);
+        const authorizedManufacturer = signerAddress ? await contract.authorizedManufacturers(signerAddress) : false;
+        let registeredBy = null;
+        try {
+            registeredBy = (await contract.getMedicine(label.batch)).registeredBy;
+        } catch (e) { }
+
+        const error = !signerAddress ? "Signature is malformed"
+            : !sameDeployment ? "Label was issued for a different MediChain deployment"
+            : unitProofValid === false ? "Serial is not part of the signed batch"
+            : !authorizedManufacturer ? "Signer is not an authorized manufacturer"
+            : !registeredBy ? "Batch is not registered on-chain"
+            : registeredBy !== signerAddress ? "Signer did not register this batch"
+            : null;
+
+        res.json({
+            valid: !error,
+            error,
+            signer: signerAddress,
+            authorizedManufacturer,
+            registeredBy,
+            unitProofValid,
+            label: { batch: label.batch, name: label.name, expiry: label.expiry, serial: label.serial }
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get supply chain
+app.get("/api/supplychain/:batchNumber", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const chain = await contract.getSupplyChain(req.params.batchNumber);
+
+        res.json(chain.map(entry => ({
+            stage: SUPPLY_STAGES[Number(entry.stage)],
+            actor: entry.actor,
+            location: entry.location,
+            timestamp: new Date(Number(entry.timestamp) * 1000).toISOString(),
+            updatedBy: entry.updatedBy
+        })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get current supply chain stage and, for ?address=, the stages that wallet may record next
+app.get("/api/supplychain/:batchNumber/stage", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const current = await contract.getCurrentStage(batchNumber);
+
+        let allowedNextStages = null;
+        const { address } = req.query;
+        if (address) {
+            if (!ethers.isAddress(address)) return res.status(400).json({ error: "Invalid address" });
+            const allowed = await contract.getAllowedNextStages(batchNumber, address);
+            allowedNextStages = SUPPLY_STAGES.filter((_, i) => allowed[i]);
+        }
+
+        res.json({
+            batchNumber,
+            currentStage: SUPPLY_STAGES[Number(current)],
+            allowedNextStages
+        });
+    } catch (err) {
+        res.status(404).json({ error: err.reason || "Medicine not found" });
+    }
+});
+
+// Update supply chain
+app.post("/api/supplychain/update", requireAdmin, rejectWhenPaused, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber, stage, actor, location } = req.body;
+        const job = await enqueueTx("supplyChain", [
+            { method: "updateSupplyChain", args: [batchNumber, stage, actor, location] }
+        ], { batchNumber });
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Get all registered batches
+const MEDICINE_SORT_FIELDS = [
+    "batchNumber", "medicineName", "manufacturerName", "mfgDate", "expiryDate", "status", "scanCount", "registeredAt"
+];
+
+// Indexed medicines matching the list filters, unpaged. Default order is registration order.
+// ?q= searches batch, name and manufacturer; ?status=, ?manufacturerId= and ?expiringBefore= filter;
+// ?sort=field or ?sort=-field (descending).
+function queryMedicines(query) {
+    const { status, manufacturerId, expiringBefore, sort } = query;
+    const q = (query.q || "").toLowerCase();
+
+    const sortField = sort ? String(sort).replace(/^-/, "") : null;
+    if (sortField && !MEDICINE_SORT_FIELDS.includes(sortField)) {
+        throw new Error(`sort must be one of ${MEDICINE_SORT_FIELDS.join(", ")}`);
+    }
+    const expiryCutoff = expiringBefore ? formatChainDate(toUnixDate(expiringBefore)) : null;
+
+    let medicines = chainIndex.batchOrder
+        .map(batch => chainIndex.medicines[batch])
+        .filter(m => !status || m.status.toLowerCase() === String(status).toLowerCase())
+        .filter(m => !manufacturerId || m.manufacturerId === manufacturerId)
+        .filter(m => !expiryCutoff || m.expiryDate < expiryCutoff)
+        .filter(m => !q || [m.batchNumber, m.medicineName, m.manufacturerName, m.manufacturerId, m.gtin]
+            .some(field => (field || "").toLowerCase().includes(q)));
+
+    if (sortField) {
+        const direction = String(sort).startsWith("-") ? -1 : 1;
+        const numeric = sortField === "scanCount";
+        medicines = medicines.slice().sort((a, b) => direction * (numeric
+            ? Number(a[sortField]) - Number(b[sortField])
+            : String(a[sortField]).localeCompare(String(b[sortField]))));
+    }
+    return medicines;
+}
+
+// Served from the event index; ?offset=&limit= page the queryMedicines filters
+app.get("/api/medicines", async (req, res) => {
+    try {
+        if (!chainIndex) return res.status(503).json({ error: "Contract not connected" });
+
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const medicines = queryMedicines(req.query);
+
+        res.json({ total: medicines.length, offset, limit, medicines: medicines.slice(offset, offset + limit) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Indexed activity, newest first (?batch=&type=registered|details|verification|supplyChain|custody|alert|status&offset=&limit=)
+app.get("/api/events", async (req, res) => {
+    try {
+        if (!chainIndex) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batch, type } = req.query;
+        const head = await provider.getBlockNumber();
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const events = chainIndex.events
+            .filter(e => (!batch || e.batchNumber === batch) && (!type || e.type === type))
+            .reverse();
+
+        res.json({
+            total: events.length,
+            offset,
+            events: events.slice(offset, offset + limit).map(e => withConfirmations(e, head)),
+            lastBlock: chainIndex.lastBlock,
+            requiredConfirmations
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Report counterfeit
+app.post("/api/alert/report", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber, reason } = req.body;
+        const job = await enqueueTx("report", [
+            { method: "flagMedicine", args: [batchNumber, reason || "Suspected counterfeit"] }
+        ], { batchNumber });
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+function formatAlert(alert) {
+    return {
+        id: Number(alert.id),
+        batchNumber: alert.batchNumber,
+        reason: alert.reason,
+        reportedBy: alert.reportedBy,
+        suspicious: alert.suspicious,
+        timestamp: new Date(Number(alert.timestamp) * 1000).toISOString(),
+        resolved: alert.resolved,
+        resolution: alert.resolution,
+        resolvedBy: alert.resolved ? alert.resolvedBy : null,
+        resolvedAt: alert.resolved ? new Date(Number(alert.resolvedAt) * 1000).toISOString() : null
+    };
+}
+
+// List on-chain alerts, newest first. ?status=open|resolved filters, ?offset=&limit= pages
+app.get("/api/alerts", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const status = req.query.status || "all";
+        if (!["all", "open", "resolved"].includes(status)) {
+            return res.status(400).json({ error: "status must be all, open or resolved" });
+        }
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const total = Number(await contract.alertCount());
+        const matches = [];
+        const CHUNK = 100;
+
+        // Walk backwards from the newest alert until the requested page is filled
+        for (let end = total; end > 0 && matches.length < offset + limit; end -= CHUNK) {
+            const start = Math.max(end - CHUNK, 0);
+            const chunk = await contract.getAlerts(start, end - start);
+            for (let i = chunk.length - 1; i >= 0; i--) {
+                const alert = formatAlert(chunk[i]);
+                if (status === "all" || (status === "resolved") === alert.resolved) {
+                    matches.push(alert);
+                }
+            }
+        }
+
+        res.json({
+            total,
+            offset,
+            limit,
+            alerts: matches.slice(offset, offset + limit)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Resolve an alert (owner-signed, or proposed to governance). Set restoreBatch to dismiss a false alarm and restore the batch's status from before it was flagged
+app.post("/api/alert/:id/resolve", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { resolution, restoreBatch } = req.body;
+        if (!resolution) return res.status(400).json({ error: "Resolution required" });
+
+        const job = await enqueueOwnerTx("resolveAlert", "resolveAlert", [req.params.id, resolution, !!restoreBatch],
+            { id: req.params.id, restoreBatch: !!restoreBatch },
+            `${restoreBatch ? "Dismiss alert #" + req.params.id + " and restore its batch" : "Resolve alert #" + req.params.id}: ${resolution}`);
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Resolve alert error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// ===== Custody Transfers =====
+// A batch changes hands in two steps: its custodian offers it (initiateCustodyTransfer) and the recipient accepts,
+// recording the handover stage with its own actor and location, or either party rejects the offer.
+// Server-signed routes act as the server wallet, which holds the batches registered through this API.
+const CUSTODY_STATUSES = ["pending", "accepted", "rejected"];
+
+async function getCustodyInfo(batchNumber) {
+    const [custodian, transfer] = await Promise.all([
+        contract.currentCustodian(batchNumber),
+        contract.getCustodyTransfer(batchNumber)
+    ]);
+    return {
+        batchNumber,
+        custodian,
+        pendingTransfer: transfer.to === ethers.ZeroAddress ? null : {
+            from: transfer.from,
+            to: transfer.to,
+            stage: SUPPLY_STAGES[Number(transfer.stage)],
+            initiatedAt: new Date(Number(transfer.initiatedAt) * 1000).toISOString()
+        }
+    };
+}
+
+// Every indexed transfer, oldest first: each offer is closed by the next acceptance or rejection of its batch
+function indexedCustodyTransfers() {
+    const transfers = [];
+    const open = new Map(); // batchNumber => pending transfer
+    for (const event of chainIndex.events) {
+        if (event.type !== "custody") continue;
+        if (event.action === "initiated") {
+            const transfer = {
+                batchNumber: event.batchNumber,
+                from: event.from,
+                to: event.to,
+                stage: event.stage,
+                status: "pending",
+                initiatedAt: event.timestamp,
+                ...txOf(event)
+            };
+            transfers.push(transfer);
+            open.set(event.batchNumber, transfer);
+        } else if (open.has(event.batchNumber)) {
+            const transfer = open.get(event.batchNumber);
+            open.delete(event.batchNumber);
+            transfer.status = event.action;
+            transfer.resolvedAt = event.timestamp;
+            transfer.resolvedTransactionHash = event.transactionHash;
+            if (event.action === "rejected") {
+                transfer.reason = event.reason;
+                transfer.rejectedBy = event.rejectedBy;
+            }
+        }
+    }
+    return transfers;
+}
+
+// Indexed transfers, newest first. ?address= limits to one party (?direction=incoming|outgoing narrows it
+// further), ?status=pending|accepted|rejected and ?batch= filter.
+app.get("/api/custody/transfers", async (req, res) => {
+    try {
+        if (!chainIndex) return res.status(503).json({ error: "Contract not connected" });
+
+        const { address, direction, status, batch } = req.query;
+        if (address && !ethers.isAddress(address)) return res.status(400).json({ error: "Invalid address" });
+        if (direction && !["incoming", "outgoing"].includes(direction)) {
+            return res.status(400).json({ error: "direction must be incoming or outgoing" });
+        }
+        if (status && !CUSTODY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${CUSTODY_STATUSES.join(", ")}` });
+        }
+
+        const account = address ? address.toLowerCase() : null;
+        const transfers = indexedCustodyTransfers()
+            .filter(t => !account ||
+                (direction !== "outgoing" && t.to.toLowerCase() === account) ||
+                (direction !== "incoming" && t.from.toLowerCase() === account))
+            .filter(t => (!status || t.status === status) && (!batch || t.batchNumber === batch))
+            .reverse();
+
+        res.json({ total: transfers.length, transfers, lastBlock: chainIndex.lastBlock });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Current custodian of a batch and its open transfer, if any
+app.get("/api/custody/:batchNumber", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const medicine = await contract.getMedicine(batchNumber).catch(() => null);
+        if (!medicine) return res.status(404).json({ error: "Medicine not found" });
+
+        res.json(await getCustodyInfo(batchNumber));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Offer a batch held by the server wallet to { to } at { stage }
+app.post("/api/custody/transfer", requireAdmin, rejectWhenPaused, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber, to, stage } = req.body;
+        if (!batchNumber) return res.status(400).json({ error: "batchNumber required" });
+        if (!to || !ethers.isAddress(to)) return res.status(400).json({ error: "Valid recipient address (to) required" });
+        const stageIndex = typeof stage === "string" ? SUPPLY_STAGES.indexOf(stage) : Number(stage);
+        if (!(stageIndex >= 0 && stageIndex < SUPPLY_STAGES.length)) {
+            return res.status(400).json({ error: `stage must be one of ${SUPPLY_STAGES.join(", ")}` });
+        }
+
+        const job = await enqueueTx("custody", [
+            { method: "initiateCustodyTransfer", args: [batchNumber, to, stageIndex] }
+        ], { batchNumber, action: "initiated" });
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Accept a transfer offered to the server wallet, recording { actor, location } on the handover entry
+app.post("/api/custody/:batchNumber/accept", requireAdmin, rejectWhenPaused, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const { actor, location } = req.body;
+        if (!actor || !location) return res.status(400).json({ error: "actor and location required" });
+
+        const job = await enqueueTx("custody", [
+            { method: "acceptCustodyTransfer", args: [batchNumber, actor, location] }
+        ], { batchNumber, action: "accepted" });
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Decline a transfer offered to the server wallet, or withdraw one it offered. Allowed while paused.
+app.post("/api/custody/:batchNumber/reject", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const { reason } = req.body;
+        if (!reason) return res.status(400).json({ error: "Rejection reason required" });
+
+        const job = await enqueueTx("custody", [
+            { method: "rejectCustodyTransfer", args: [batchNumber, reason] }
+        ], { batchNumber, action: "rejected" });
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// ===== Verification History =====
+// Many distinct wallets scanning one batch within a short window is the usual sign of a copied label
+const MANY_VERIFIERS_THRESHOLD = parseInt(process.env.MANY_VERIFIERS_THRESHOLD) || 5;
+const MANY_VERIFIERS_WINDOW_MS = parseInt(process.env.MANY_VERIFIERS_WINDOW_MS) || 24 * 60 * 60 * 1000;
+
+// Indexed events of a batch; verifications made before registration are indexed by hash only
+function batchEvents(batchNumber) {
+    const batchHash = ethers.id(batchNumber);
+    return (chainIndex ? chainIndex.events : [])
+        .filter(e => e.batchNumber === batchNumber || e.batchHash === batchHash);
+}
+
+function txOf(event) {
+    return {
+        transactionHash: event ? event.transactionHash : null,
+        blockNumber: event ? event.blockNumber : null
+    };
+}
+
+// Contract records, oldest first, each matched to the MedicineVerified event its transaction emitted by verifier
+// and timestamp, since the index may lag the contract or miss scans. Records without a match have no tx fields.
+async function getVerificationHistory(batchNumber) {
+    const unmatched = batchEvents(batchNumber).filter(e => e.type === "verification");
+    return (await contract.getVerifications(batchNumber)).map(record => {
+        const timestamp = new Date(Number(record.timestamp) * 1000).toISOString();
+        // Scans by one wallet in one block are interchangeable, so the first match will do
+        const i = unmatched.findIndex(e => e.timestamp === timestamp &&
+            e.verifier.toLowerCase() === record.verifier.toLowerCase() && e.isAuthentic === record.isAuthentic);
+        const event = i === -1 ? null : unmatched.splice(i, 1)[0];
+        return {
+            verifier: record.verifier,
+            timestamp,
+            isAuthentic: record.isAuthentic,
+            details: record.details,
+            ...txOf(event)
+        };
+    });
+}
+
+// Peak number of distinct verifiers within any MANY_VERIFIERS_WINDOW_MS span of the (oldest-first) history
+function manyVerifiersSignal(history) {
+    const counts = new Map();
+    let peak = { distinctVerifiers: 0, from: null, to: null };
+    let start = 0;
+
+    for (let end = 0; end < history.length; end++) {
+        counts.set(history[end].verifier, (counts.get(history[end].verifier) || 0) + 1);
+        const endTime = Date.parse(history[end].timestamp);
+        while (endTime - Date.parse(history[start].timestamp) > MANY_VERIFIERS_WINDOW_MS) {
+            const verifier = history[start++].verifier;
+            if (counts.get(verifier) === 1) counts.delete(verifier);
+            else counts.set(verifier, counts.get(verifier) - 1);
+        }
+        if (counts.size > peak.distinctVerifiers) {
+            peak = { distinctVerifiers: counts.size, from: history[start].timestamp, to: history[end].timestamp };
+        }
+    }
+
+    return {
+        flagged: peak.distinctVerifiers >= MANY_VERIFIERS_THRESHOLD,
+        threshold: MANY_VERIFIERS_THRESHOLD,
+        windowMs: MANY_VERIFIERS_WINDOW_MS,
+        ...peak
+    };
+}
+
+// Verification history of a batch, newest first (?offset=&limit=). Includes scans of unregistered batch numbers.
+app.get("/api/medicine/:batchNumber/verifications", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const history = await getVerificationHistory(batchNumber);
+
+        res.json({
+            batchNumber,
+            total: history.length,
+            offset,
+            limit,
+            verifications: history.slice().reverse().slice(offset, offset + limit),
+            manyVerifiers: manyVerifiersSignal(history)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== Anomaly Detection =====
+// Looks for signs of a copied label in each batch's verifications and raises an on-chain alert per finding:
+// flagMedicine for strong evidence, reportSuspicious (the batch stays in circulation) for weaker signals.
+// Anyone can send scans through the API (relayed by the server wallet) and report locations, so only scans
+// that distinct wallets sent themselves, with locations those wallets signed, can hard-flag a batch.
+// Scan locations are optional, reported by the scanning client and kept off-chain, rounded to ~1 km.
+const ANOMALY_FILE = path.join(__dirname, "data", "anomalies.json");
+const ANOMALY_SCAN_INTERVAL_MS = process.env.ANOMALY_SCAN_INTERVAL_MS !== undefined
+    ? parseInt(process.env.ANOMALY_SCAN_INTERVAL_MS)
+    : 60 * 1000;
+const ANOMALY_MAX_SPEED_KMH = parseInt(process.env.ANOMALY_MAX_SPEED_KMH) || 900; // faster than an airliner
+const ANOMALY_MIN_DISTANCE_KM = 100; // closer scans are left alone (shared stock, GPS noise)
+
+let anomalyStore = { lastBlock: -1, recheck: [], locations: {}, raised: {} };
+let anomalyScanRunning = false;
+
+function loadAnomalies() {
+    try {
+        anomalyStore = { ...anomalyStore, ...JSON.parse(fs.readFileSync(ANOMALY_FILE, "utf-8")) };
+    } catch (e) { }
+}
+
+function saveAnomalies() {
+    fs.mkdirSync(path.dirname(ANOMALY_FILE), { recursive: true });
+    fs.writeFileSync(ANOMALY_FILE + ".tmp", JSON.stringify(anomalyStore, null, 2));
+    fs.renameSync(ANOMALY_FILE + ".tmp", ANOMALY_FILE);
+}
+
+// { lat, lng } rounded to two decimals, null when absent
+function parseScanLocation(location) {
+    if (!location) return null;
+    const lat = Number(location.lat);
+    const lng = Number(location.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw new Error("location needs numeric lat (-90..90) and lng (-180..180)");
+    }
+    return { lat: Math.round(lat * 100) / 100, lng: Math.round(lng * 100) / 100 };
+}
+
+// What a wallet signs to vouch for the location of its own verification transaction
+function scanLocationMessage(transactionHash, lat, lng) {
+    return `MediChain scan location\nTransaction: ${transactionHash}\nLocation: ${lat},${lng}`;
+}
+
+// The first report for a transaction counts, except that a location signed by the scanning wallet replaces an unsigned one
+function recordScanLocation(batchNumber, transactionHash, location, signedBy = null) {
+    const existing = anomalyStore.locations[transactionHash];
+    if (!location || (existing && (existing.signedBy || !signedBy))) return;
+    anomalyStore.locations[transactionHash] = { batchNumber, ...location, ...(signedBy ? { signedBy } : {}) };
+    if (!anomalyStore.recheck.includes(batchNumber)) anomalyStore.recheck.push(batchNumber);
+    saveAnomalies();
+}
+
+function distanceKm(a, b) {
+    const rad = deg => deg * Math.PI / 180;
+    const h = Math.sin(rad(b.lat - a.lat) / 2) ** 2 +
+        Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.lng - a.lng) / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Each rule gets the batch's oldest-first verification history and returns null or a finding:
+// { reason, at } where `at` is the time of the latest scan behind it
+const ANOMALY_RULES = {
+    manyVerifiers: {
+        action: "reportSuspicious",
+        detect(history) {
+            const signal = manyVerifiersSignal(history);
+            if (!signal.flagged) return null;
+            const hours = Math.round(signal.windowMs / 3600000);
+            return { reason: `Possible cloned label: ${signal.distinctVerifiers} wallets verified within ${hours}h`, at: signal.to };
+        }
+    },
+
+    scannedAfterDispensed: {
+        action: "reportSuspicious",
+        detect(history, batchNumber) {
+            // Scans between a Dispensed update and any later return
+            const windows = [];
+            for (const event of batchEvents(batchNumber).filter(e => e.type === "supplyChain")) {
+                if (event.stage === "Dispensed") windows.push({ from: event.timestamp, to: null });
+                else if (event.stage === "Returned" && windows.length > 0) windows[windows.length - 1].to = event.timestamp;
+            }
+            const late = history.filter(v => windows.some(w => v.timestamp > w.from && (!w.to || v.timestamp < w.to)));
+            if (late.length === 0) return null;
+            return { reason: `Possible cloned label: ${late.length} scan(s) after the batch was dispensed`, at: late[late.length - 1].timestamp };
+        }
+    },
+
+    // Locations reported with any scan, including API scans, are only a hint
+    impossibleTravel: {
+        action: "reportSuspicious",
+        detect: history => travelFinding(locatedScans(history, false), false)
+    },
+
+    impossibleTravelWallets: {
+        action: "flagMedicine",
+        detect: history => travelFinding(locatedScans(history, true), true)
+    },
+
+    // Failed scans don't count, but repeats and API scans do
+    exceedsQuantity: {
+        action: "reportSuspicious",
+        detect(history, batchNumber) {
+            return quantityFinding(history.filter(v => v.isAuthentic), batchNumber, "scans");
+        }
+    },
+
+    // One per wallet that sent an authentic scan itself
+    exceedsQuantityWallets: {
+        action: "flagMedicine",
+        detect(history, batchNumber, relayer) {
+            const firstPerWallet = new Map();
+            for (const v of history) {
+                const wallet = v.verifier.toLowerCase();
+                if (v.isAuthentic && wallet !== relayer && !firstPerWallet.has(wallet)) firstPerWallet.set(wallet, v);
+            }
+            return quantityFinding([...firstPerWallet.values()], batchNumber, "scans from distinct wallets");
+        }
+    }
+};
+
+// Located scans, oldest first; `signed` keeps those whose location the scanning wallet signed itself.
+// The server wallet never signs locations, so signed scans are never API scans.
+function locatedScans(history, signed) {
+    return history
+        .map(v => ({ ...v, location: anomalyStore.locations[v.transactionHash] }))
+        .filter(v => v.location && (!signed || (v.location.signedBy || "").toLowerCase() === v.verifier.toLowerCase()));
+}
+
+// Latest pair of consecutive scans too far apart for the time between them
+function travelFinding(located, distinctWallets) {
+    let finding = null;
+    for (let i = 1; i < located.length; i++) {
+        if (distinctWallets && located[i].verifier === located[i - 1].verifier) continue;
+        const km = distanceKm(located[i - 1].location, located[i].location);
+        const hours = (Date.parse(located[i].timestamp) - Date.parse(located[i - 1].timestamp)) / 3600000;
+        if (km >= ANOMALY_MIN_DISTANCE_KM && km > hours * ANOMALY_MAX_SPEED_KMH) {
+            finding = {
+                reason: `Possible cloned label: scans ${Math.round(km)} km apart within ${Math.round(hours * 60)} min`,
+                at: located[i].timestamp
+            };
+        }
+    }
+    return finding;
+}
+
+function quantityFinding(scans, batchNumber, what) {
+    const quantity = Number(chainIndex.medicines[batchNumber].quantity);
+    if (quantity === 0 || scans.length <= quantity) return null;
+    return { reason: `Possible cloned label: ${scans.length} ${what} for ${quantity} packs`, at: scans[scans.length - 1].timestamp };
+}
+
+// One alert per batch and rule. Once that alert is resolved, only scans made after the resolution raise it again.
+async function raiseAnomaly(batchNumber, rule, finding) {
+    const previous = (anomalyStore.raised[batchNumber] || {})[rule];
+    if (previous) {
+        const job = txJobs.find(j => j.id === previous.jobId);
+        if (job && (job.status === "queued" || job.status === "pending")) return;
+        if (previous.alertId) {
+            const alert = await contract.getAlert(previous.alertId);
+            if (!alert.resolved || Date.parse(finding.at) <= Number(alert.resolvedAt) * 1000) return;
+        }
+    }
+
+    const job = await enqueueTx("anomaly", [
+        { method: ANOMALY_RULES[rule].action, args: [batchNumber, finding.reason] }
+    ], { batchNumber, rule });
+    anomalyStore.raised[batchNumber] = { ...anomalyStore.raised[batchNumber], [rule]: { jobId: job.id, alertId: null, reason: finding.reason } };
+    console.warn(`🕵️  Anomaly on ${batchNumber} (${rule}): ${finding.reason}`);
+}
+
+// Re-checks batches with verifications indexed since the last run, and batches with newly reported locations
+async function detectAnomalies() {
+    if (!contract || !chainIndex || anomalyScanRunning) return;
+    anomalyScanRunning = true;
+    try {
+        // Scans still open to a reorg wait for a later pass
+        const lastBlock = Math.min(chainIndex.lastBlock, await confirmedBlockNumber());
+        const batches = new Set(anomalyStore.recheck);
+        for (const event of chainIndex.events) {
+            if (event.type === "verification" && event.blockNumber > anomalyStore.lastBlock && event.blockNumber <= lastBlock) {
+                batches.add(event.batchNumber);
+            }
+        }
+
+        const relayer = (await signer.getAddress()).toLowerCase();
+        for (const batchNumber of batches) {
+            // Unregistered batch numbers already raise an alert on every scan
+            if (!batchNumber || !chainIndex.medicines[batchNumber]) continue;
+            const history = (await getVerificationHistory(batchNumber))
+                .filter(v => v.blockNumber !== null && v.blockNumber <= lastBlock);
+            for (const [rule, { detect }] of Object.entries(ANOMALY_RULES)) {
+                const finding = detect(history, batchNumber, relayer);
+                if (!finding) continue;
+                try {
+                    await raiseAnomaly(batchNumber, rule, finding);
+                } catch (e) {
+                    console.warn(`Could not raise ${rule} alert for ${batchNumber}:`, e.reason || e.message);
+                }
+            }
+        }
+
+        anomalyStore.lastBlock = lastBlock;
+        anomalyStore.recheck = [];
+        saveAnomalies();
+    } catch (err) {
+        console.warn("Anomaly detection error:", err.message);
+    } finally {
+        anomalyScanRunning = false;
+    }
+}
+
+// Attach a scan location to a wallet-sent verification. Only the first report for a transaction counts, unless a
+// later one carries `signature`: the scanning wallet's signMessage of scanLocationMessage(transactionHash, lat, lng).
+app.post("/api/medicine/:batchNumber/scan-location", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { batchNumber } = req.params;
+        const { transactionHash, signature } = req.body;
+        let location;
+        try {
+            location = parseScanLocation(req.body);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        if (!location) return res.status(400).json({ error: "lat and lng required" });
+
+        const receipt = transactionHash && await provider.getTransactionReceipt(transactionHash);
+        const topic = contract.interface.getEvent("MedicineVerified").topicHash;
+        const address = (await contract.getAddress()).toLowerCase();
+        const verified = receipt && receipt.logs.some(log => log.address.toLowerCase() === address &&
+            log.topics[0] === topic && log.topics[1] === ethers.id(batchNumber));
+        if (!verified) return res.status(400).json({ error: "Transaction is not a verification of this batch" });
+
+        let signedBy = null;
+        if (signature) {
+            try {
+                signedBy = ethers.verifyMessage(scanLocationMessage(receipt.hash, req.body.lat, req.body.lng), signature);
+            } catch (e) { }
+            const tx = await provider.getTransaction(receipt.hash);
+            if (!signedBy || signedBy.toLowerCase() !== tx.from.toLowerCase()) {
+                return res.status(400).json({ error: "Location is not signed by the scanning wallet" });
+            }
+        }
+
+        recordScanLocation(batchNumber, receipt.hash, location, signedBy);
+        res.json({ success: true, batchNumber, transactionHash: receipt.hash, location: anomalyStore.locations[receipt.hash] });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== Reports =====
+// Inventory and ledger exports come from the event index; batch audit reports read the contract and take
+// tx hashes and block numbers from the index. Audit reports are signed by the server wallet.
+const INVENTORY_EXPORT_COLUMNS = [
+    "batchNumber", "medicineName", "manufacturerId", "manufacturerName", "mfgDate", "expiryDate", "medicineType",
+    "quantity", "gtin", "status", "scanCount", "registeredBy", "registeredAt", "registeredBlock", "transactionHash"
+];
+const LEDGER_EXPORT_COLUMNS = [
+    "timestamp", "type", "batchNumber", "blockNumber", "transactionHash", "logIndex", "stage", "actor", "location",
+    "isAuthentic", "verifier", "alertId", "reason", "reportedBy", "suspicious", "newStatus", "previousStatus", "confirmations", "status"
+];
+
+function sendExport(res, format, name, rows, columns) {
+    if (format === "csv") {
+        return res.type("text/csv").attachment(`${name}.csv`).send(toCsv(rows, columns));
+    }
+    res.attachment(`${name}.json`).json(rows);
+}
+
+async function findBatchAlerts(batchNumber) {
+    const total = Number(await contract.alertCount());
+    const matches = [];
+    for (let offset = 0; offset < total; offset += 100) {
+        for (const alert of await contract.getAlerts(offset, 100)) {
+            if (alert.batchNumber === batchNumber) matches.push(formatAlert(alert));
+        }
+    }
+    return matches;
+}
+
+// Contract records are authoritative; each is paired with the indexed event its transaction emitted
+async function buildBatchReport(batchNumber) {
+    const med = await contract.getMedicine(batchNumber);
+    const medicine = formatMedicine(med);
+    const events = batchEvents(batchNumber);
+    const ofType = type => events.filter(e => e.type === type);
+
+    const registered = ofType("registered")[0];
+    const supplyChainEvents = ofType("supplyChain");
+    const alertEvents = ofType("alert");
+    const unitRoot = await contract.unitRoots(batchNumber);
+
+    return {
+        batchNumber,
+        generatedAt: new Date().toISOString(),
+        contractAddress: await contract.getAddress(),
+        chainId: (await provider.getNetwork()).chainId.toString(),
+        blockNumber: await provider.getBlockNumber(),
+        registration: {
+            ...medicine,
+            composition: med.composition,
+            shipmentDest: med.shipmentDest,
+            price: med.price.toString(),
+            unitRoot: unitRoot === ethers.ZeroHash ? null : unitRoot,
+            ...txOf(registered)
+        },
+        recall: await getRecallInfo(batchNumber, medicine),
+        supplyChain: (await contract.getSupplyChain(batchNumber)).map((entry, i) => ({
+            stage: SUPPLY_STAGES[Number(entry.stage)],
+            actor: entry.actor,
+            location: entry.location,
+            timestamp: new Date(Number(entry.timestamp) * 1000).toISOString(),
+            updatedBy: entry.updatedBy,
+            // The Manufactured entry is written by the registration transaction
+            ...txOf(i === 0 ? registered : supplyChainEvents[i - 1])
+        })),
+        verifications: await getVerificationHistory(batchNumber),
+        alerts: (await findBatchAlerts(batchNumber)).map(alert => ({
+            ...alert,
+            ...txOf(alertEvents.find(e => e.alertId === String(alert.id)))
+        }))
+    };
+}
+
+// EIP-191 signature over the keccak256 of the report JSON; check with
+// ethers.verifyMessage(digest, signature) === signer and digest === ethers.id(JSON.stringify(report))
+async function signReport(report) {
+    const digest = ethers.id(JSON.stringify(report));
+    return { report, digest, signer: await signer.getAddress(), signature: await signer.signMessage(digest) };
+}
+
+// Minimal text-only PDF writer: A4 pages, built-in Helvetica, lines wrapped by an average glyph width.
+// Each line is { text, size, bold }; characters outside Latin-1 are replaced.
+function renderPdf(lines) {
+    const PAGE_WIDTH = 595, PAGE_HEIGHT = 842, MARGIN = 50;
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    for (const { text = "", size = 10, bold = false } of lines) {
+        const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * 0.5));
+        const wrapped = [];
+        let rest = text;
+        while (rest.length > maxChars) {
+            const space = rest.lastIndexOf(" ", maxChars);
+            const cut = space > maxChars / 2 ? space : maxChars;
+            wrapped.push(rest.slice(0, cut));
+            rest = rest.slice(cut).trimStart();
+        }
+        wrapped.push(rest);
+
+        for (const part of wrapped) {
+            if (y - size * 1.4 < MARGIN + 20) {
+                pages.push([]);
+                y = PAGE_HEIGHT - MARGIN;
+            }
+            y -= size * 1.4;
+            pages[pages.length - 1].push({ text: part, size, bold, y });
+        }
+    }
+
+    const escape = text => text.replace(/[^\x20-\xff]/g, "?").replace(/([\\()])/g, "\\$1");
+    const objects = [];
+    const add = body => objects.push(body) + 2; // object numbers start at 3; 1 and 2 are catalog and page tree
+    const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+    const pageRefs = pages.map((page, i) => {
+        const content = [
+            ...page.map(l => `BT /${l.bold ? "F2" : "F1"} ${l.size} Tf ${MARGIN} ${l.y.toFixed(1)} Td (${escape(l.text)}) Tj ET`),
+            `BT /F1 8 Tf ${MARGIN} ${MARGIN - 10} Td (${escape(`Page ${i + 1} of ${pages.length}`)}) Tj ET`
+        ].join("\n");
+        const stream = add(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`);
+    });
+
+    const bodies = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        `<< /Type /Pages /Kids [${pageRefs.map(n => `${n} 0 R`).join(" ")}] /Count ${pageRefs.length} >>`,
+        ...objects
+    ];
+    let pdf = "%PDF-1.4\n";
+    const offsets = bodies.map((body, i) => {
+        const offset = Buffer.byteLength(pdf, "latin1");
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf, "latin1");
+    pdf += `xref\n0 ${bodies.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("") +
+        `trailer\n<< /Size ${bodies.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, "latin1");
+}
+
+function batchReportLines({ report, digest, signer: signedBy, signature }) {
+    const reg = report.registration;
+    const tx = entry => entry.transactionHash ? `Tx ${entry.transactionHash} | Block #${entry.blockNumber}` : "Tx not yet indexed";
+    const heading = text => [{ text: "" }, { text, size: 13, bold: true }];
+
+    return [
+        { text: "MediChain Batch Audit Report", size: 18, bold: true },
+        { text: `Batch ${report.batchNumber} | Generated ${report.generatedAt} at block #${report.blockNumber}` },
+        { text: `Contract ${report.contractAddress} (chain ${report.chainId})`, size: 9 },
+
+        ...heading("Registration"),
+        { text: `${reg.medicineName} (${reg.medicineType}) | Status: ${reg.status} | Scans: ${reg.scanCount}` },
+        { text: `Manufacturer: ${reg.manufacturerName} (${reg.manufacturerId}) | Registered by ${reg.registeredBy}` },
+        { text: `Manufactured ${reg.mfgDate} | Expires ${reg.expiryDate} | Registered ${reg.registeredAt}` },
+        { text: `Quantity ${reg.quantity} | Composition: ${reg.composition || "-"} | Destination: ${reg.shipmentDest || "-"} | Price ${reg.price}` },
+        ...(reg.gtin ? [{ text: `GTIN ${reg.gtin}` }] : []),
+        ...(reg.unitRoot ? [{ text: `Unit Merkle root ${reg.unitRoot}`, size: 9 }] : []),
+        { text: tx(reg), size: 8 },
+        ...(report.recall ? [{
+            text: `RECALLED (Class ${report.recall.recallClass}) on ${report.recall.issuedAt} by ${report.recall.issuedBy}: ${report.recall.reason}`,
+            bold: true
+        }] : []),
+
+        ...heading(`Supply Chain Timeline (${report.supplyChain.length})`),
+        ...report.supplyChain.flatMap((e, i) => [
+            { text: `${i + 1}. ${e.timestamp}  ${e.stage} | ${e.actor} @ ${e.location} | by ${e.updatedBy}` },
+            { text: `    ${tx(e)}`, size: 8 }
+        ]),
+
+        ...heading(`Verification History (${report.verifications.length})`),
+        ...(report.verifications.length ? [] : [{ text: "No verifications recorded." }]),
+        ...report.verifications.flatMap((v, i) => [
+            { text: `${i + 1}. ${v.timestamp}  ${v.isAuthentic ? "AUTHENTIC" : "FAILED"} | ${v.details} | by ${v.verifier}` },
+            { text: `    ${tx(v)}`, size: 8 }
+        ]),
+
+        ...heading(`Alerts (${report.alerts.length})`),
+        ...(report.alerts.length ? [] : [{ text: "No alerts raised." }]),
+        ...report.alerts.flatMap(a => [
+            { text: `#${a.id} ${a.timestamp}  ${a.suspicious ? "[suspicious] " : ""}${a.reason} | reported by ${a.reportedBy}` },
+            ...(a.resolved ? [{ text: `    Resolved ${a.resolvedAt} by ${a.resolvedBy}: ${a.resolution}` }] : [{ text: "    Open" }]),
+            { text: `    ${tx(a)}`, size: 8 }
+        ]),
+
+        ...heading("Signature"),
+        { text: "keccak256 of the report JSON (GET /api/reports/batch/<batch>.json), signed by the MediChain server wallet (EIP-191).", size: 9 },
+        { text: `Digest ${digest}`, size: 8 },
+        { text: `Signer ${signedBy}`, size: 8 },
+        { text: `Signature ${signature}`, size: 8 }
+    ];
+}
+
+// Inventory export: same filters and sort as /api/medicines, all matching rows
+app.get("/api/reports/inventory.:format", async (req, res) => {
+    try {
+        if (!chainIndex) return res.status(503).json({ error: "Contract not connected" });
+        const { format } = req.params;
+        if (format !== "csv" && format !== "json") return res.status(400).json({ error: "Format must be csv or json" });
+
+        sendExport(res, format, "medichain-inventory", queryMedicines(req.query), INVENTORY_EXPORT_COLUMNS);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Ledger export: every indexed event, oldest first (?batch=&type= as for /api/events)
+app.get("/api/reports/ledger.:format", async (req, res) => {
+    try {
+        if (!chainIndex) return res.status(503).json({ error: "Contract not connected" });
+        const { format } = req.params;
+        if (format !== "csv" && format !== "json") return res.status(400).json({ error: "Format must be csv or json" });
+
+        const { batch, type } = req.query;
+        const head = await provider.getBlockNumber();
+        const events = chainIndex.events
+            .filter(e => (!batch || e.batchNumber === batch) && (!type || e.type === type))
+            .map(e => withConfirmations(e, head));
+        sendExport(res, format, "medichain-ledger", events, LEDGER_EXPORT_COLUMNS);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Signed audit report for one batch: <batch>.pdf, or <batch>.json with the signed payload
+app.get("/api/reports/batch/:file", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const match = /^(.+)\.(pdf|json)$/.exec(req.params.file);
+        if (!match) return res.status(400).json({ error: "Request <batch>.pdf or <batch>.json" });
+        const [, batchNumber, format] = match;
+
+        let report;
+        try {
+            report = await buildBatchReport(batchNumber);
+        } catch (e) {
+            return res.status(404).json({ error: "Medicine not found" });
+        }
+        const signed = await signReport(report);
+
+        if (format === "json") return res.json(signed);
+        res.type("application/pdf")
+            .attachment(`medichain-audit-${batchNumber}.pdf`)
+            .send(renderPdf(batchReportLines(signed)));
+    } catch (err) {
+        console.error("Report error:", err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ===== Role Management =====
+const ROLES = {
+    manufacturer: { check: "authorizedManufacturers", grant: "authorizeManufacturer", revoke: "revokeManufacturer" },
+    distributor: { check: "authorizedDistributors", grant: "authorizeDistributor", revoke: "revokeDistributor" },
+    shop: { check: "authorizedShops", grant: "authorizeShop", revoke: "revokeShop" }
+};
+
+// Get the roles held by a wallet address
+app.get("/api/roles/:address", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) return res.status(400).json({ error: "Invalid address" });
+
+        const roles = {};
+        for (const [role, fns] of Object.entries(ROLES)) {
+            roles[role] = await contract[fns.check](address);
+        }
+
+        res.json({ address, roles });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Grant or revoke a single role (owner-signed transaction, or a governance proposal)
+app.post("/api/roles/:role/:action", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { role, action } = req.params;
+        const fns = ROLES[role];
+        if (!fns) return res.status(400).json({ error: `Unknown role: ${role}` });
+        if (action !== "grant" && action !== "revoke") {
+            return res.status(400).json({ error: `Unknown action: ${action}` });
+        }
+
+        const { address } = req.body;
+        if (!address || !ethers.isAddress(address)) return res.status(400).json({ error: "Valid address required" });
+
+        const job = await enqueueOwnerTx("role", fns[action], [address], { address, role, action },
+            `${action === "grant" ? "Grant" : "Revoke"} ${role} role ${action === "grant" ? "to" : "from"} ${address}`);
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Role update error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// ===== Ownership & Pause =====
+// version is what the contract runs, deploymentVersion the release whose ABI deployment.json carries
+async function getContractStatus() {
+    const [owner, pendingOwner, paused, version] = await Promise.all([
+        contract.owner(),
+        // Releases before ownership handover and pause lack these two
+        contract.pendingOwner().catch(() => ethers.ZeroAddress),
+        contract.paused().catch(() => false),
+        readContractVersion()
+    ]);
+    const deployment = getDeployment();
+    return {
+        owner,
+        pendingOwner: pendingOwner === ethers.ZeroAddress ? null : pendingOwner,
+        paused,
+        version,
+        deploymentVersion: deployment?.version || null,
+        implementation: deployment?.implementation || null
+    };
+}
+
+app.get("/api/contract/status", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+        res.json(await getContractStatus());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Pause or unpause (owner-signed transaction, or a governance proposal)
+app.post("/api/contract/:action", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { action } = req.params;
+        if (action !== "pause" && action !== "unpause") {
+            return res.status(400).json({ error: `Unknown action: ${action}` });
+        }
+        const job = await enqueueOwnerTx("contractAdmin", action, [], { action },
+            action === "pause" ? "Pause MediChain for maintenance" : "Unpause MediChain");
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Pause error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Step one of an ownership transfer: { newOwner } becomes pendingOwner until it calls acceptOwnership
+app.post("/api/contract/ownership/transfer", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { newOwner } = req.body;
+        if (!newOwner || !ethers.isAddress(newOwner)) return res.status(400).json({ error: "Valid newOwner address required" });
+
+        const job = await enqueueOwnerTx("contractAdmin", "transferOwnership", [newOwner], { action: "transferOwnership", address: newOwner },
+            `Transfer MediChain ownership to ${newOwner}`);
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Ownership transfer error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Step two, when the server wallet is the pending owner (e.g. after rotating PRIVATE_KEY)
+app.post("/api/contract/ownership/accept", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const job = await enqueueTx("contractAdmin", [{ method: "acceptOwnership", args: [] }], {
+            action: "acceptOwnership", address: await signer.getAddress()
+        });
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Ownership accept error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// ===== Manufacturer Registry =====
+// Verified company profiles keyed by wallet. registerMedicineFull copies the ID and legal name from the caller's
+// profile and is rejected outside the license validity window.
+app.get("/api/manufacturers/:address", async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) return res.status(400).json({ error: "Invalid address" });
+
+        const profile = await getManufacturerProfile(address);
+        if (!profile) return res.status(404).json({ error: "No manufacturer profile for this address" });
+        res.json({ ...profile, authorized: await contract.authorizedManufacturers(address) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Create or replace a profile (owner-signed transaction, or a governance proposal). Dates are ISO dates or unix timestamps;
+// licenseValidFrom defaults to now.
+app.put("/api/manufacturers/:address", requireAdmin, async (req, res) => {
+    try {
+        if (!contract) return res.status(503).json({ error: "Contract not connected" });
+
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) return res.status(400).json({ error: "Invalid address" });
+
+        const { manufacturerId, legalName, licenseNumber, licenseValidFrom, licenseValidUntil, jurisdiction } = req.body;
+        if (!manufacturerId || !legalName || !licenseNumber || !licenseValidUntil) {
+            return res.status(400).json({ error: "manufacturerId, legalName, licenseNumber and licenseValidUntil are required" });
+        }
+
+        let profile;
+        try {
+            profile = {
+                manufacturerId: String(manufacturerId).trim(),
+                legalName: String(legalName).trim(),
+                licenseNumber: String(licenseNumber).trim(),
+                licenseValidFrom: licenseValidFrom ? toUnixDate(licenseValidFrom) : Math.floor(Date.now() / 1000),
+                licenseValidUntil: toUnixDate(licenseValidUntil),
+                jurisdiction: String(jurisdiction || "").trim()
+            };
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+
+        const job = await enqueueOwnerTx("manufacturerProfile", "setManufacturerProfile", [address, profile], { address },
+            `Set manufacturer profile of ${address}: ${profile.legalName} (${profile.manufacturerId}), license ${profile.licenseNumber}`);
+
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Manufacturer profile error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// ===== Governance =====
+// With GOVERNANCE_ADMINS set at deploy time, a MediChainGovernance multisig owns MediChain. Owner actions are then
+// proposals: the server wallet (if it is a governance admin) proposes, admins approve from MetaMask or here, and
+// any admin executes once the threshold is met.
+const PROPOSAL_STATUSES = ["pending", "ready", "executed"];
+
+async function governsContract() {
+    return !!governance && (await contract.owner()).toLowerCase() === governance.target.toLowerCase();
+}
+
+// Sends an owner action directly while the server wallet may make the call itself, otherwise proposes it.
+// The proposed call is dry-run as if sent by the governance contract, so doomed proposals are refused up front.
+async function enqueueOwnerTx(kind, method, args, meta, description) {
+    if (!await governsContract()) return enqueueTx(kind, [{ method, args }], meta);
+    try {
+        await contract[method].staticCall(...args);
+        return await enqueueTx(kind, [{ method, args }], meta);
+    } catch (e) { }
+
+    const data = contract.interface.encodeFunctionData(method, args);
+    await provider.call({ from: governance.target, to: contract.target, data });
+    return enqueueTx("proposal", [
+        { target: "governance", method: "propose", args: [contract.target, data, description] }
+    ], { action: kind, description });
+}
+
+// Decoded call of a proposal; null when it targets some other contract
+function decodeProposalCall(target, data) {
+    const known = [contract, governance].find(c => c.target.toLowerCase() === target.toLowerCase());
+    if (!known) return null;
+    try {
+        const call = known.interface.parseTransaction({ data });
+        const args = JSON.parse(JSON.stringify(call.args.toArray(), (key, value) => typeof value === "bigint" ? value.toString() : value));
+        return { contract: known === contract ? "MediChain" : "MediChainGovernance", method: call.name, args };
+    } catch (e) {
+        return null;
+    }
+}
+
+async function getProposalInfo(proposalId) {
+    const [proposal, approvals, threshold, admins] = await Promise.all([
+        governance.getProposal(proposalId),
+        governance.getApprovalCount(proposalId),
+        governance.threshold(),
+        governance.getAdmins()
+    ]);
+    const approvedBy = [];
+    for (const admin of admins) {
+        if (await governance.hasApproved(proposalId, admin)) approvedBy.push(admin);
+    }
+    return {
+        id: Number(proposal.id),
+        target: proposal.target,
+        data: proposal.data,
+        call: decodeProposalCall(proposal.target, proposal.data),
+        description: proposal.description,
+        proposer: proposal.proposer,
+        createdAt: new Date(Number(proposal.createdAt) * 1000).toISOString(),
+        approvals: Number(approvals),
+        threshold: Number(threshold),
+        approvedBy,
+        status: proposal.executed ? "executed" : approvals >= threshold ? "ready" : "pending",
+        executedBy: proposal.executed ? proposal.executedBy : null,
+        executedAt: proposal.executed ? new Date(Number(proposal.executedAt) * 1000).toISOString() : null
+    };
+}
+
+function requireGovernance(req, res, next) {
+    if (!contract) return res.status(503).json({ error: "Contract not connected" });
+    if (!governance) return res.status(404).json({ error: "This deployment has no governance contract" });
+    next();
+}
+
+// Newest first. ?status=open (default: pending or ready) | pending | ready | executed | all
+app.get("/api/governance/proposals", requireGovernance, async (req, res) => {
+    try {
+        const status = req.query.status || "open";
+        if (status !== "open" && status !== "all" && !PROPOSAL_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Unknown status: ${status}` });
+        }
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const total = Number(await governance.getProposalCount());
+        const matches = [];
+        for (let id = total; id > 0 && matches.length < offset + limit; id--) {
+            const proposal = await getProposalInfo(id);
+            if (status === "all" || proposal.status === status || (status === "open" && proposal.status !== "executed")) {
+                matches.push(proposal);
+            }
+        }
+
+        res.json({
+            address: governance.target,
+            admins: await governance.getAdmins(),
+            threshold: Number(await governance.threshold()),
+            ownsContract: await governsContract(),
+            total,
+            offset,
+            limit,
+            proposals: matches.slice(offset, offset + limit)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get("/api/governance/proposals/:id", requireGovernance, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!(id > 0 && id <= Number(await governance.getProposalCount()))) {
+            return res.status(404).json({ error: "Proposal not found" });
+        }
+        res.json(await getProposalInfo(id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Propose any owner call: { method, args, description }; target: "governance" for admin/threshold changes
+app.post("/api/governance/proposals", requireAdmin, requireGovernance, async (req, res) => {
+    try {
+        const { method, args = [], description, target } = req.body;
+        const targetContract = target === "governance" ? governance : contract;
+        if (!method || !targetContract.interface.getFunction(method)) {
+            return res.status(400).json({ error: `Unknown method: ${method}` });
+        }
+        if (!description) return res.status(400).json({ error: "description is required" });
+
+        let data;
+        try {
+            data = targetContract.interface.encodeFunctionData(method, args);
+        } catch (e) {
+            return res.status(400).json({ error: e.shortMessage || e.message });
+        }
+        await provider.call({ from: governance.target, to: targetContract.target, data });
+
+        const job = await enqueueTx("proposal", [
+            { target: "governance", method: "propose", args: [targetContract.target, data, description] }
+        ], { action: method, description });
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Proposal error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// Approve or execute a proposal with the server wallet (which must be a governance admin)
+app.post("/api/governance/proposals/:id/:action", requireAdmin, requireGovernance, async (req, res) => {
+    try {
+        const { action } = req.params;
+        if (action !== "approve" && action !== "execute") {
+            return res.status(400).json({ error: `Unknown action: ${action}` });
+        }
+        const proposalId = parseInt(req.params.id);
+
+        const job = await enqueueTx("governance", [
+            { target: "governance", method: action, args: [proposalId] }
+        ], { proposalId, action });
+        await respondWithTxJob(req, res, job);
+    } catch (err) {
+        console.error("Governance error:", err.message);
+        res.status(500).json({ error: err.reason || err.message });
+    }
+});
+
+// ===== Transaction Jobs =====
+// Status of a queued write: queued → pending (sent, possibly re-sent with bumped fees) → mined | failed
+app.get("/api/tx/:id", async (req, res) => {
+    try {
+        const job = txJobs.find(j => j.id === req.params.id);
+        if (!job) return res.status(404).json({ error: "Transaction job not found" });
+
+        res.json({
+            ...formatTxJob(job),
+            confirmation: job.status === "mined" ? await confirmationInfo(job.result.blockNumber) : null
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Serve frontend (catch-all for SPA, Express 5 compatible)
+app.use((req, res, next) => {
+    if (req.path.startsWith('/api/')) return next();
+    res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+
+// ===== Expiry Sweeper =====
+// Moves lapsed Active batches to Expired. markExpired is permissionless; the server just pays the gas.
+// Runs off the event index, so it needs a deployment record and never walks the whole registry.
+// EXPIRY_SWEEP_INTERVAL_MS=0 disables the job.
+const EXPIRY_SWEEP_INTERVAL_MS = process.env.EXPIRY_SWEEP_INTERVAL_MS !== undefined
+    ? parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS)
+    : 60 * 60 * 1000;
+let sweepRunning = false;
+
+async function sweepExpired() {
+    if (!contract || !chainIndex || sweepRunning) return;
+    sweepRunning = true;
+    try {
+        // Read state and chain time (what markExpired checks) as of the newest confirmed block
+        const blockTag = await confirmedBlockNumber();
+        if (blockTag < (getDeployment()?.deployBlock ?? 0)) return; // the deployment itself is not final yet
+        const now = (await provider.getBlock(blockTag)).timestamp;
+        // Candidates come from the event index: only Active batches whose expiry day has come are read from the chain
+        const batches = Object.values(chainIndex.medicines)
+            .filter(m => m.status === "Active" && toUnixDate(m.expiryDate) <= now)
+            .map(m => m.batchNumber);
+
+        for (const batch of batches) {
+            const med = await contract.getMedicine(batch, { blockTag });
+            if (Number(med.status) !== 0 || Number(med.expiryDate) > now) continue;
+
+            // A previous sweep may already have this batch in the queue
+            const queued = txJobs.some(job => job.kind === "expire" && job.meta.batchNumber === batch &&
+                (job.status === "queued" || job.status === "pending"));
+            if (queued) continue;
+
+            try {
+                await enqueueTx("expire", [{ method: "markExpired", args: [batch] }], { batchNumber: batch });
+            } catch (e) {
+                console.warn(`Expiry sweep failed for ${batch}:`, e.reason || e.message);
+            }
+        }
+    } catch (err) {
+        console.warn("Expiry sweep error:", err.message);
+    } finally {
+        sweepRunning = false;
+    }
+}
+
+// ===== Event Indexer =====
+// Mirrors contract events into a local file store so list/search endpoints don't walk the chain.
+// Logs are polled in block ranges from the deployment block and the store resumes from lastBlock on restart.
+const INDEX_FILE = process.env.INDEX_FILE || path.join(__dirname, "data", "index.json");
+const INDEXER_POLL_MS = parseInt(process.env.INDEXER_POLL_MS) || 5000;
+const INDEXER_BLOCK_RANGE = 2000; // blocks per eth_getLogs call
+const INDEXED_EVENTS = [
+    "MedicineRegistered", "MedicineDetailsUpdated", "MedicineVerified",
+    "SupplyChainUpdated", "CounterfeitAlertRaised", "MedicineStatusChanged",
+    "CustodyTransferInitiated", "CustodyTransferAccepted", "CustodyTransferRejected"
+];
+
+let chainIndex = null;
+let indexSyncing = false;
+
+function emptyIndex(deployment) {
+    return {
+        contractAddress: deployment.contractAddress,
+        lastBlock: (deployment.deployBlock ?? parseInt(process.env.INDEXER_START_BLOCK ?? 0)) - 1,
+        blockHashes: {}, // blockNumber => hash for the newest indexed blocks that are not final yet
+        batchHashes: {}, // keccak256(batchNumber) => batchNumber, to resolve indexed string topics
+        batchOrder: [], // registration order, mirrors allBatchNumbers
+        medicines: {}, // batchNumber => medicine record
+        events: [] // every indexed event with its block hash, oldest first; also the undo log for reorgs
+    };
+}
+
+function loadIndex(deployment) {
+    try {
+        const stored = JSON.parse(fs.readFileSync(INDEX_FILE, "utf-8"));
+        // A redeploy starts a fresh index
+        if (stored.contractAddress === deployment.contractAddress) {
+            stored.blockHashes ??= {}; // saved before the index kept block hashes
+            return stored;
+        }
+    } catch (e) { }
+    return emptyIndex(deployment);
+}
+
+function saveIndex() {
+    fs.mkdirSync(path.dirname(INDEX_FILE), { recursive: true });
+    fs.writeFileSync(INDEX_FILE + ".tmp", JSON.stringify(chainIndex));
+    fs.renameSync(INDEX_FILE + ".tmp", INDEX_FILE);
+}
+
+// Static fields come from the contract; status and scan count are rebuilt from events
+async function indexMedicine(index, batchNumber, log) {
+    const existing = index.medicines[batchNumber];
+    index.medicines[batchNumber] = {
+        ...formatMedicine(await contract.getMedicine(batchNumber)),
+        status: existing ? existing.status : "Active",
+        scanCount: existing ? existing.scanCount : "0",
+        registeredBlock: existing ? existing.registeredBlock : log.blockNumber,
+        transactionHash: existing ? existing.transactionHash : log.transactionHash
+    };
+}
+
+async function applyLog(index, log) {
+    const parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+    const args = parsed.args;
+    // Indexed strings only carry their hash
+    const batchHash = args.batchNumber && args.batchNumber.hash !== undefined ? args.batchNumber.hash : null;
+    const batchNumber = batchHash ? index.batchHashes[batchHash] || null : args.batchNumber;
+    const base = {
+        batchNumber,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: new Date(Number(args.timestamp) * 1000).toISOString()
+    };
+
+    switch (parsed.name) {
+        case "MedicineRegistered": {
+            // Registrations arrive in allBatchNumbers order, so the next index is this batch
+            const registered = await contract.getBatchByIndex(index.batchOrder.length);
+            index.batchHashes[ethers.id(registered)] = registered;
+            index.batchOrder.push(registered);
+            await indexMedicine(index, registered, log);
+            index.events.push({ ...base, batchNumber: registered, type: "registered" });
+            break;
+        }
+        case "MedicineDetailsUpdated":
+            if (batchNumber) await indexMedicine(index, batchNumber, log);
+            index.events.push({ ...base, type: "details" });
+            break;
+        case "MedicineVerified":
+            if (batchNumber) {
+                const med = index.medicines[batchNumber];
+                med.scanCount = (Number(med.scanCount) + 1).toString();
+            }
+            index.events.push({ ...base, type: "verification", batchHash, isAuthentic: args.isAuthentic, verifier: args.verifier });
+            break;
+        case "SupplyChainUpdated":
+            index.events.push({
+                ...base, type: "supplyChain",
+                stage: SUPPLY_STAGES[Number(args.stage)], actor: args.actor, location: args.location
+            });
+            break;
+        case "CustodyTransferInitiated":
+        case "CustodyTransferAccepted":
+            index.events.push({
+                ...base, type: "custody", action: parsed.name === "CustodyTransferInitiated" ? "initiated" : "accepted",
+                from: args.from, to: args.to, stage: SUPPLY_STAGES[Number(args.stage)]
+            });
+            break;
+        case "CustodyTransferRejected":
+            index.events.push({
+                ...base, type: "custody", action: "rejected",
+                from: args.from, to: args.to, reason: args.reason, rejectedBy: args.rejectedBy
+            });
+            break;
+        case "CounterfeitAlertRaised":
+            index.events.push({
+                ...base, type: "alert",
+                alertId: args.alertId.toString(), reason: args.reason, reportedBy: args.reportedBy, suspicious: args.suspicious
+            });
+            break;
+        case "MedicineStatusChanged": {
+            const status = MEDICINE_STATUSES[Number(args.newStatus)];
+            // previousStatus lets a reorg rollback undo the change
+            const previousStatus = batchNumber ? index.medicines[batchNumber].status : null;
+            if (batchNumber) index.medicines[batchNumber].status = status;
+            index.events.push({ ...base, type: "status", newStatus: status, previousStatus });
+            break;
+        }
+    }
+}
+
+// Undo every indexed event above `blockNumber`, newest first
+function rollbackIndex(blockNumber) {
+    const events = chainIndex.events;
+    while (events.length > 0 && events[events.length - 1].blockNumber > blockNumber) {
+        const event = events.pop();
+        const med = event.batchNumber ? chainIndex.medicines[event.batchNumber] : null;
+
+        if (event.type === "registered") {
+            delete chainIndex.medicines[event.batchNumber];
+            delete chainIndex.batchHashes[ethers.id(event.batchNumber)];
+            chainIndex.batchOrder.pop();
+        } else if (event.type === "verification" && med) {
+            med.scanCount = (Number(med.scanCount) - 1).toString();
+        } else if (event.type === "status" && med) {
+            med.status = event.previousStatus;
+        }
+    }
+    for (const stored of Object.keys(chainIndex.blockHashes)) {
+        if (Number(stored) > blockNumber) delete chainIndex.blockHashes[stored];
+    }
+    chainIndex.lastBlock = blockNumber;
+}
+
+// Walks back from the newest indexed block until its stored hash matches the chain again and rolls back to that
+// common ancestor, so events a new branch put into blocks that were empty before are indexed too
+async function detectReorg() {
+    const stored = chainIndex.blockHashes;
+    let ancestor = chainIndex.lastBlock;
+    while (stored[ancestor] !== undefined) {
+        const block = await provider.getBlock(ancestor);
+        if (block && block.hash === stored[ancestor]) break;
+        ancestor--;
+    }
+
+    if (ancestor < chainIndex.lastBlock) {
+        console.warn(`⚠️  Chain reorg detected above block ${ancestor}; rolling back the event index`);
+        rollbackIndex(ancestor);
+        saveIndex();
+    }
+}
+
+// Confirmation state of an indexed event against the current head
+function withConfirmations(event, head) {
+    const confirmations = Math.max(head - event.blockNumber + 1, 0);
+    return { ...event, confirmations, status: confirmations >= requiredConfirmations ? "confirmed" : "pending" };
+}
+
+async function syncIndex() {
+    if (!contract || indexSyncing) return;
+    indexSyncing = true;
+    try {
+        // ABIs of releases before custody transfers lack those events
+        const topics = [INDEXED_EVENTS.filter(name => contract.interface.hasEvent(name))
+            .map(name => contract.interface.getEvent(name).topicHash)];
+        const head = await provider.getBlockNumber();
+        await detectReorg();
+
+        while (chainIndex.lastBlock < head) {
+            const fromBlock = chainIndex.lastBlock + 1;
+            const toBlock = Math.min(head, fromBlock + INDEXER_BLOCK_RANGE - 1);
+            const logs = await provider.getLogs({ address: chainIndex.contractAddress, fromBlock, toBlock, topics });
+
+            // Each range is applied to a copy, so an RPC error partway through leaves the live index untouched
+            const staged = structuredClone(chainIndex);
+            for (const log of logs) {
+                await applyLog(staged, log);
+            }
+            staged.lastBlock = toBlock;
+            // Remember the hashes of blocks a reorg can still replace; older ones are final
+            for (let blockNumber = Math.max(fromBlock, head - requiredConfirmations + 1); blockNumber <= toBlock; blockNumber++) {
+                staged.blockHashes[blockNumber] = (await provider.getBlock(blockNumber)).hash;
+            }
+            for (const stored of Object.keys(staged.blockHashes)) {
+                if (Number(stored) <= toBlock - requiredConfirmations) delete staged.blockHashes[stored];
+            }
+            chainIndex = staged;
+            saveIndex();
+        }
+    } catch (err) {
+        console.warn("Indexer error:", err.message);
+    } finally {
+        indexSyncing = false;
+    }
+}
+
+function startIndexer() {
+    const deployment = getDeployment();
+    if (!contract || !deployment) return;
+
+    chainIndex = loadIndex(deployment);
+    console.log(`🗂️  Event index resuming from block ${chainIndex.lastBlock + 1}`);
+    syncIndex();
+    setInterval(syncIndex, INDEXER_POLL_MS);
+}
+
+// ===== Start Server =====
+// Loaded as a module (by the Hardhat tests) the server does not listen; the tests attach the indexer to their own chain
+if (require.main === module) {
+    app.listen(PORT, async () => {
+        console.log(`\n🏥 MediChain Backend Server running on http://localhost:${PORT}`);
+        console.log(`📁 Serving frontend from /public`);
+        await connectBlockchain();
+        loadTxQueue();
+        loadAnomalies();
+        processTxQueue();
+        startIndexer();
+        if (EXPIRY_SWEEP_INTERVAL_MS > 0) {
+            sweepExpired();
+            setInterval(sweepExpired, EXPIRY_SWEEP_INTERVAL_MS);
+        }
+        if (ANOMALY_SCAN_INTERVAL_MS > 0) {
+            setInterval(detectAnomalies, ANOMALY_SCAN_INTERVAL_MS);
+        }
+        console.log(`\n🔗 Ready for MetaMask connections!\n`);
+    });
+}
+
+module.exports = {
+    app,
+    attachIndexer(chain) {
+        ({ provider, contract } = chain);
+        requiredConfirmations = chain.confirmations;
+        chainIndex = loadIndex(chain.deployment);
+    },
+    syncIndex,
+    getIndex: () => chainIndex
+};
@@ -0,0 +1,55 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { MedicineStatus, deployMediChain, registerBatch } = require("./fixtures");
+
+describe("Counterfeit alerts", function () {
+    async function soldBatchFixture() {
+        const deployed = await deployMediChain();
+        await registerBatch(deployed.mediChain, "B1");
+        await deployed.mediChain.markAsSold("B1");
+        return deployed;
+    }
+
+    it("keeps the batch status for suspicious reports", async function () {
+        const { mediChain } = await loadFixture(soldBatchFixture);
+        await mediChain.reportSuspicious("B1", "Many scanners");
+        expect((await mediChain.getMedicine("B1")).status).to.equal(MedicineStatus.Sold);
+        expect((await mediChain.getAlert(1)).suspicious).to.equal(true);
+    });
+
+    it("restores the status the batch had before it was flagged", async function () {
+        const { mediChain } = await loadFixture(soldBatchFixture);
+        await mediChain.flagMedicine("B1", "Suspected copy");
+        expect((await mediChain.getMedicine("B1")).status).to.equal(MedicineStatus.Flagged);
+
+        await expect(mediChain.resolveAlert(1, "False alarm", true))
+            .to.emit(mediChain, "MedicineStatusChanged").withArgs("B1", MedicineStatus.Sold, (t) => t > 0n);
+        expect((await mediChain.getMedicine("B1")).status).to.equal(MedicineStatus.Sold);
+    });
+
+    it("restores only once no other hard alert on the batch is open", async function () {
+        const { mediChain } = await loadFixture(soldBatchFixture);
+        await mediChain.flagMedicine("B1", "First report");
+        await mediChain.flagMedicine("B1", "Second report");
+        await mediChain.reportSuspicious("B1", "Suspicious only");
+
+        await expect(mediChain.resolveAlert(1, "False alarm", true))
+            .to.be.revertedWith("Batch has other unresolved alerts");
+
+        await mediChain.resolveAlert(1, "False alarm", false);
+        // Open suspicious reports don't hold the batch
+        await mediChain.resolveAlert(2, "False alarm", true);
+        expect((await mediChain.getMedicine("B1")).status).to.equal(MedicineStatus.Sold);
+    });
+
+    it("pages alerts without overflowing", async function () {
+        const { mediChain } = await loadFixture(soldBatchFixture);
+        await mediChain.reportSuspicious("B1", "One");
+        await mediChain.reportSuspicious("B1", "Two");
+
+        expect(await mediChain.getAlerts(0, ethers.MaxUint256)).to.have.length(2);
+        expect(await mediChain.getAlerts(1, ethers.MaxUint256)).to.have.length(1);
+        expect(await mediChain.getAlerts(2, ethers.MaxUint256)).to.have.length(0);
+    });
+});
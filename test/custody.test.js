@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { SupplyStage, MedicineStatus, deployMediChain, licenseManufacturer, registerBatch } = require("./fixtures");
+
+describe("Custody transfers", function () {
+    // A batch registered by a manufacturer other than the owner and quality-checked, ready to ship
+    async function checkedBatchFixture() {
+        const deployed = await deployMediChain();
+        const { mediChain, accounts } = deployed;
+        const [manufacturer, distributor, shop, stranger] = accounts;
+
+        await licenseManufacturer(mediChain, manufacturer, "MFG-1");
+        await mediChain.authorizeDistributor(distributor.address);
+        await mediChain.authorizeShop(shop.address);
+
+        const asManufacturer = mediChain.connect(manufacturer);
+        await registerBatch(asManufacturer, "B1");
+        await asManufacturer.updateSupplyChain("B1", SupplyStage.QualityChecked, "QA Lab", "Plant");
+        return { ...deployed, manufacturer, distributor, shop, stranger };
+    }
+
+    // The same batch offered to the distributor as Shipped
+    async function offeredFixture() {
+        const deployed = await checkedBatchFixture();
+        await deployed.mediChain.connect(deployed.manufacturer)
+            .initiateCustodyTransfer("B1", deployed.distributor.address, SupplyStage.Shipped);
+        return deployed;
+    }
+
+    it("starts with the registering manufacturer as custodian", async function () {
+        const { mediChain, manufacturer } = await loadFixture(checkedBatchFixture);
+        expect(await mediChain.currentCustodian("B1")).to.equal(manufacturer.address);
+        expect((await mediChain.getCustodyTransfer("B1")).to).to.equal(ethers.ZeroAddress);
+    });
+
+    describe("initiate", function () {
+        it("records the offer", async function () {
+            const { mediChain, manufacturer, distributor } = await loadFixture(checkedBatchFixture);
+            await expect(mediChain.connect(manufacturer).initiateCustodyTransfer("B1", distributor.address, SupplyStage.Shipped))
+                .to.emit(mediChain, "CustodyTransferInitiated");
+
+            const transfer = await mediChain.getCustodyTransfer("B1");
+            expect(transfer.from).to.equal(manufacturer.address);
+            expect(transfer.to).to.equal(distributor.address);
+            expect(transfer.stage).to.equal(SupplyStage.Shipped);
+        });
+
+        it("is reserved for the current custodian", async function () {
+            const { mediChain, distributor } = await loadFixture(checkedBatchFixture);
+            await expect(mediChain.connect(distributor).initiateCustodyTransfer("B1", distributor.address, SupplyStage.Shipped))
+                .to.be.revertedWith("Only the current custodian can transfer this batch");
+        });
+
+        it("rejects the zero address and the custodian itself", async function () {
+            const { mediChain, manufacturer } = await loadFixture(checkedBatchFixture);
+            const asManufacturer = mediChain.connect(manufacturer);
+            await expect(asManufacturer.initiateCustodyTransfer("B1", ethers.ZeroAddress, SupplyStage.Shipped))
+                .to.be.revertedWith("Invalid custody recipient");
+            await expect(asManufacturer.initiateCustodyTransfer("B1", manufacturer.address, SupplyStage.Shipped))
+                .to.be.revertedWith("Invalid custody recipient");
+        });
+
+        it("allows one pending transfer per batch", async function () {
+            const { mediChain, manufacturer, distributor, shop } = await loadFixture(checkedBatchFixture);
+            const asManufacturer = mediChain.connect(manufacturer);
+            await asManufacturer.initiateCustodyTransfer("B1", distributor.address, SupplyStage.Shipped);
+            await expect(asManufacturer.initiateCustodyTransfer("B1", shop.address, SupplyStage.Shipped))
+                .to.be.revertedWith("Batch already has a pending custody transfer");
+        });
+
+        it("requires a stage that follows the current one", async function () {
+            const { mediChain, manufacturer, distributor } = await loadFixture(checkedBatchFixture);
+            await expect(mediChain.connect(manufacturer).initiateCustodyTransfer("B1", distributor.address, SupplyStage.Delivered))
+                .to.be.revertedWith("Invalid supply chain transition");
+        });
+
+        it("requires a stage one of the parties may record", async function () {
+            const { mediChain, manufacturer, stranger } = await loadFixture(checkedBatchFixture);
+            await expect(mediChain.connect(manufacturer).initiateCustodyTransfer("B1", stranger.address, SupplyStage.Shipped))
+                .to.be.revertedWith("Neither party may record this stage");
+        });
+
+        it("requires a recipient that may carry the batch on", async function () {
+            const { mediChain, distributor, stranger } = await loadFixture(offeredFixture);
+            await mediChain.connect(distributor).acceptCustodyTransfer("B1", "FastFreight", "Rotterdam");
+            // The distributor may record InTransit, but the recipient holds no supply chain role
+            await expect(mediChain.connect(distributor).initiateCustodyTransfer("B1", stranger.address, SupplyStage.InTransit))
+                .to.be.revertedWith("Recipient has no supply chain role for this stage");
+        });
+
+        it("is blocked while paused", async function () {
+            const { mediChain, manufacturer, distributor } = await loadFixture(checkedBatchFixture);
+            await mediChain.pause();
+            await expect(mediChain.connect(manufacturer).initiateCustodyTransfer("B1", distributor.address, SupplyStage.Shipped))
+                .to.be.revertedWith("MediChain is paused for maintenance");
+        });
+    });
+
+    describe("accept", function () {
+        it("hands custody to the recipient, who writes the supply chain entry", async function () {
+            const { mediChain, manufacturer, distributor } = await loadFixture(offeredFixture);
+            await expect(mediChain.connect(distributor).acceptCustodyTransfer("B1", "FastFreight", "Rotterdam"))
+                .to.emit(mediChain, "CustodyTransferAccepted");
+
+            expect(await mediChain.currentCustodian("B1")).to.equal(distributor.address);
+            expect(await mediChain.getCurrentStage("B1")).to.equal(SupplyStage.Shipped);
+            expect((await mediChain.getCustodyTransfer("B1")).to).to.equal(ethers.ZeroAddress);
+
+            const entries = await mediChain.getSupplyChain("B1");
+            const entry = entries[entries.length - 1];
+            expect(entry.actor).to.equal("FastFreight");
+            expect(entry.location).to.equal("Rotterdam");
+            expect(entry.updatedBy).to.equal(distributor.address);
+
+            // The previous holder no longer controls the batch
+            await expect(mediChain.connect(manufacturer).updateSupplyChain("B1", SupplyStage.Returned, "Plant", "Plant"))
+                .to.be.revertedWith("Only the current custodian can update this batch");
+        });
+
+        it("is reserved for the recipient", async function () {
+            const { mediChain, manufacturer, stranger } = await loadFixture(offeredFixture);
+            await expect(mediChain.connect(stranger).acceptCustodyTransfer("B1", "x", "y"))
+                .to.be.revertedWith("Only the recipient can accept this transfer");
+            await expect(mediChain.connect(manufacturer).acceptCustodyTransfer("B1", "x", "y"))
+                .to.be.revertedWith("Only the recipient can accept this transfer");
+        });
+
+        it("re-checks the stage against stages recorded since the offer", async function () {
+            const { mediChain, distributor } = await loadFixture(offeredFixture);
+            // The owner may record any stage; Shipped cannot follow Shipped
+            await mediChain.updateSupplyChain("B1", SupplyStage.Shipped, "Owner", "HQ");
+            await expect(mediChain.connect(distributor).acceptCustodyTransfer("B1", "x", "y"))
+                .to.be.revertedWith("Invalid supply chain transition");
+        });
+
+        it("lets the next holder pass the batch on", async function () {
+            const { mediChain, distributor, shop } = await loadFixture(offeredFixture);
+            await mediChain.connect(distributor).acceptCustodyTransfer("B1", "FastFreight", "Rotterdam");
+            await mediChain.connect(distributor).initiateCustodyTransfer("B1", shop.address, SupplyStage.Delivered);
+            await mediChain.connect(shop).acceptCustodyTransfer("B1", "City Pharmacy", "Utrecht");
+
+            expect(await mediChain.currentCustodian("B1")).to.equal(shop.address);
+            expect(await mediChain.getCurrentStage("B1")).to.equal(SupplyStage.Delivered);
+        });
+    });
+
+    describe("selling", function () {
+        // The shop holds the batch once the distributor delivers it
+        async function deliveredFixture() {
+            const deployed = await offeredFixture();
+            const { mediChain, distributor, shop } = deployed;
+            await mediChain.connect(distributor).acceptCustodyTransfer("B1", "FastFreight", "Rotterdam");
+            await mediChain.connect(distributor).initiateCustodyTransfer("B1", shop.address, SupplyStage.Delivered);
+            await mediChain.connect(shop).acceptCustodyTransfer("B1", "City Pharmacy", "Utrecht");
+            return deployed;
+        }
+
+        it("is reserved for the shop holding the batch", async function () {
+            const { mediChain, accounts, shop } = await loadFixture(deliveredFixture);
+            const otherShop = accounts[4];
+            await mediChain.authorizeShop(otherShop.address);
+            await expect(mediChain.connect(otherShop).markAsSold("B1"))
+                .to.be.revertedWith("Only the current custodian can sell this batch");
+
+            await mediChain.connect(shop).markAsSold("B1");
+            expect((await mediChain.getMedicine("B1")).status).to.equal(MedicineStatus.Sold);
+        });
+
+        it("refuses a batch the shop does not hold yet", async function () {
+            const { mediChain, shop } = await loadFixture(offeredFixture);
+            await expect(mediChain.connect(shop).markAsSold("B1"))
+                .to.be.revertedWith("Only the current custodian can sell this batch");
+        });
+
+        it("keeps a flag in place", async function () {
+            const { mediChain, shop } = await loadFixture(deliveredFixture);
+            await mediChain.flagMedicine("B1", "Suspected copy");
+            await expect(mediChain.connect(shop).markAsSold("B1")).to.be.revertedWith("Medicine has been flagged");
+            expect((await mediChain.getMedicine("B1")).status).to.equal(MedicineStatus.Flagged);
+        });
+    });
+
+    describe("reject", function () {
+        it("lets the recipient decline, leaving custody unchanged", async function () {
+            const { mediChain, manufacturer, distributor } = await loadFixture(offeredFixture);
+            await expect(mediChain.connect(distributor).rejectCustodyTransfer("B1", "Damaged packaging"))
+                .to.emit(mediChain, "CustodyTransferRejected");
+
+            expect(await mediChain.currentCustodian("B1")).to.equal(manufacturer.address);
+            expect((await mediChain.getCustodyTransfer("B1")).to).to.equal(ethers.ZeroAddress);
+            expect(await mediChain.getCurrentStage("B1")).to.equal(SupplyStage.QualityChecked);
+        });
+
+        it("lets the custodian withdraw and offer again", async function () {
+            const { mediChain, manufacturer, distributor } = await loadFixture(offeredFixture);
+            const asManufacturer = mediChain.connect(manufacturer);
+            await asManufacturer.rejectCustodyTransfer("B1", "Wrong carrier");
+            await asManufacturer.initiateCustodyTransfer("B1", distributor.address, SupplyStage.Shipped);
+            expect((await mediChain.getCustodyTransfer("B1")).to).to.equal(distributor.address);
+        });
+
+        it("is reserved for the parties and needs a reason", async function () {
+            const { mediChain, distributor, stranger } = await loadFixture(offeredFixture);
+            await expect(mediChain.connect(stranger).rejectCustodyTransfer("B1", "No"))
+                .to.be.revertedWith("Only the parties to this transfer can reject it");
+            await expect(mediChain.connect(distributor).rejectCustodyTransfer("B1", ""))
+                .to.be.revertedWith("Rejection reason cannot be empty");
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMediChainCode, mediChainAbi } = require("../scripts/mediChainCode");
+
+const SupplyStage = {
+    Manufactured: 0, QualityChecked: 1, Shipped: 2, InTransit: 3, Delivered: 4, Dispensed: 5, Returned: 6
+};
+const MedicineStatus = { Active: 0, Sold: 1, Expired: 2, Flagged: 3, Recalled: 4 };
+
+// MediChain behind MediChainProxy as scripts/deploy.js sets it up, called through the combined ABI.
+// The deployer owns it and holds a manufacturer license, so it can register batches right away.
+async function deployMediChain() {
+    const [owner, ...accounts] = await ethers.getSigners();
+    const { implementationAddress, supplyChainModule } = await deployMediChainCode(hre);
+
+    const MediChain = await ethers.getContractFactory("MediChain");
+    const MediChainProxy = await ethers.getContractFactory("MediChainProxy");
+    const proxy = await MediChainProxy.deploy(implementationAddress, MediChain.interface.encodeFunctionData("initialize"));
+    await proxy.waitForDeployment();
+
+    const mediChain = new ethers.Contract(await proxy.getAddress(), await mediChainAbi(hre), owner);
+    await licenseManufacturer(mediChain, owner, "MFG-OWNER");
+    return { mediChain, proxy, implementationAddress, supplyChainModule, owner, accounts };
+}
+
+// Grants the manufacturer role and a registry profile valid for a year
+async function licenseManufacturer(mediChain, account, manufacturerId) {
+    const now = await time.latest();
+    await mediChain.authorizeManufacturer(account.address);
+    await mediChain.setManufacturerProfile(account.address, {
+        manufacturerId,
+        legalName: `${manufacturerId} Pharma`,
+        licenseNumber: `LIC-${manufacturerId}`,
+        licenseValidFrom: now - 60,
+        licenseValidUntil: now + 365 * 24 * 60 * 60,
+        jurisdiction: "EU"
+    });
+}
+
+async function registerBatch(mediChain, batchNumber, overrides = {}) {
+    const now = await time.latest();
+    return mediChain.registerMedicineFull({
+        medicineName: "Paracetamol 500mg",
+        batchNumber,
+        mfgDate: now - 24 * 60 * 60,
+        expiryDate: now + 365 * 24 * 60 * 60,
+        medicineType: "tablet",
+        quantity: 100,
+        composition: "",
+        shipmentDest: "",
+        price: 0,
+        gtin: "",
+        unitRoot: ethers.ZeroHash,
+        ...overrides
+    });
+}
+
+module.exports = { SupplyStage, MedicineStatus, deployMediChain, licenseManufacturer, registerBatch };
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, setCode } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMediChain } = require("./fixtures");
+
+describe("MediChainGovernance", function () {
+    // Three admins, two approvals needed, owning MediChain
+    async function governedFixture() {
+        const deployed = await deployMediChain();
+        const { mediChain, owner, accounts } = deployed;
+        const [second, third, outsider, distributor] = accounts;
+
+        const Governance = await ethers.getContractFactory("MediChainGovernance");
+        const governance = await Governance.deploy([owner.address, second.address, third.address], 2);
+        await governance.waitForDeployment();
+
+        await mediChain.transferOwnership(await governance.getAddress());
+        await governance.acceptOwnershipOf(await mediChain.getAddress());
+        return { ...deployed, governance, second, third, outsider, distributor };
+    }
+
+    async function proposeCall(governance, target, data, proposer) {
+        await governance.connect(proposer).propose(await target.getAddress(), data, "test proposal");
+        return governance.getProposalCount();
+    }
+
+    it("becomes the MediChain owner", async function () {
+        const { mediChain, governance } = await loadFixture(governedFixture);
+        expect(await mediChain.owner()).to.equal(await governance.getAddress());
+    });
+
+    it("only lets admins propose", async function () {
+        const { mediChain, governance, outsider } = await loadFixture(governedFixture);
+        await expect(governance.connect(outsider).propose(await mediChain.getAddress(), "0x", "x"))
+            .to.be.revertedWith("Only governance admins can perform this action");
+    });
+
+    it("only proposes calls to contracts", async function () {
+        const { governance, owner, outsider } = await loadFixture(governedFixture);
+        await expect(governance.connect(owner).propose(outsider.address, "0x", "x"))
+            .to.be.revertedWith("Target is not a contract");
+        await expect(governance.connect(owner).propose(ethers.ZeroAddress, "0x", "x"))
+            .to.be.revertedWith("Target is not a contract");
+    });
+
+    it("refuses to execute once the target has no code", async function () {
+        const { mediChain, governance, owner, second, distributor } = await loadFixture(governedFixture);
+        const data = mediChain.interface.encodeFunctionData("authorizeDistributor", [distributor.address]);
+        const id = await proposeCall(governance, mediChain, data, owner);
+        await governance.connect(second).approve(id);
+
+        await setCode(await mediChain.getAddress(), "0x");
+        await expect(governance.execute(id)).to.be.revertedWith("Target is not a contract");
+        expect((await governance.getProposal(id)).executed).to.equal(false);
+    });
+
+    it("executes an owner call once the threshold is met", async function () {
+        const { mediChain, governance, owner, second, distributor } = await loadFixture(governedFixture);
+        const data = mediChain.interface.encodeFunctionData("authorizeDistributor", [distributor.address]);
+        const id = await proposeCall(governance, mediChain, data, owner);
+
+        // The proposer's approval counts right away
+        expect(await governance.getApprovalCount(id)).to.equal(1);
+        await expect(governance.execute(id)).to.be.revertedWith("Not enough approvals");
+
+        await governance.connect(second).approve(id);
+        expect(await governance.getApprovalCount(id)).to.equal(2);
+        await expect(governance.connect(second).execute(id)).to.emit(governance, "ProposalExecuted");
+
+        expect(await mediChain.authorizedDistributors(distributor.address)).to.equal(true);
+        const proposal = await governance.getProposal(id);
+        expect(proposal.executed).to.equal(true);
+        expect(proposal.executedBy).to.equal(second.address);
+    });
+
+    it("runs a proposal only once", async function () {
+        const { mediChain, governance, owner, second, third, distributor } = await loadFixture(governedFixture);
+        const data = mediChain.interface.encodeFunctionData("authorizeDistributor", [distributor.address]);
+        const id = await proposeCall(governance, mediChain, data, owner);
+        await governance.connect(second).approve(id);
+        await governance.execute(id);
+
+        await expect(governance.execute(id)).to.be.revertedWith("Proposal already executed");
+        await expect(governance.connect(third).approve(id)).to.be.revertedWith("Proposal already executed");
+    });
+
+    it("stops counting a revoked approval", async function () {
+        const { mediChain, governance, owner, second, distributor } = await loadFixture(governedFixture);
+        const data = mediChain.interface.encodeFunctionData("authorizeDistributor", [distributor.address]);
+        const id = await proposeCall(governance, mediChain, data, owner);
+        await governance.connect(second).approve(id);
+        await governance.connect(second).revokeApproval(id);
+
+        expect(await governance.hasApproved(id, second.address)).to.equal(false);
+        await expect(governance.execute(id)).to.be.revertedWith("Not enough approvals");
+    });
+
+    it("reverts with the target's reason and leaves a failed proposal open", async function () {
+        const { mediChain, governance, owner, second, distributor } = await loadFixture(governedFixture);
+        const data = mediChain.interface.encodeFunctionData("revokeDistributor", [distributor.address]);
+        const id = await proposeCall(governance, mediChain, data, owner);
+        await governance.connect(second).approve(id);
+
+        await expect(governance.execute(id)).to.be.revertedWith("Address is not a distributor");
+        expect((await governance.getProposal(id)).executed).to.equal(false);
+    });
+
+    it("refuses owner calls that skip a proposal", async function () {
+        const { mediChain, governance, owner, distributor } = await loadFixture(governedFixture);
+        await expect(mediChain.connect(owner).authorizeDistributor(distributor.address))
+            .to.be.revertedWith("Only contract owner can perform this action");
+        await expect(governance.setThreshold(1))
+            .to.be.revertedWith("Only an approved proposal can perform this action");
+    });
+
+    describe("admins and threshold", function () {
+        async function governSelf(governance, data, [proposer, approver]) {
+            const id = await proposeCall(governance, governance, data, proposer);
+            await governance.connect(approver).approve(id);
+            await governance.execute(id);
+        }
+
+        it("changes the threshold through a proposal", async function () {
+            const { governance, owner, second } = await loadFixture(governedFixture);
+            await governSelf(governance, governance.interface.encodeFunctionData("setThreshold", [3]), [owner, second]);
+            expect(await governance.threshold()).to.equal(3);
+        });
+
+        it("keeps the threshold reachable", async function () {
+            const { governance, owner, second, third } = await loadFixture(governedFixture);
+            await governSelf(governance, governance.interface.encodeFunctionData("setThreshold", [3]), [owner, second]);
+
+            const data = governance.interface.encodeFunctionData("removeAdmin", [third.address]);
+            const id = await proposeCall(governance, governance, data, owner);
+            await governance.connect(second).approve(id);
+            await governance.connect(third).approve(id);
+            await expect(governance.execute(id))
+                .to.be.revertedWith("Removing this admin would make the threshold unreachable");
+        });
+
+        it("drops a removed admin's approvals, also after the address is added again", async function () {
+            const { mediChain, governance, owner, second, third, distributor } = await loadFixture(governedFixture);
+            const data = mediChain.interface.encodeFunctionData("authorizeDistributor", [distributor.address]);
+            const id = await proposeCall(governance, mediChain, data, third);
+
+            await governSelf(governance, governance.interface.encodeFunctionData("removeAdmin", [third.address]), [owner, second]);
+            expect(await governance.getApprovalCount(id)).to.equal(0);
+            expect(await governance.hasApproved(id, third.address)).to.equal(false);
+
+            await governSelf(governance, governance.interface.encodeFunctionData("addAdmin", [third.address]), [owner, second]);
+            expect(await governance.isAdmin(third.address)).to.equal(true);
+            expect(await governance.getApprovalCount(id)).to.equal(0);
+
+            // A fresh approval counts again
+            await governance.connect(third).approve(id);
+            expect(await governance.getApprovalCount(id)).to.equal(1);
+        });
+    });
+
+    it("pages proposals without overflowing", async function () {
+        const { mediChain, governance, owner, distributor } = await loadFixture(governedFixture);
+        const data = mediChain.interface.encodeFunctionData("authorizeDistributor", [distributor.address]);
+        await proposeCall(governance, mediChain, data, owner);
+        await proposeCall(governance, mediChain, data, owner);
+
+        expect(await governance.getProposals(1, ethers.MaxUint256)).to.have.length(1);
+        expect(await governance.getProposals(2, ethers.MaxUint256)).to.have.length(0);
+    });
+});
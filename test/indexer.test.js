@@ -0,0 +1,69 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMediChain, registerBatch } = require("./fixtures");
+
+// The server persists its index; keep the test's copy out of data/
+process.env.INDEX_FILE = path.join(os.tmpdir(), `medichain-index-${process.pid}.json`);
+const server = require("../server");
+
+describe("Server event index", function () {
+    const CONFIRMATIONS = 4;
+    let mediChain;
+
+    beforeEach(async function () {
+        fs.rmSync(process.env.INDEX_FILE, { force: true });
+        ({ mediChain } = await deployMediChain());
+        server.attachIndexer({
+            provider: ethers.provider,
+            contract: mediChain,
+            confirmations: CONFIRMATIONS,
+            deployment: { contractAddress: await mediChain.getAddress(), deployBlock: await ethers.provider.getBlockNumber() }
+        });
+    });
+
+    after(function () {
+        fs.rmSync(process.env.INDEX_FILE, { force: true });
+    });
+
+    it("indexes a reorged event into a block that was empty before", async function () {
+        await registerBatch(mediChain, "B1");
+        const fork = await takeSnapshot();
+        await mine(3);
+        await server.syncIndex();
+        expect(server.getIndex().batchOrder).to.deep.equal(["B1"]);
+
+        // The new branch is as long as the old one and puts B2 into its first block
+        await fork.restore();
+        const receipt = await (await registerBatch(mediChain, "B2")).wait();
+        await mine(2);
+        await server.syncIndex();
+
+        const index = server.getIndex();
+        expect(index.batchOrder).to.deep.equal(["B1", "B2"]);
+        const registered = index.events.find(event => event.batchNumber === "B2" && event.type === "registered");
+        expect(registered.blockHash).to.equal(receipt.blockHash);
+        expect(index.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("drops the events of the abandoned branch", async function () {
+        await registerBatch(mediChain, "B1");
+        const fork = await takeSnapshot();
+        await registerBatch(mediChain, "B2");
+        await mediChain.verifyMedicine("B1");
+        await server.syncIndex();
+        expect(server.getIndex().medicines.B1.scanCount).to.equal("1");
+
+        await fork.restore();
+        await mine(3);
+        await server.syncIndex();
+
+        const index = server.getIndex();
+        expect(index.batchOrder).to.deep.equal(["B1"]);
+        expect(index.medicines.B2).to.equal(undefined);
+        expect(index.medicines.B1.scanCount).to.equal("0");
+    });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMediChain, registerBatch } = require("./fixtures");
+
+// Same tree as server.js builds for labels: double-hashed leaves, sorted pairs, odd nodes carried up
+function unitLeaf(batchNumber, serial) {
+    return ethers.keccak256(ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["string", "uint256"], [batchNumber, serial])
+    ));
+}
+
+function hashPair(a, b) {
+    return a < b ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+function buildTree(batchNumber, serials) {
+    const layers = [serials.map(serial => unitLeaf(batchNumber, serial))];
+    while (layers[layers.length - 1].length > 1) {
+        const prev = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < prev.length; i += 2) {
+            next.push(i + 1 < prev.length ? hashPair(prev[i], prev[i + 1]) : prev[i]);
+        }
+        layers.push(next);
+    }
+
+    const proof = index => {
+        const siblings = [];
+        for (let layer = 0; layer < layers.length - 1; layer++) {
+            const sibling = index ^ 1;
+            if (sibling < layers[layer].length) siblings.push(layers[layer][sibling]);
+            index = Math.floor(index / 2);
+        }
+        return siblings;
+    };
+    return { root: layers[layers.length - 1][0], proof };
+}
+
+describe("Unit Merkle proofs", function () {
+    // Five packs, so the last leaf is carried up unpaired
+    const SERIALS = [1001, 1002, 1003, 1004, 1005];
+
+    async function serializedBatchFixture() {
+        const deployed = await deployMediChain();
+        const tree = buildTree("B1", SERIALS);
+        await registerBatch(deployed.mediChain, "B1", { unitRoot: tree.root });
+        await registerBatch(deployed.mediChain, "B2");
+        return { ...deployed, tree };
+    }
+
+    it("commits the root at registration", async function () {
+        const { mediChain, tree } = await loadFixture(serializedBatchFixture);
+        expect(await mediChain.unitRoots("B1")).to.equal(tree.root);
+    });
+
+    it("accepts every registered serial with its proof", async function () {
+        const { mediChain, tree } = await loadFixture(serializedBatchFixture);
+        for (let i = 0; i < SERIALS.length; i++) {
+            expect(await mediChain.isRegisteredUnit("B1", SERIALS[i], tree.proof(i))).to.equal(true);
+        }
+    });
+
+    it("rejects unknown serials and borrowed proofs", async function () {
+        const { mediChain, tree } = await loadFixture(serializedBatchFixture);
+        expect(await mediChain.isRegisteredUnit("B1", 9999, tree.proof(0))).to.equal(false);
+        expect(await mediChain.isRegisteredUnit("B1", SERIALS[0], tree.proof(1))).to.equal(false);
+    });
+
+    it("rejects a tampered proof", async function () {
+        const { mediChain, tree } = await loadFixture(serializedBatchFixture);
+        const proof = tree.proof(2);
+        proof[0] = ethers.keccak256(proof[0]);
+        expect(await mediChain.isRegisteredUnit("B1", SERIALS[2], proof)).to.equal(false);
+    });
+
+    it("binds serials to their batch", async function () {
+        const { mediChain, tree } = await loadFixture(serializedBatchFixture);
+        // Same serials in another batch: each batch's proofs only hold against its own root
+        const other = buildTree("B3", SERIALS);
+        await registerBatch(mediChain, "B3", { unitRoot: other.root });
+        expect(await mediChain.isRegisteredUnit("B3", SERIALS[0], other.proof(0))).to.equal(true);
+        expect(await mediChain.isRegisteredUnit("B3", SERIALS[0], tree.proof(0))).to.equal(false);
+        // A batch without a root has no serialized packs
+        expect(await mediChain.isRegisteredUnit("B2", SERIALS[0], tree.proof(0))).to.equal(false);
+    });
+
+    it("lets only the custodian sell a pack", async function () {
+        const { mediChain, tree } = await loadFixture(serializedBatchFixture);
+        const [, shop] = await ethers.getSigners();
+        await mediChain.authorizeShop(shop.address);
+
+        await expect(mediChain.connect(shop).markUnitSold("B1", SERIALS[0], tree.proof(0)))
+            .to.be.revertedWith("Only the current custodian can sell this batch");
+        await expect(mediChain.markUnitSold("B1", SERIALS[0], tree.proof(0))).to.emit(mediChain, "UnitSold");
+    });
+
+    it("records a verified pack and flags an unregistered one", async function () {
+        const { mediChain, tree } = await loadFixture(serializedBatchFixture);
+        const [, scanner] = await ethers.getSigners();
+
+        await mediChain.connect(scanner).verifyUnit("B1", SERIALS[3], tree.proof(3));
+        expect((await mediChain.getUnit("B1", SERIALS[3], tree.proof(3))).scanCount).to.equal(1);
+
+        await expect(mediChain.connect(scanner).verifyUnit("B1", 9999, []))
+            .to.emit(mediChain, "CounterfeitAlertRaised");
+        const [isAuthentic] = await mediChain.checkUnit("B1", 9999, []);
+        expect(isAuthentic).to.equal(false);
+    });
+});
@@ -0,0 +1,91 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMediChainCode } = require("../scripts/mediChainCode");
+const { SupplyStage, MedicineStatus, deployMediChain, registerBatch } = require("./fixtures");
+
+describe("MediChainProxy upgrades", function () {
+    describe("initialize", function () {
+        it("makes the proxy deployer the owner", async function () {
+            const { mediChain, owner } = await loadFixture(deployMediChain);
+            expect(await mediChain.owner()).to.equal(owner.address);
+            expect(await mediChain.authorizedManufacturers(owner.address)).to.equal(true);
+        });
+
+        it("cannot run twice on the proxy", async function () {
+            const { mediChain, accounts } = await loadFixture(deployMediChain);
+            await expect(mediChain.connect(accounts[0]).initialize()).to.be.revertedWith("MediChain is already initialized");
+        });
+
+        it("cannot run on the implementation", async function () {
+            const { implementationAddress, accounts } = await loadFixture(deployMediChain);
+            const implementation = await ethers.getContractAt("MediChain", implementationAddress);
+            await expect(implementation.connect(accounts[0]).initialize()).to.be.revertedWith("MediChain is already initialized");
+        });
+
+        it("needs an implementation contract", async function () {
+            const [, account] = await ethers.getSigners();
+            const MediChainProxy = await ethers.getContractFactory("MediChainProxy");
+            await expect(MediChainProxy.deploy(account.address, "0x"))
+                .to.be.revertedWith("Implementation is not a contract");
+        });
+    });
+
+    describe("upgradeTo", function () {
+        it("is reserved for the owner", async function () {
+            const { mediChain, accounts } = await loadFixture(deployMediChain);
+            const { implementationAddress } = await deployMediChainCode(hre);
+            await expect(mediChain.connect(accounts[0]).upgradeTo(implementationAddress))
+                .to.be.revertedWith("Only contract owner can perform this action");
+        });
+
+        it("only runs through the proxy", async function () {
+            const { implementationAddress } = await loadFixture(deployMediChain);
+            const implementation = await ethers.getContractAt("MediChain", implementationAddress);
+            await expect(implementation.upgradeTo(implementationAddress))
+                .to.be.revertedWith("Upgrades go through MediChainProxy");
+        });
+
+        it("refuses code that is not a MediChain release", async function () {
+            const { mediChain, supplyChainModule, accounts } = await loadFixture(deployMediChain);
+            await expect(mediChain.upgradeTo(accounts[0].address)).to.be.reverted;
+            await expect(mediChain.upgradeTo(supplyChainModule)).to.be.reverted;
+        });
+
+        it("keeps every record across an upgrade", async function () {
+            const { mediChain, implementationAddress, accounts } = await loadFixture(deployMediChain);
+            const [distributor, scanner] = accounts;
+
+            await registerBatch(mediChain, "B1", { quantity: 40 });
+            await registerBatch(mediChain, "B2");
+            await mediChain.authorizeDistributor(distributor.address);
+            await mediChain.updateSupplyChain("B1", SupplyStage.QualityChecked, "QA Lab", "Plant");
+            await mediChain.initiateCustodyTransfer("B1", distributor.address, SupplyStage.Shipped);
+            await mediChain.connect(scanner).verifyMedicine("B1");
+            await mediChain.flagMedicine("B2", "Suspected copy");
+
+            const { implementationAddress: next } = await deployMediChainCode(hre);
+            await expect(mediChain.upgradeTo(next)).to.emit(mediChain, "Upgraded");
+            expect(await mediChain.implementation()).to.equal(next);
+            expect(next).to.not.equal(implementationAddress);
+
+            const medicine = await mediChain.getMedicine("B1");
+            expect(medicine.quantity).to.equal(40);
+            expect(medicine.scanCount).to.equal(1);
+            expect(await mediChain.getTotalBatches()).to.equal(2);
+            expect(await mediChain.getVerifications("B1")).to.have.length(1);
+            expect(await mediChain.getSupplyChain("B1")).to.have.length(2);
+            expect((await mediChain.getCustodyTransfer("B1")).to).to.equal(distributor.address);
+            expect((await mediChain.getMedicine("B2")).status).to.equal(MedicineStatus.Flagged);
+            expect(await mediChain.alertCount()).to.equal(1);
+            expect(await mediChain.authorizedDistributors(distributor.address)).to.equal(true);
+
+            // The new code keeps working on the same state, module calls included
+            await mediChain.connect(distributor).acceptCustodyTransfer("B1", "FastFreight", "Rotterdam");
+            expect(await mediChain.currentCustodian("B1")).to.equal(distributor.address);
+            await mediChain.connect(scanner).verifyMedicine("B1");
+            expect((await mediChain.getMedicine("B1")).scanCount).to.equal(2);
+        });
+    });
+});